@@ -0,0 +1,300 @@
+// ========================================
+// ACHIEVEMENTS.JS - Achievement Unlocking Engine
+// Rule-based triggers for the achievements listed in a
+// challenge's rewards, and per-user unlock storage
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const ACHIEVEMENT_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_achievements'
+};
+
+// Trigger types an achievement rule can use
+export const TRIGGER_TYPES = {
+    PROGRESS: 'progress',       // a progress field reaches a value (cumulative)
+    ENTRY: 'entry',             // a single logged entry reaches a value
+    GOAL: 'goal',               // a goal reaches a percentage
+    STREAK: 'streak',           // the current streak reaches a number of days
+    COMPLETION: 'completion'    // the challenge is completed
+};
+
+// ========================================
+// Registry
+// ========================================
+
+const achievements = {};
+
+/**
+ * Register an achievement. The name is what challenges list in `rewards.achievements`.
+ * @param {string} name - Achievement name
+ * @param {Object} definition - Achievement definition
+ * @param {string} definition.description - What it takes, shown to users
+ * @param {string} definition.icon - Emoji shown next to the name (optional)
+ * @param {Object} definition.trigger - { type, ...rule } with type one of TRIGGER_TYPES
+ * @returns {Object} The registered achievement
+ *
+ * @example
+ * registerAchievement('Half Marathon', {
+ *   description: 'Log 21.1 km in total',
+ *   trigger: { type: 'progress', field: 'currentDistance', min: 21.1 }
+ * });
+ */
+export function registerAchievement(name, definition) {
+    achievements[name] = { name: name, icon: '🏅', ...definition };
+    return achievements[name];
+}
+
+/**
+ * Get an achievement definition. Names nobody registered unlock on completion.
+ * @param {string} name - Achievement name
+ * @returns {Object} Achievement definition
+ */
+export function getAchievement(name) {
+    return achievements[name] || {
+        name: name,
+        icon: '🏅',
+        description: 'Complete the challenge',
+        trigger: { type: TRIGGER_TYPES.COMPLETION }
+    };
+}
+
+// ========================================
+// Triggers
+// ========================================
+
+/**
+ * Check whether an achievement's trigger is met
+ * @param {Object} achievement - Achievement definition
+ * @param {Object} context - What just happened
+ * @param {Object} context.progress - User challenge progress
+ * @param {Object} context.entry - The ledger entry just logged (optional)
+ * @param {Object} context.completion - Completion evaluation { isComplete, goals }
+ * @param {Object} context.streaks - Streak counters { current, longest }
+ * @returns {boolean} True if the achievement should unlock
+ */
+function isTriggerMet(achievement, { progress, entry, completion, streaks }) {
+    const trigger = achievement.trigger;
+
+    switch (trigger.type) {
+        case TRIGGER_TYPES.PROGRESS:
+            return (Number(progress[trigger.field]) || 0) >= trigger.min;
+
+        case TRIGGER_TYPES.ENTRY:
+            return !!entry && (Number(entry.data[trigger.field]) || 0) >= trigger.min;
+
+        case TRIGGER_TYPES.GOAL: {
+            const goal = completion.goals.find(g => g.key === trigger.goal);
+            return !!goal && goal.percentage >= trigger.percent;
+        }
+
+        case TRIGGER_TYPES.STREAK:
+            return (streaks?.current || 0) >= trigger.days;
+
+        case TRIGGER_TYPES.COMPLETION:
+            return completion.isComplete;
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Get which of a challenge's achievements are met right now
+ * @param {Array<string>} names - Achievement names the challenge lists
+ * @param {Object} context - { progress, entry, completion, streaks }
+ * @returns {Array<string>} Names whose triggers are met
+ */
+export function checkAchievementTriggers(names, context) {
+    return names.filter(name => isTriggerMet(getAchievement(name), context));
+}
+
+/**
+ * Check whether an unlock still holds after an attempt's progress was
+ * corrected. Any remaining entry can meet an entry trigger, and a streak
+ * trigger looks at the longest streak: a streak that broke later was still earned.
+ * @param {Object} achievement - Achievement definition
+ * @param {Object} context - { progress, entries, completion, streaks } for the attempt
+ * @returns {boolean} True if the achievement is still earned
+ */
+function isTriggerStillMet(achievement, { progress, entries = [], completion, streaks }) {
+    const trigger = achievement.trigger;
+
+    if (trigger.type === TRIGGER_TYPES.ENTRY) {
+        return entries.some(entry => isTriggerMet(achievement, { entry }));
+    }
+
+    if (trigger.type === TRIGGER_TYPES.STREAK) {
+        return (streaks?.longest || 0) >= trigger.days;
+    }
+
+    return isTriggerMet(achievement, { progress, completion, streaks });
+}
+
+// ========================================
+// Unlock Storage
+// ========================================
+
+/**
+ * Get every user's unlocked achievements
+ * @returns {Object} { [userId]: Array of unlocks }
+ */
+function getAllUnlocks() {
+    try {
+        const unlocksJson = localStorage.getItem(ACHIEVEMENT_CONFIG.STORAGE_KEY);
+        return unlocksJson ? JSON.parse(unlocksJson) : {};
+    } catch (error) {
+        console.error('Error reading achievements:', error);
+        return {};
+    }
+}
+
+/**
+ * Get the achievements a user has unlocked, oldest first
+ * @param {string} userId - User ID
+ * @returns {Array} [{ name, challengeId, attemptId, unlockedAt }]
+ */
+export function getUnlockedAchievements(userId) {
+    return getAllUnlocks()[userId] || [];
+}
+
+/**
+ * Record achievements as unlocked. Each achievement unlocks once per user.
+ * @param {string} userId - User ID
+ * @param {Array<string>} names - Achievement names to unlock
+ * @param {Object} source - { challengeId, attemptId } the unlock came from
+ * @returns {Array} The unlocks that are new
+ */
+export function unlockAchievements(userId, names, source = {}) {
+    const allUnlocks = getAllUnlocks();
+    const userUnlocks = allUnlocks[userId] || [];
+    const unlockedNames = new Set(userUnlocks.map(unlock => unlock.name));
+
+    const newUnlocks = names
+        .filter(name => !unlockedNames.has(name))
+        .map(name => ({
+            name: name,
+            challengeId: source.challengeId || null,
+            attemptId: source.attemptId || null,
+            unlockedAt: new Date().toISOString()
+        }));
+
+    if (newUnlocks.length > 0) {
+        allUnlocks[userId] = [...userUnlocks, ...newUnlocks];
+        try {
+            localStorage.setItem(ACHIEVEMENT_CONFIG.STORAGE_KEY, JSON.stringify(allUnlocks));
+        } catch (error) {
+            console.error('Error saving achievements:', error);
+            return [];
+        }
+    }
+
+    return newUnlocks;
+}
+
+/**
+ * Take back achievements an attempt unlocked whose triggers no longer hold,
+ * e.g. after a progress entry was edited or deleted
+ * @param {string} userId - User ID
+ * @param {string} attemptId - User challenge (attempt) the unlocks came from
+ * @param {Object} context - { progress, entries, completion, streaks } for the attempt
+ * @returns {Array} The removed unlocks
+ */
+export function revokeAchievements(userId, attemptId, context) {
+    const allUnlocks = getAllUnlocks();
+    const userUnlocks = allUnlocks[userId] || [];
+
+    const revoked = userUnlocks.filter(unlock =>
+        unlock.attemptId === attemptId && !isTriggerStillMet(getAchievement(unlock.name), context)
+    );
+
+    if (revoked.length > 0) {
+        allUnlocks[userId] = userUnlocks.filter(unlock => !revoked.includes(unlock));
+        try {
+            localStorage.setItem(ACHIEVEMENT_CONFIG.STORAGE_KEY, JSON.stringify(allUnlocks));
+        } catch (error) {
+            console.error('Error saving achievements:', error);
+            return [];
+        }
+    }
+
+    return revoked;
+}
+
+// ========================================
+// Built-in Achievements
+// ========================================
+
+registerAchievement('First Mile', {
+    icon: '👟',
+    description: 'Log your first 1.6 km',
+    trigger: { type: TRIGGER_TYPES.PROGRESS, field: 'currentDistance', min: 1.6 }
+});
+
+registerAchievement('Marathon Ready', {
+    icon: '🏃',
+    description: 'Run 42.2 km in total',
+    trigger: { type: TRIGGER_TYPES.PROGRESS, field: 'currentDistance', min: 42.2 }
+});
+
+registerAchievement('Consistent Runner', {
+    icon: '📅',
+    description: 'Keep a 7 day streak',
+    trigger: { type: TRIGGER_TYPES.STREAK, days: 7 }
+});
+
+registerAchievement('First Flow', {
+    icon: '🧘',
+    description: 'Finish your first session',
+    trigger: { type: TRIGGER_TYPES.PROGRESS, field: 'currentSessions', min: 1 }
+});
+
+registerAchievement('Flexible Warrior', {
+    icon: '🤸',
+    description: 'Practise for 140 minutes in total',
+    trigger: { type: TRIGGER_TYPES.PROGRESS, field: 'currentMinutes', min: 140 }
+});
+
+registerAchievement('Strength Foundation', {
+    icon: '🧱',
+    description: 'Complete 10 workouts',
+    trigger: { type: TRIGGER_TYPES.PROGRESS, field: 'completedWorkouts', min: 10 }
+});
+
+registerAchievement('Progressive Overload', {
+    icon: '🏋️',
+    description: 'Lift 2,000 kg in a single workout',
+    trigger: { type: TRIGGER_TYPES.ENTRY, field: 'weightLifted', min: 2000 }
+});
+
+registerAchievement('Muscle Builder', {
+    icon: '💪',
+    description: 'Reach the weight lifted goal',
+    trigger: { type: TRIGGER_TYPES.GOAL, goal: 'weightLifted', percent: 100 }
+});
+
+registerAchievement('Intensity Master', {
+    icon: '⚡',
+    description: 'Keep a 5 day streak',
+    trigger: { type: TRIGGER_TYPES.STREAK, days: 5 }
+});
+
+registerAchievement('Cardio King', {
+    icon: '🔥',
+    description: 'Burn 5,000 kcal in total',
+    trigger: { type: TRIGGER_TYPES.PROGRESS, field: 'currentCalories', min: 5000 }
+});
+
+registerAchievement('Century Rider', {
+    icon: '🚴',
+    description: 'Ride 100 km in a single ride',
+    trigger: { type: TRIGGER_TYPES.ENTRY, field: 'distance', min: 100 }
+});
+
+registerAchievement('Hill Climber', {
+    icon: '⛰️',
+    description: 'Climb 1,000 m in total',
+    trigger: { type: TRIGGER_TYPES.PROGRESS, field: 'currentElevation', min: 1000 }
+});
@@ -0,0 +1,169 @@
+// ========================================
+// ACTIVITYMATCHING.JS - Activity to Challenge Matching
+// Maps Strava sport types, Fitbit activity names and manual
+// workout types onto challenge categories
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const MATCHING_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_activity_rules'
+};
+
+// Default rules per challenge category. Strava values are `sport_type`
+// (falling back to the older `type`), Fitbit values are activity names,
+// manual values are the workout types users pick when logging by hand.
+// All comparisons are case-insensitive.
+const DEFAULT_MATCHING_RULES = {
+    running: {
+        strava: ['Run', 'TrailRun', 'VirtualRun'],
+        fitbit: ['Run', 'Running', 'Treadmill', 'Outdoor Run'],
+        manual: ['run', 'running', 'jog', 'treadmill']
+    },
+    cycling: {
+        strava: ['Ride', 'VirtualRide', 'MountainBikeRide', 'GravelRide', 'EBikeRide', 'Velomobile'],
+        fitbit: ['Bike', 'Biking', 'Outdoor Bike', 'Spinning'],
+        manual: ['ride', 'cycling', 'bike', 'spin']
+    },
+    swimming: {
+        strava: ['Swim'],
+        fitbit: ['Swim', 'Swimming'],
+        manual: ['swim', 'swimming']
+    },
+    yoga: {
+        strava: ['Yoga', 'Pilates'],
+        fitbit: ['Yoga', 'Pilates'],
+        manual: ['yoga', 'pilates', 'stretching']
+    },
+    strength: {
+        strava: ['WeightTraining', 'Crossfit'],
+        fitbit: ['Weights', 'Weight Training', 'Strength Training'],
+        manual: ['strength', 'weights', 'weight training']
+    },
+    hiit: {
+        strava: ['HighIntensityIntervalTraining', 'Crossfit', 'Workout'],
+        fitbit: ['Interval Workout', 'HIIT', 'Circuit Training'],
+        manual: ['hiit', 'interval', 'circuit']
+    }
+};
+
+// ========================================
+// Rule Storage
+// ========================================
+
+/**
+ * Get rule overrides saved by the user
+ * @returns {Object} { [category]: { strava, fitbit, manual } }
+ */
+function getSavedRules() {
+    try {
+        const rulesJson = localStorage.getItem(MATCHING_CONFIG.STORAGE_KEY);
+        return rulesJson ? JSON.parse(rulesJson) : {};
+    } catch (error) {
+        console.error('Error reading activity matching rules:', error);
+        return {};
+    }
+}
+
+/**
+ * Get the matching rules for a challenge category
+ * @param {string} category - Challenge category
+ * @returns {Object} Rules { strava: [], fitbit: [], manual: [] }
+ */
+export function getActivityMatchingRules(category) {
+    const defaults = DEFAULT_MATCHING_RULES[category] || { strava: [], fitbit: [], manual: [] };
+    return { ...defaults, ...(getSavedRules()[category] || {}) };
+}
+
+/**
+ * Replace the matching rules for a challenge category
+ * @param {string} category - Challenge category
+ * @param {Object} rules - Rules for any of strava, fitbit, manual
+ *
+ * @example
+ * setActivityMatchingRules('running', { strava: ['Run', 'TrailRun', 'Hike'] });
+ */
+export function setActivityMatchingRules(category, rules) {
+    try {
+        const saved = getSavedRules();
+        saved[category] = { ...(saved[category] || {}), ...rules };
+        localStorage.setItem(MATCHING_CONFIG.STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.error('Error saving activity matching rules:', error);
+    }
+}
+
+/**
+ * Drop the user's overrides for a category (or all) and use the defaults
+ * @param {string} category - Challenge category (optional)
+ */
+export function resetActivityMatchingRules(category = null) {
+    if (!category) {
+        localStorage.removeItem(MATCHING_CONFIG.STORAGE_KEY);
+        return;
+    }
+
+    const saved = getSavedRules();
+    delete saved[category];
+    localStorage.setItem(MATCHING_CONFIG.STORAGE_KEY, JSON.stringify(saved));
+}
+
+// ========================================
+// Matching
+// ========================================
+
+/**
+ * Get the activity type an external activity reports
+ * @param {string} source - 'strava', 'fitbit' or 'manual'
+ * @param {Object} activity - Activity from that source
+ * @returns {string} Activity type ('' if unknown)
+ */
+export function getActivityType(source, activity) {
+    switch (source) {
+        case 'strava':
+            return activity.sport_type || activity.type || '';
+        case 'fitbit':
+            return activity.activityParentName || activity.name || '';
+        default:
+            return activity.workoutType || '';
+    }
+}
+
+/**
+ * Check whether an activity type counts toward a challenge.
+ * A challenge can override its category rules with `activityMatching`.
+ * @param {Object} challenge - Challenge object
+ * @param {string} source - 'strava', 'fitbit' or 'manual'
+ * @param {string} activityType - Type reported by the source
+ * @returns {boolean} True if the activity matches the challenge
+ *
+ * @example
+ * activityMatchesChallenge(runningChallenge, 'strava', 'Ride'); // false
+ */
+export function activityMatchesChallenge(challenge, source, activityType) {
+    if (!activityType) return false;
+
+    const rules = {
+        ...getActivityMatchingRules(challenge.category),
+        ...(challenge.activityMatching || {})
+    };
+    const allowed = (rules[source] || []).map(type => type.toLowerCase());
+
+    return allowed.includes(activityType.toLowerCase());
+}
+
+/**
+ * Check whether a challenge accepts any activities from a source
+ * @param {Object} challenge - Challenge object
+ * @param {string} source - 'strava', 'fitbit' or 'manual'
+ * @returns {boolean} True if at least one activity type is mapped
+ */
+export function challengeAcceptsSource(challenge, source) {
+    const rules = {
+        ...getActivityMatchingRules(challenge.category),
+        ...(challenge.activityMatching || {})
+    };
+    return (rules[source] || []).length > 0;
+}
@@ -84,6 +84,24 @@ function saveUsers(users) {
     }
 }
 
+/**
+ * Get the public display name of a user (safe to show to other users)
+ * @param {string} userId - User ID
+ * @returns {string} User's name, or 'Unknown athlete' if not found
+ */
+export function getUserDisplayName(userId) {
+    const user = getUsers().find(u => u.id === userId);
+    return user ? user.name : 'Unknown athlete';
+}
+
+/**
+ * Get every registered user's public details (safe to show to other users)
+ * @returns {Array} [{ id, name }]
+ */
+export function getUserDirectory() {
+    return getUsers().map(u => ({ id: u.id, name: u.name }));
+}
+
 /**
  * Generate unique user ID
  * @returns {string} Unique ID
@@ -706,13 +724,3 @@ if (document.readyState === 'loading') {
 } else {
     initializeAuth();
 }
-
-// Export main functions
-export {
-    loginUser,
-    registerUser,
-    logoutUser,
-    getCurrentUser,
-    isLoggedIn,
-    requireAuth
-};
\ No newline at end of file
@@ -0,0 +1,308 @@
+// ========================================
+// BADGES.JS - Badge Collection
+// Badges are issued when a challenge is completed and level up
+// through tiers as the same challenge is completed again
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const BADGE_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_badges',
+    MAX_PINNED: 3
+};
+
+// Completions needed for each tier, lowest first
+export const BADGE_TIERS = [
+    { name: 'Bronze', completions: 1 },
+    { name: 'Silver', completions: 3 },
+    { name: 'Gold', completions: 5 }
+];
+
+// ========================================
+// Storage
+// ========================================
+
+/**
+ * Get every user's badge data
+ * @returns {Object} { [userId]: { earned: { [badgeKey]: badge }, pinned: Array<string> } }
+ */
+function getAllBadges() {
+    try {
+        const badgesJson = localStorage.getItem(BADGE_CONFIG.STORAGE_KEY);
+        return badgesJson ? JSON.parse(badgesJson) : {};
+    } catch (error) {
+        console.error('Error reading badges:', error);
+        return {};
+    }
+}
+
+/**
+ * Save every user's badge data to localStorage
+ * @param {Object} allBadges - Badge data keyed by user ID
+ */
+function saveAllBadges(allBadges) {
+    try {
+        localStorage.setItem(BADGE_CONFIG.STORAGE_KEY, JSON.stringify(allBadges));
+    } catch (error) {
+        console.error('Error saving badges:', error);
+    }
+}
+
+/**
+ * Get the key a badge is stored under. Challenges can offer badges with
+ * the same name, so the key includes the challenge.
+ * @param {string} challengeId - Challenge that offers the badge
+ * @param {string} badgeName - Badge name
+ * @returns {string} Badge key
+ *
+ * @example
+ * getBadgeKey('1', '30-Day Runner'); // '1:30-Day Runner'
+ */
+export function getBadgeKey(challengeId, badgeName) {
+    return `${challengeId}:${badgeName}`;
+}
+
+/**
+ * Get one user's badge data
+ * @param {Object} allBadges - Badge data keyed by user ID
+ * @param {string} userId - User ID
+ * @returns {Object} { earned, pinned }
+ */
+function getUserBadgeData(allBadges, userId) {
+    if (!allBadges[userId]) {
+        allBadges[userId] = { earned: {}, pinned: [] };
+    }
+
+    // Badges saved before keys included the challenge were keyed by name
+    const data = allBadges[userId];
+    Object.entries(data.earned).forEach(([key, badge]) => {
+        const badgeKey = getBadgeKey(badge.challengeId, badge.name);
+        if (key === badgeKey) return;
+        delete data.earned[key];
+        data.earned[badgeKey] = { ...badge, key: badgeKey };
+        data.pinned = data.pinned.map(pin => pin === key ? badgeKey : pin);
+    });
+
+    return data;
+}
+
+// ========================================
+// Tiers
+// ========================================
+
+/**
+ * Get the tier reached with a number of completions
+ * @param {number} completions - Times the challenge was completed
+ * @returns {Object|null} Tier or null if none reached
+ */
+export function getBadgeTier(completions) {
+    return [...BADGE_TIERS].reverse().find(tier => completions >= tier.completions) || null;
+}
+
+/**
+ * Get the next tier above a number of completions
+ * @param {number} completions - Times the challenge was completed
+ * @returns {Object|null} Next tier or null at the top tier
+ */
+function getNextBadgeTier(completions) {
+    return BADGE_TIERS.find(tier => completions < tier.completions) || null;
+}
+
+// ========================================
+// Issuing
+// ========================================
+
+/**
+ * Issue a badge for a completed attempt. Each attempt counts once;
+ * further completions of the same challenge raise the tier.
+ * @param {string} userId - User ID
+ * @param {Object} award - { badge, challengeId, attemptId }
+ * @returns {Object|null} { badge, tier, isNew, tierUp } or null if this attempt already counted
+ *
+ * @example
+ * issueBadge('1', { badge: '30-Day Runner', challengeId: '1', attemptId: '1_1_1700000000000' });
+ */
+export function issueBadge(userId, { badge, challengeId, attemptId }) {
+    if (!badge) return null;
+
+    const allBadges = getAllBadges();
+    const data = getUserBadgeData(allBadges, userId);
+    const key = getBadgeKey(challengeId, badge);
+    const existing = data.earned[key];
+
+    if (existing && existing.attempts.some(a => a.attemptId === attemptId)) return null;
+
+    const now = new Date().toISOString();
+    const previousTier = existing ? getBadgeTier(existing.attempts.length) : null;
+    const attempts = [...(existing?.attempts || []), { attemptId, earnedAt: now }];
+    const tier = getBadgeTier(attempts.length);
+    const tierUp = !previousTier || previousTier.name !== tier.name;
+
+    data.earned[key] = {
+        key: key,
+        name: badge,
+        challengeId: challengeId,
+        attempts: attempts,
+        tier: tier.name,
+        firstEarnedAt: existing?.firstEarnedAt || now,
+        tierEarnedAt: tierUp ? now : existing.tierEarnedAt
+    };
+
+    saveAllBadges(allBadges);
+
+    return { badge: data.earned[key], tier: tier.name, isNew: !existing, tierUp: tierUp };
+}
+
+/**
+ * Take back the completion an attempt counted towards a badge, e.g. when
+ * a corrected entry undoes the completion. The tier drops with it, and
+ * a badge with no completions left is removed (and unpinned).
+ * @param {string} userId - User ID
+ * @param {Object} award - { badge, challengeId, attemptId }
+ * @returns {Object|null} { badge, tier, removed } or null if the attempt hadn't counted
+ */
+export function revokeBadge(userId, { badge, challengeId, attemptId }) {
+    if (!badge) return null;
+
+    const allBadges = getAllBadges();
+    const data = getUserBadgeData(allBadges, userId);
+    const key = getBadgeKey(challengeId, badge);
+    const existing = data.earned[key];
+
+    if (!existing || !existing.attempts.some(a => a.attemptId === attemptId)) return null;
+
+    const attempts = existing.attempts.filter(a => a.attemptId !== attemptId);
+
+    if (attempts.length === 0) {
+        delete data.earned[key];
+        data.pinned = data.pinned.filter(pin => pin !== key);
+        saveAllBadges(allBadges);
+        return { badge: existing, tier: null, removed: true };
+    }
+
+    const tier = getBadgeTier(attempts.length);
+    data.earned[key] = {
+        ...existing,
+        attempts: attempts,
+        tier: tier.name,
+        firstEarnedAt: attempts[0].earnedAt,
+        tierEarnedAt: tier.name === existing.tier ? existing.tierEarnedAt : attempts[tier.completions - 1].earnedAt
+    };
+
+    saveAllBadges(allBadges);
+
+    return { badge: data.earned[key], tier: tier.name, removed: false };
+}
+
+// ========================================
+// Collection
+// ========================================
+
+/**
+ * Get a user's badge collection: every badge the catalog offers,
+ * earned or locked, plus earned badges whose challenge is gone
+ * @param {string} userId - User ID
+ * @param {Array} challenges - Challenges whose rewards.badge can be earned
+ * @returns {Array} [{ key, name, challengeId, challengeTitle, earned, tier, completions,
+ *                     nextTier, firstEarnedAt, tierEarnedAt, pinned }]
+ */
+export function getBadgeCollection(userId, challenges) {
+    const data = getUserBadgeData(getAllBadges(), userId);
+    const collection = new Map();
+
+    challenges
+        .filter(challenge => challenge.rewards?.badge)
+        .forEach(challenge => {
+            const key = getBadgeKey(challenge.id, challenge.rewards.badge);
+            collection.set(key, {
+                key: key,
+                name: challenge.rewards.badge,
+                challengeId: challenge.id,
+                challengeTitle: challenge.title
+            });
+        });
+
+    Object.entries(data.earned).forEach(([key, badge]) => {
+        const listed = collection.get(key) || {};
+        collection.set(key, {
+            challengeTitle: null,
+            ...listed,
+            key: key,
+            name: badge.name,
+            challengeId: badge.challengeId
+        });
+    });
+
+    return [...collection.values()]
+        .map(badge => {
+            const earned = data.earned[badge.key];
+            const completions = earned ? earned.attempts.length : 0;
+            return {
+                ...badge,
+                earned: !!earned,
+                tier: earned ? earned.tier : null,
+                completions: completions,
+                nextTier: getNextBadgeTier(completions),
+                firstEarnedAt: earned ? earned.firstEarnedAt : null,
+                tierEarnedAt: earned ? earned.tierEarnedAt : null,
+                pinned: data.pinned.includes(badge.key)
+            };
+        })
+        .sort((a, b) => (b.earned - a.earned) || a.name.localeCompare(b.name));
+}
+
+// ========================================
+// Pinning
+// ========================================
+
+/**
+ * Get the badges a user pinned next to their name, in pin order
+ * @param {string} userId - User ID
+ * @returns {Array} Earned badge objects
+ */
+export function getPinnedBadges(userId) {
+    const data = getUserBadgeData(getAllBadges(), userId);
+    return data.pinned.map(key => data.earned[key]).filter(Boolean);
+}
+
+/**
+ * Pin or unpin an earned badge
+ * @param {string} userId - User ID
+ * @param {string} badgeKey - Badge key (see getBadgeKey)
+ * @param {boolean} pinned - True to pin, false to unpin
+ * @returns {Object} Result { success, message }
+ *
+ * @example
+ * const result = setBadgePinned('1', getBadgeKey('3', 'Zen Master'), true);
+ * if (!result.success) alert(result.message);
+ */
+export function setBadgePinned(userId, badgeKey, pinned) {
+    const allBadges = getAllBadges();
+    const data = getUserBadgeData(allBadges, userId);
+    const badge = data.earned[badgeKey];
+
+    if (!pinned) {
+        data.pinned = data.pinned.filter(key => key !== badgeKey);
+        saveAllBadges(allBadges);
+        return { success: true, message: `${badge?.name || 'Badge'} unpinned` };
+    }
+
+    if (!badge) {
+        return { success: false, message: 'You can only pin badges you have earned' };
+    }
+
+    if (data.pinned.includes(badgeKey)) {
+        return { success: true, message: `${badge.name} is already pinned` };
+    }
+
+    if (data.pinned.length >= BADGE_CONFIG.MAX_PINNED) {
+        return { success: false, message: `You can pin up to ${BADGE_CONFIG.MAX_PINNED} badges. Unpin one first.` };
+    }
+
+    data.pinned.push(badgeKey);
+    saveAllBadges(allBadges);
+
+    return { success: true, message: `${badge.name} pinned` };
+}
@@ -0,0 +1,187 @@
+// ========================================
+// CHALLENGEQUEUE.JS - Challenge Waitlist
+// Challenges a user queued while at their active limit, in the
+// order they start, plus the notices shown once they do.
+// challenges.js decides when a slot is free and starts them.
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const QUEUE_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_challenge_queue',
+    NOTICES_KEY: 'fitchallenge_queue_notices',
+    MAX_QUEUE_LENGTH: 20
+};
+
+// ========================================
+// Storage
+// ========================================
+
+/**
+ * Read a { [userId]: Array } map from localStorage
+ * @param {string} key - Storage key
+ * @returns {Object} Map of user ID to entries
+ */
+function readUserMap(key) {
+    try {
+        const json = localStorage.getItem(key);
+        return json ? JSON.parse(json) : {};
+    } catch (error) {
+        console.error('Error reading challenge queue:', error);
+        return {};
+    }
+}
+
+/**
+ * Save a { [userId]: Array } map to localStorage
+ * @param {string} key - Storage key
+ * @param {Object} map - Map of user ID to entries
+ */
+function saveUserMap(key, map) {
+    try {
+        localStorage.setItem(key, JSON.stringify(map));
+    } catch (error) {
+        console.error('Error saving challenge queue:', error);
+    }
+}
+
+/**
+ * Get a user's queue, next to start first
+ * @param {string} userId - User ID
+ * @returns {Array} [{ challengeId, inviteCode, queuedAt }]
+ */
+export function getQueue(userId) {
+    return readUserMap(QUEUE_CONFIG.STORAGE_KEY)[userId] || [];
+}
+
+/**
+ * Get the users who have something queued
+ * @returns {Array} User IDs
+ */
+export function getQueuedUserIds() {
+    return Object.entries(readUserMap(QUEUE_CONFIG.STORAGE_KEY))
+        .filter(([, queue]) => queue.length > 0)
+        .map(([userId]) => userId);
+}
+
+/**
+ * Check whether a challenge is in a user's queue
+ * @param {string} userId - User ID
+ * @param {string} challengeId - Challenge ID
+ * @returns {number} Position (1 = next), or 0 if not queued
+ */
+export function getQueuePosition(userId, challengeId) {
+    return getQueue(userId).findIndex(item => item.challengeId === challengeId) + 1;
+}
+
+// ========================================
+// Queue Changes
+// ========================================
+
+/**
+ * Add a challenge to the end of a user's queue
+ * @param {string} userId - User ID
+ * @param {string} challengeId - Challenge ID
+ * @param {string} inviteCode - Code to join a private challenge with (optional)
+ * @returns {Object} Result { success, message, position }
+ */
+export function addToQueue(userId, challengeId, inviteCode = null) {
+    const queues = readUserMap(QUEUE_CONFIG.STORAGE_KEY);
+    const queue = queues[userId] || [];
+
+    if (queue.some(item => item.challengeId === challengeId)) {
+        return { success: false, message: 'This challenge is already in your queue' };
+    }
+
+    if (queue.length >= QUEUE_CONFIG.MAX_QUEUE_LENGTH) {
+        return { success: false, message: `Your queue can hold at most ${QUEUE_CONFIG.MAX_QUEUE_LENGTH} challenges` };
+    }
+
+    queues[userId] = [...queue, { challengeId, inviteCode, queuedAt: new Date().toISOString() }];
+    saveUserMap(QUEUE_CONFIG.STORAGE_KEY, queues);
+
+    return { success: true, message: `Queued at position ${queues[userId].length}`, position: queues[userId].length };
+}
+
+/**
+ * Remove a challenge from a user's queue
+ * @param {string} userId - User ID
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Result { success, message }
+ */
+export function removeFromQueue(userId, challengeId) {
+    const queues = readUserMap(QUEUE_CONFIG.STORAGE_KEY);
+    const queue = queues[userId] || [];
+
+    if (!queue.some(item => item.challengeId === challengeId)) {
+        return { success: false, message: 'This challenge is not in your queue' };
+    }
+
+    queues[userId] = queue.filter(item => item.challengeId !== challengeId);
+    saveUserMap(QUEUE_CONFIG.STORAGE_KEY, queues);
+
+    return { success: true, message: 'Removed from your queue' };
+}
+
+/**
+ * Move a queued challenge to another position
+ * @param {string} userId - User ID
+ * @param {string} challengeId - Challenge ID
+ * @param {number} position - New position (1 = next); clamped to the queue
+ * @returns {Object} Result { success, message, queue }
+ *
+ * @example
+ * moveInQueue('1', '4', 1); // start challenge 4 next
+ */
+export function moveInQueue(userId, challengeId, position) {
+    const queues = readUserMap(QUEUE_CONFIG.STORAGE_KEY);
+    const queue = [...(queues[userId] || [])];
+    const index = queue.findIndex(item => item.challengeId === challengeId);
+
+    if (index === -1) {
+        return { success: false, message: 'This challenge is not in your queue' };
+    }
+
+    const target = Math.min(Math.max(Math.round(Number(position)) || 1, 1), queue.length) - 1;
+    const [item] = queue.splice(index, 1);
+    queue.splice(target, 0, item);
+
+    queues[userId] = queue;
+    saveUserMap(QUEUE_CONFIG.STORAGE_KEY, queues);
+
+    return { success: true, message: `Moved to position ${target + 1}`, queue: queue };
+}
+
+// ========================================
+// Notices
+// ========================================
+
+/**
+ * Record that a queued challenge started (or couldn't), to show the user later
+ * @param {string} userId - User ID
+ * @param {Object} notice - { challengeId, title, started, message }
+ */
+export function addQueueNotice(userId, notice) {
+    const notices = readUserMap(QUEUE_CONFIG.NOTICES_KEY);
+    notices[userId] = [...(notices[userId] || []), { ...notice, createdAt: new Date().toISOString() }];
+    saveUserMap(QUEUE_CONFIG.NOTICES_KEY, notices);
+}
+
+/**
+ * Get a user's unseen queue notices and mark them seen
+ * @param {string} userId - User ID
+ * @returns {Array} [{ challengeId, title, started, message, createdAt }] oldest first
+ */
+export function takeQueueNotices(userId) {
+    const notices = readUserMap(QUEUE_CONFIG.NOTICES_KEY);
+    const userNotices = notices[userId] || [];
+
+    if (userNotices.length > 0) {
+        delete notices[userId];
+        saveUserMap(QUEUE_CONFIG.NOTICES_KEY, notices);
+    }
+
+    return userNotices;
+}
@@ -0,0 +1,241 @@
+// ========================================
+// CHALLENGETRANSFER.JS - Challenge Import/Export
+// Versioned JSON format for sharing challenge definitions
+// between groups and backing up a catalog
+// ========================================
+
+/*
+ * Export file format (version 1)
+ *
+ * {
+ *   "format": "fitchallenge-challenges",
+ *   "version": 1,
+ *   "exportedAt": "2026-10-19T09:00:00.000Z",
+ *   "categories": ["running", "yoga"],      // categories used by the challenges below
+ *   "challenges": [
+ *     {
+ *       "id": "c1x2y3",                      // original ID, used to detect duplicates on import
+ *       "title": "October Step-Up",
+ *       "description": "Walk or run 100 km in October",
+ *       "category": "running",
+ *       "difficulty": "beginner",            // beginner | intermediate | advanced
+ *       "duration": 31,                      // days
+ *       "imageUrl": null,
+ *       "goals": { "totalDistance": 100 },   // goal type key -> target
+ *       "completion": { "mode": "all" },
+ *       "rewards": { "points": 100, "badge": null, "achievements": [] },
+ *       "cohorts": [],                       // fixed-date runs
+ *       "restDays": [],                      // weekday numbers, 0 = Sunday
+ *       "streakFreezes": 1,
+ *       "teamSettings": null,                // { maxSize, goals } for team challenges
+ *       "visibility": "public",              // public | unlisted | private
+ *       "discussionPolicy": "everyone",      // everyone | participants: who can post in its thread
+ *       "trainingPlan": [                    // day-by-day sessions, may be empty
+ *         { "day": 1, "title": "10 min easy run", "rest": false, "progress": { "minutes": 10 } }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * Participants, invite codes, owners and timestamps are never exported;
+ * imported challenges belong to the user who imports them.
+ */
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+export const TRANSFER_FORMAT = {
+    NAME: 'fitchallenge-challenges',
+    VERSION: 1,
+    MAX_CHALLENGES: 200
+};
+
+// What to do when an imported challenge has the ID of an existing one
+export const CONFLICT_STRATEGIES = {
+    SKIP: 'skip',         // keep the existing challenge
+    REPLACE: 'replace',   // overwrite its definition (owner only)
+    COPY: 'copy'          // import under a new ID
+};
+
+// Fields that make up a challenge definition
+const DEFINITION_FIELDS = [
+    'id', 'title', 'description', 'category', 'difficulty', 'duration', 'imageUrl',
+    'goals', 'completion', 'rewards', 'cohorts', 'restDays', 'streakFreezes',
+    'teamSettings', 'visibility', 'discussionPolicy', 'trainingPlan'
+];
+
+// Upgrades an export file from the version in the key to the next one.
+// Add an entry here whenever TRANSFER_FORMAT.VERSION is bumped.
+const MIGRATIONS = {};
+
+// ========================================
+// Export
+// ========================================
+
+/**
+ * Strip a challenge down to its shareable definition
+ * @param {Object} challenge - Stored challenge
+ * @returns {Object} Definition with only DEFINITION_FIELDS
+ */
+export function toChallengeDefinition(challenge) {
+    const definition = {};
+    DEFINITION_FIELDS.forEach(field => {
+        if (challenge[field] !== undefined) {
+            definition[field] = JSON.parse(JSON.stringify(challenge[field]));
+        }
+    });
+    return definition;
+}
+
+/**
+ * Build an export file
+ * @param {Array} challenges - Challenges to export
+ * @param {Date} now - Export time (default: now)
+ * @returns {Object} Export file contents in the current format version
+ *
+ * @example
+ * const json = JSON.stringify(buildChallengeExport([challenge]), null, 2);
+ */
+export function buildChallengeExport(challenges, now = new Date()) {
+    const definitions = challenges.map(toChallengeDefinition);
+
+    return {
+        format: TRANSFER_FORMAT.NAME,
+        version: TRANSFER_FORMAT.VERSION,
+        exportedAt: now.toISOString(),
+        categories: [...new Set(definitions.map(d => d.category))].sort(),
+        challenges: definitions
+    };
+}
+
+/**
+ * Suggest a file name for an export
+ * @param {Array} challenges - Exported challenges
+ * @param {Date} now - Export time (default: now)
+ * @returns {string} e.g. 'october-step-up.challenge.json' or 'challenges-2026-10-19.json'
+ */
+export function getExportFileName(challenges, now = new Date()) {
+    if (challenges.length === 1) {
+        const slug = challenges[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug || 'challenge'}.challenge.json`;
+    }
+    return `challenges-${now.toISOString().slice(0, 10)}.json`;
+}
+
+// ========================================
+// Import
+// ========================================
+
+/**
+ * Parse an export file and upgrade it to the current format version
+ * @param {string} text - File contents
+ * @returns {Object} { data, error } with error set if the file can't be used
+ */
+export function parseChallengeExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { data: null, error: 'The file is not valid JSON' };
+    }
+
+    if (!data || typeof data !== 'object' || data.format !== TRANSFER_FORMAT.NAME) {
+        return { data: null, error: 'This is not a challenge export file' };
+    }
+
+    let version = Number(data.version);
+    if (!Number.isInteger(version) || version < 1) {
+        return { data: null, error: 'The file has no valid format version' };
+    }
+
+    if (version > TRANSFER_FORMAT.VERSION) {
+        return {
+            data: null,
+            error: `The file uses format version ${version}; this app reads up to version ${TRANSFER_FORMAT.VERSION}`
+        };
+    }
+
+    while (version < TRANSFER_FORMAT.VERSION) {
+        data = MIGRATIONS[version](data);
+        version = data.version;
+    }
+
+    if (!Array.isArray(data.challenges) || data.challenges.length === 0) {
+        return { data: null, error: 'The file contains no challenges' };
+    }
+
+    if (data.challenges.length > TRANSFER_FORMAT.MAX_CHALLENGES) {
+        return {
+            data: null,
+            error: `A file can hold at most ${TRANSFER_FORMAT.MAX_CHALLENGES} challenges`
+        };
+    }
+
+    return { data: data, error: null };
+}
+
+/**
+ * Work out what importing each challenge of an export file would do
+ * @param {Object} data - Parsed export file (from parseChallengeExport)
+ * @param {Object} context - Import context
+ * @param {Array} context.existing - Challenges already stored
+ * @param {string} context.conflict - One of CONFLICT_STRATEGIES
+ * @param {Function} context.validate - (definition) => { isValid, error }
+ * @param {Function} context.canReplace - (existingChallenge) => boolean
+ * @returns {Array} [{ definition, action, message, existing }]
+ *   - action: 'create', 'replace', 'copy', 'skip' or 'invalid'
+ *
+ * @example
+ * planChallengeImport(data, { existing: getChallenges(), conflict: 'skip', validate, canReplace })
+ *     .forEach(row => console.log(row.definition.title, row.action, row.message));
+ */
+export function planChallengeImport(data, { existing, conflict, validate, canReplace }) {
+    const existingById = new Map(existing.map(c => [c.id, c]));
+    const seenIds = new Set();
+
+    return data.challenges.map(raw => {
+        const definition = toChallengeDefinition(raw || {});
+        // IDs end up in URLs and markup; anything unusual is imported under a new ID
+        if (typeof definition.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.id)) delete definition.id;
+        const validation = validate(definition);
+
+        if (!validation.isValid) {
+            return { definition, action: 'invalid', message: validation.error, existing: null };
+        }
+
+        // The same ID twice in one file: only the first one keeps it
+        const duplicateInFile = definition.id && seenIds.has(definition.id);
+        if (definition.id) seenIds.add(definition.id);
+
+        const match = definition.id ? existingById.get(definition.id) : null;
+        if (!match && !duplicateInFile) {
+            return { definition, action: 'create', message: 'New challenge', existing: null };
+        }
+
+        const clash = match ? `Same ID as "${match.title}"` : 'Same ID as an earlier challenge in this file';
+
+        if (conflict === CONFLICT_STRATEGIES.COPY) {
+            return { definition, action: 'copy', message: `${clash}; imported as a copy`, existing: match };
+        }
+
+        if (conflict === CONFLICT_STRATEGIES.REPLACE && match && !duplicateInFile) {
+            return canReplace(match)
+                ? { definition, action: 'replace', message: `${clash}; it will be replaced`, existing: match }
+                : { definition, action: 'skip', message: `${clash}, which you can't edit`, existing: match };
+        }
+
+        return { definition, action: 'skip', message: `${clash}; skipped`, existing: match };
+    });
+}
+
+/**
+ * Count the planned actions of an import
+ * @param {Array} rows - From planChallengeImport
+ * @returns {Object} { create, replace, copy, skip, invalid }
+ */
+export function summarizeImportPlan(rows) {
+    const summary = { create: 0, replace: 0, copy: 0, skip: 0, invalid: 0 };
+    rows.forEach(row => { summary[row.action]++; });
+    return summary;
+}
@@ -3,8 +3,98 @@
 // Handles challenge listing, joining, and progress tracking
 // ========================================
 
-import { getCurrentUser, isLoggedIn } from './auth.js';
+import { getCurrentUser, isLoggedIn, getUserDisplayName } from './auth.js';
 import { getStravaActivities, getFitbitDailyActivity } from './apiHandler.js';
+import { getGoalType, getGoalTypes } from './goalTypes.js';
+import { COMPLETION_MODES, evaluateCompletion, validateCompletionPolicy } from './completionPolicies.js';
+import { activityMatchesChallenge, challengeAcceptsSource, getActivityType } from './activityMatching.js';
+import {
+    validateChallengeCohorts,
+    normalizeCohorts,
+    hasCohorts,
+    getOpenCohort,
+    getNextCohort
+} from './cohorts.js';
+import { DAY_STATUSES, WEEKDAY_LABELS, buildCheckInCalendar, computeStreaks, toDayKey } from './streaks.js';
+import {
+    getAchievement,
+    checkAchievementTriggers,
+    getUnlockedAchievements,
+    unlockAchievements,
+    revokeAchievements
+} from './achievements.js';
+import { awardChallengePoints, revokeChallengePoints } from './points.js';
+import { issueBadge, revokeBadge, getBadgeCollection } from './badges.js';
+import {
+    validateTeamSettings,
+    getTeams,
+    getTeamForUser,
+    createTeam,
+    joinTeam,
+    leaveTeam
+} from './teams.js';
+import {
+    DUEL_STATUSES,
+    getDuel,
+    getDuelsForUser,
+    getDuelsByStatus,
+    updateDuel,
+    createDuelInvite,
+    expireDuelInvites,
+    decideDuelWinner
+} from './duels.js';
+import {
+    VISIBILITY,
+    validateVisibility,
+    getVisibility,
+    generateInviteCode,
+    getActiveInviteCodes,
+    isValidInviteCode,
+    findChallengeByInviteCode,
+    buildInviteLink
+} from './invites.js';
+import {
+    validateTrainingPlan,
+    normalizeTrainingPlan,
+    parseTrainingPlanText,
+    formatTrainingPlanText,
+    getPlanDayNumber,
+    getPlanDay,
+    groupPlanByWeek
+} from './trainingPlans.js';
+import { rankChallenges } from './recommendations.js';
+import {
+    CONFLICT_STRATEGIES,
+    buildChallengeExport,
+    getExportFileName,
+    parseChallengeExport,
+    planChallengeImport,
+    summarizeImportPlan
+} from './challengeTransfer.js';
+import {
+    getQueue,
+    getQueuedUserIds,
+    getQueuePosition,
+    addToQueue,
+    removeFromQueue,
+    moveInQueue,
+    addQueueNotice,
+    takeQueueNotices
+} from './challengeQueue.js';
+import {
+    DISCUSSION_POLICIES,
+    validateDiscussionPolicy,
+    toMentionHandle,
+    getPosts,
+    buildThread,
+    createPost,
+    editPost,
+    deletePost,
+    deleteThread,
+    getMentionsOf
+} from './discussions.js';
+import { buildSearchIndex, searchChallenges, findMatchRanges } from './search.js';
+import { FACETS, STATUS_VALUES, createFacetSelections, filterByFacets, countFacets } from './facets.js';
 
 // ========================================
 // Constants & Configuration
@@ -14,7 +104,22 @@ const CHALLENGE_CONFIG = {
     STORAGE_KEY: 'fitchallenge_challenges',
     USER_CHALLENGES_KEY: 'fitchallenge_user_challenges',
     CHALLENGE_PROGRESS_KEY: 'fitchallenge_progress',
-    MAX_ACTIVE_CHALLENGES: 5
+    MAX_ACTIVE_CHALLENGES: 5, // default per-user limit
+    MAX_ACTIVE_LIMIT: 20,
+    MIN_TITLE_LENGTH: 3,
+    SYNC_PAGE_SIZE: 50,
+    CATALOG_PAGE_SIZE: 12,
+    MAX_SYNC_PAGES: 10,
+    MAX_TITLE_LENGTH: 80,
+    MIN_DESCRIPTION_LENGTH: 10,
+    MIN_DURATION: 1,
+    MAX_DURATION: 365,
+    SETTINGS_KEY: 'fitchallenge_challenge_settings',
+    DEFAULT_GRACE_PERIOD_HOURS: 24,
+    MAX_GRACE_PERIOD_HOURS: 168,
+    LIFECYCLE_CHECK_INTERVAL: 15 * 60 * 1000, // 15 minutes
+    DEFAULT_STREAK_FREEZES: 1,
+    MAX_STREAK_FREEZES: 10
 };
 
 // Challenge categories
@@ -27,6 +132,13 @@ const CHALLENGE_CATEGORIES = {
     SWIMMING: 'swimming'
 };
 
+// Where a progress entry came from
+const PROGRESS_SOURCES = {
+    MANUAL: 'manual',
+    STRAVA: 'strava',
+    FITBIT: 'fitbit'
+};
+
 // Challenge difficulty levels
 const DIFFICULTY_LEVELS = {
     BEGINNER: 'beginner',
@@ -38,6 +150,48 @@ const DIFFICULTY_LEVELS = {
 // Sample Challenge Data
 // ========================================
 
+// 30-Day Running Challenge sessions: [day, session, minutes]. Days not listed are rest days.
+const RUNNING_PLAN_SESSIONS = [
+    [1, '1 min run, 1 min walk x5', 10],
+    [2, '1 min run, 1 min walk x5', 10],
+    [4, '2 min run, 1 min walk x4', 12],
+    [5, '2 min run, 1 min walk x5', 15],
+    [6, '3 min run, 1 min walk x4', 16],
+    [8, '5 min run, 1 min walk x3', 18],
+    [9, '5 min run, 1 min walk x3', 18],
+    [11, '8 min run, 2 min walk x2', 20],
+    [12, '10 min run, 2 min walk, 8 min run', 20],
+    [13, '12 min run, 2 min walk, 8 min run', 22],
+    [15, '15 min run, 2 min walk x2', 34],
+    [16, '15 min run, 2 min walk x2', 34],
+    [18, '18 min run, 2 min walk, 8 min run', 28],
+    [19, '20 min continuous run', 20],
+    [20, '20 min run, 2 min walk, 8 min run', 30],
+    [22, '22 min continuous run', 22],
+    [23, '24 min continuous run', 24],
+    [25, '25 min continuous run', 25],
+    [26, '26 min continuous run', 26],
+    [27, '28 min continuous run', 28],
+    [30, '30 min continuous run', 30]
+];
+
+/**
+ * Build the day-by-day plan of the 30-Day Running Challenge.
+ * Sessions log their minutes and the distance covered at an easy 6.4 min/km.
+ * @returns {Array} Training plan
+ */
+function buildRunningPlan() {
+    const sessions = new Map(RUNNING_PLAN_SESSIONS.map(([day, title, minutes]) => [day, { title, minutes }]));
+
+    return Array.from({ length: 30 }, (_, index) => {
+        const day = index + 1;
+        const session = sessions.get(day);
+        return session
+            ? { day, title: session.title, progress: { minutes: session.minutes, distance: Math.round(session.minutes / 6.4 * 10) / 10 } }
+            : { day, title: 'Rest or an easy walk', rest: true };
+    });
+}
+
 /**
  * Initialize default challenges in localStorage
  */
@@ -65,6 +219,8 @@ function initializeDefaultChallenges() {
                     badge: '30-Day Runner',
                     achievements: ['First Mile', 'Marathon Ready', 'Consistent Runner']
                 },
+                completion: { mode: COMPLETION_MODES.ALL },
+                trainingPlan: normalizeTrainingPlan(buildRunningPlan()),
                 createdAt: '2024-01-01T00:00:00Z',
                 featured: true
             },
@@ -86,6 +242,7 @@ function initializeDefaultChallenges() {
                     badge: 'Zen Master',
                     achievements: ['First Flow', 'Flexible Warrior']
                 },
+                completion: { mode: COMPLETION_MODES.ALL },
                 createdAt: '2024-01-05T00:00:00Z',
                 featured: true
             },
@@ -108,6 +265,11 @@ function initializeDefaultChallenges() {
                     badge: 'Iron Warrior',
                     achievements: ['Strength Foundation', 'Progressive Overload', 'Muscle Builder']
                 },
+                completion: {
+                    mode: COMPLETION_MODES.WEIGHTED,
+                    weights: { totalWorkouts: 2, totalSets: 1, weightLifted: 1 },
+                    caps: { weightLifted: 100 }
+                },
                 createdAt: '2024-01-10T00:00:00Z',
                 featured: true
             },
@@ -130,6 +292,7 @@ function initializeDefaultChallenges() {
                     badge: 'HIIT Champion',
                     achievements: ['Intensity Master', 'Cardio King']
                 },
+                completion: { mode: COMPLETION_MODES.ALL },
                 createdAt: '2024-01-15T00:00:00Z',
                 featured: false
             },
@@ -152,6 +315,7 @@ function initializeDefaultChallenges() {
                     badge: 'Cycling Pro',
                     achievements: ['Century Rider', 'Hill Climber']
                 },
+                completion: { mode: COMPLETION_MODES.ANY, required: 2 },
                 createdAt: '2024-01-20T00:00:00Z',
                 featured: false
             }
@@ -159,7 +323,269 @@ function initializeDefaultChallenges() {
 
         localStorage.setItem(CHALLENGE_CONFIG.STORAGE_KEY, JSON.stringify(defaultChallenges));
         console.log('✅ Default challenges initialized');
+        return;
+    }
+
+    // Challenges seeded before training plans existed get the running plan once
+    const running = challenges.find(c => c.id === '1');
+    if (running && running.trainingPlan === undefined) {
+        running.trainingPlan = normalizeTrainingPlan(buildRunningPlan());
+        saveChallenges(challenges);
+    }
+}
+
+// ========================================
+// Validation Functions
+// ========================================
+
+/**
+ * Validate challenge title
+ * @param {string} title - Title to validate
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeTitle(title) {
+    if (!title || title.trim() === '') {
+        return { isValid: false, error: 'Title is required' };
+    }
+
+    if (title.trim().length < CHALLENGE_CONFIG.MIN_TITLE_LENGTH) {
+        return {
+            isValid: false,
+            error: `Title must be at least ${CHALLENGE_CONFIG.MIN_TITLE_LENGTH} characters`
+        };
+    }
+
+    if (title.trim().length > CHALLENGE_CONFIG.MAX_TITLE_LENGTH) {
+        return {
+            isValid: false,
+            error: `Title must be at most ${CHALLENGE_CONFIG.MAX_TITLE_LENGTH} characters`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate challenge description
+ * @param {string} description - Description to validate
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeDescription(description) {
+    if (!description || description.trim() === '') {
+        return { isValid: false, error: 'Description is required' };
+    }
+
+    if (description.trim().length < CHALLENGE_CONFIG.MIN_DESCRIPTION_LENGTH) {
+        return {
+            isValid: false,
+            error: `Description must be at least ${CHALLENGE_CONFIG.MIN_DESCRIPTION_LENGTH} characters`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate challenge category
+ * @param {string} category - Category to validate
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeCategory(category) {
+    if (!category || category.trim() === '') {
+        return { isValid: false, error: 'Category is required' };
+    }
+
+    if (!Object.values(CHALLENGE_CATEGORIES).includes(category)) {
+        return { isValid: false, error: 'Please choose a valid category' };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate challenge difficulty
+ * @param {string} difficulty - Difficulty level to validate
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeDifficulty(difficulty) {
+    if (!difficulty || difficulty.trim() === '') {
+        return { isValid: false, error: 'Difficulty is required' };
+    }
+
+    if (!Object.values(DIFFICULTY_LEVELS).includes(difficulty)) {
+        return { isValid: false, error: 'Please choose a valid difficulty level' };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate challenge duration
+ * @param {number|string} duration - Duration in days
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeDuration(duration) {
+    if (duration === undefined || duration === null || duration === '') {
+        return { isValid: false, error: 'Duration is required' };
+    }
+
+    const days = Number(duration);
+
+    if (!Number.isInteger(days)) {
+        return { isValid: false, error: 'Duration must be a whole number of days' };
+    }
+
+    if (days < CHALLENGE_CONFIG.MIN_DURATION || days > CHALLENGE_CONFIG.MAX_DURATION) {
+        return {
+            isValid: false,
+            error: `Duration must be between ${CHALLENGE_CONFIG.MIN_DURATION} and ${CHALLENGE_CONFIG.MAX_DURATION} days`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate challenge goals
+ * @param {Object} goals - Goals object (e.g. { totalDistance: 50, totalWorkouts: 20 })
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeGoals(goals) {
+    if (!goals || typeof goals !== 'object' || Object.keys(goals).length === 0) {
+        return { isValid: false, error: 'At least one goal is required' };
+    }
+
+    for (const [key, value] of Object.entries(goals)) {
+        const goalType = getGoalType(key);
+        if (!goalType) {
+            return { isValid: false, error: `Unknown goal: ${key}` };
+        }
+
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            return {
+                isValid: false,
+                error: `${goalType.label} must be a positive number`
+            };
+        }
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate a challenge image URL. Only http(s) and relative URLs are
+ * allowed, so an imported or edited challenge can't point at javascript: or data: URLs.
+ * @param {string|null} imageUrl - Image URL (optional)
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeImageUrl(imageUrl) {
+    if (imageUrl === undefined || imageUrl === null || imageUrl === '') {
+        return { isValid: true, error: null };
+    }
+
+    if (typeof imageUrl !== 'string') {
+        return { isValid: false, error: 'Image URL must be text' };
+    }
+
+    let protocol;
+    try {
+        // Relative URLs resolve against the base and come out as http:
+        protocol = new URL(imageUrl, 'http://localhost/').protocol;
+    } catch (error) {
+        return { isValid: false, error: 'Image URL is not a valid URL' };
+    }
+
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        return { isValid: false, error: 'Image URL must be an http(s) or relative URL' };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate challenge rewards
+ * @param {Object|null} rewards - Rewards { points, badge, achievements } (optional)
+ * @returns {Object} Validation result { isValid, error }
+ * @example
+ * validateChallengeRewards({ points: -50 }); // { isValid: false, error: 'Reward points must be a whole number, zero or more' }
+ */
+export function validateChallengeRewards(rewards) {
+    if (rewards === undefined || rewards === null) {
+        return { isValid: true, error: null };
+    }
+
+    if (typeof rewards !== 'object' || Array.isArray(rewards)) {
+        return { isValid: false, error: 'Rewards must be { points, badge, achievements }' };
+    }
+
+    if (rewards.points !== undefined && rewards.points !== null && rewards.points !== '') {
+        const points = Number(rewards.points);
+        if (typeof rewards.points === 'boolean' || !Number.isInteger(points) || points < 0) {
+            return { isValid: false, error: 'Reward points must be a whole number, zero or more' };
+        }
+    }
+
+    if (rewards.badge !== undefined && rewards.badge !== null && typeof rewards.badge !== 'string') {
+        return { isValid: false, error: 'Reward badge must be text' };
+    }
+
+    if (rewards.achievements !== undefined && rewards.achievements !== null && !Array.isArray(rewards.achievements)) {
+        return { isValid: false, error: 'Reward achievements must be a list' };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate a challenge's check-in schedule
+ * @param {Array<number>} restDays - Weekly rest days, 0 (Sunday) to 6 (optional)
+ * @param {number} streakFreezes - Streak freezes each participant gets (optional)
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateChallengeSchedule(restDays = [], streakFreezes = CHALLENGE_CONFIG.DEFAULT_STREAK_FREEZES) {
+    if (!Array.isArray(restDays) || restDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { isValid: false, error: 'Rest days must be days of the week' };
+    }
+
+    if (new Set(restDays).size >= 7) {
+        return { isValid: false, error: 'A challenge needs at least one active day per week' };
+    }
+
+    if (!Number.isInteger(streakFreezes) || streakFreezes < 0 || streakFreezes > CHALLENGE_CONFIG.MAX_STREAK_FREEZES) {
+        return {
+            isValid: false,
+            error: `Streak freezes must be between 0 and ${CHALLENGE_CONFIG.MAX_STREAK_FREEZES}`
+        };
     }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Run every challenge field validator and return the first failure
+ * @param {Object} challengeData - Challenge fields to validate
+ * @returns {Object} Validation result { isValid, error }
+ */
+function validateChallengeData(challengeData) {
+    const validations = [
+        validateChallengeTitle(challengeData.title),
+        validateChallengeDescription(challengeData.description),
+        validateChallengeCategory(challengeData.category),
+        validateChallengeDifficulty(challengeData.difficulty),
+        validateChallengeDuration(challengeData.duration),
+        validateChallengeImageUrl(challengeData.imageUrl),
+        validateChallengeRewards(challengeData.rewards),
+        validateChallengeGoals(challengeData.goals),
+        validateCompletionPolicy(challengeData.completion, challengeData.goals),
+        validateChallengeCohorts(challengeData.cohorts),
+        validateChallengeSchedule(challengeData.restDays, challengeData.streakFreezes),
+        validateTeamSettings(challengeData.teamSettings, validateChallengeGoals),
+        validateVisibility(challengeData.visibility),
+        validateTrainingPlan(challengeData.trainingPlan, challengeData.duration),
+        validateDiscussionPolicy(challengeData.discussionPolicy)
+    ];
+
+    return validations.find(v => !v.isValid) || { isValid: true, error: null };
 }
 
 // ========================================
@@ -180,6 +606,55 @@ export function getChallenges() {
     }
 }
 
+/**
+ * Save challenges array to localStorage
+ * @param {Array} challenges - Array of challenge objects
+ */
+function saveChallenges(challenges) {
+    try {
+        localStorage.setItem(CHALLENGE_CONFIG.STORAGE_KEY, JSON.stringify(challenges));
+    } catch (error) {
+        console.error('Error saving challenges:', error);
+    }
+}
+
+/**
+ * Get challenges shown in the catalog: public challenges, plus unlisted and
+ * private ones the current user owns or has joined. Archived challenges and
+ * duels are excluded.
+ * @returns {Array} Array of challenge objects
+ */
+export function getCatalogChallenges() {
+    const user = getCurrentUser();
+    const joined = new Set(user ? getUserChallenges(user.id).map(uc => uc.challengeId) : []);
+
+    return getChallenges().filter(c => !c.archived && !c.duelId && canAccessChallenge(c) && (
+        getVisibility(c) === VISIBILITY.PUBLIC ||
+        (user && (c.createdBy === user.id || joined.has(c.id)))
+    ));
+}
+
+/**
+ * Normalize team settings for storage
+ * @param {Object} teamSettings - { maxSize, goals } or null
+ * @returns {Object|null} Normalized settings or null for individual challenges
+ */
+function normalizeTeamSettings(teamSettings) {
+    if (!teamSettings) return null;
+    return {
+        maxSize: Number(teamSettings.maxSize),
+        goals: teamSettings.goals ? { ...teamSettings.goals } : null
+    };
+}
+
+/**
+ * Generate unique challenge ID
+ * @returns {string} Unique ID
+ */
+function generateChallengeId() {
+    return 'c' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
 /**
  * Get challenge by ID
  * @param {string} challengeId - Challenge ID
@@ -196,7 +671,7 @@ export function getChallengeById(challengeId) {
  * @returns {Array} Filtered challenges
  */
 export function getChallengesByCategory(category) {
-    const challenges = getChallenges();
+    const challenges = getCatalogChallenges();
     if (category === 'all') return challenges;
     return challenges.filter(c => c.category === category);
 }
@@ -207,7 +682,7 @@ export function getChallengesByCategory(category) {
  * @returns {Array} Filtered challenges
  */
 export function getChallengesByDifficulty(difficulty) {
-    const challenges = getChallenges();
+    const challenges = getCatalogChallenges();
     if (difficulty === 'all') return challenges;
     return challenges.filter(c => c.difficulty === difficulty);
 }
@@ -218,240 +693,707 @@ export function getChallengesByDifficulty(difficulty) {
  * @returns {Array} Featured challenges
  */
 export function getFeaturedChallenges(limit = 3) {
-    const challenges = getChallenges();
+    const challenges = getCatalogChallenges();
     return challenges
         .filter(c => c.featured)
         .sort((a, b) => b.participants - a.participants)
         .slice(0, limit);
 }
 
-// ========================================
-// User Challenge Management
-// ========================================
-
 /**
- * Get user's active challenges
- * @param {string} userId - User ID (optional, uses current user if not provided)
- * @returns {Array} Array of user challenge objects
+ * Recommend challenges for a user from their completed and abandoned
+ * challenges, the categories they train in, their recent activity volume
+ * (manual logs and Strava/Fitbit syncs, including activities that didn't
+ * match a challenge) and the next difficulty level up.
+ * Without a user this falls back to the featured challenges.
+ * @param {Object} user - User object (default: current user)
+ * @param {number} limit - Number of challenges to return
+ * @returns {Array} [{ challenge, score, reasons, why }] best first
+ *
+ * @example
+ * getRecommendedChallenges(getCurrentUser()).forEach(({ challenge, why }) => {
+ *   console.log(`${challenge.title}: ${why}`);
+ * });
  */
-export function getUserChallenges(userId = null) {
-    try {
-        const user = userId || getCurrentUser()?.id;
-        if (!user) return [];
+export function getRecommendedChallenges(user = null, limit = 3) {
+    const target = user || getCurrentUser();
+
+    if (!target) {
+        return getFeaturedChallenges(limit).map(challenge => ({
+            challenge: challenge,
+            score: 0,
+            reasons: [],
+            why: 'Popular with the community'
+        }));
+    }
 
-        const userChallengesJson = localStorage.getItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY);
-        const allUserChallenges = userChallengesJson ? JSON.parse(userChallengesJson) : {};
+    const challengesById = new Map(getChallenges().map(c => [c.id, c]));
+    const ledger = getProgressLedger();
+
+    const history = getUserChallenges(target.id)
+        .filter(uc => challengesById.has(uc.challengeId))
+        .map(uc => ({ challenge: challengesById.get(uc.challengeId), userChallenge: uc }));
+
+    const entries = history.flatMap(({ challenge, userChallenge }) =>
+        (ledger[userChallenge.id] || [])
+            .filter(entry => !entry.deletedAt)
+            .map(entry => ({ challenge, data: entry.data, occurredAt: entry.occurredAt }))
+    );
+
+    // Synced activities that didn't fit a challenge still show what the user trains
+    const seen = new Set();
+    history.forEach(({ userChallenge }) => {
+        (userChallenge.unmatchedActivities || []).forEach(activity => {
+            const key = `${activity.source}:${activity.externalId}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const category = Object.values(CHALLENGE_CATEGORIES)
+                .find(c => activityMatchesChallenge({ category: c }, activity.source, activity.activityType));
+            if (category) {
+                entries.push({ challenge: { category }, data: activity.data || {}, occurredAt: activity.occurredAt });
+            }
+        });
+    });
 
-        return allUserChallenges[user] || [];
-    } catch (error) {
-        console.error('Error reading user challenges:', error);
-        return [];
-    }
+    return rankChallenges(getCatalogChallenges(), { history, entries }).slice(0, limit);
 }
 
 /**
- * Check if user has joined a specific challenge
- * @param {string} challengeId - Challenge ID
- * @param {string} userId - User ID (optional)
- * @returns {boolean} True if user has joined
+ * Check if a user can edit a challenge (only the creator can)
+ * @param {Object} challenge - Challenge object
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {boolean} True if the user owns the challenge
  */
-export function hasJoinedChallenge(challengeId, userId = null) {
-    const userChallenges = getUserChallenges(userId);
-    return userChallenges.some(uc => uc.challengeId === challengeId);
+export function canEditChallenge(challenge, userId = null) {
+    const user = userId || getCurrentUser()?.id;
+    // A duel's terms were agreed by both sides, so neither can change them
+    return !!(challenge && user && challenge.createdBy === user && !challenge.duelId);
 }
 
 /**
- * Join a challenge
- * @param {string} challengeId - Challenge ID to join
- * @returns {Object} Result { success, message, userChallenge }
- * 
+ * Create a new user-defined challenge
+ * @param {Object} challengeData - Challenge data
+ * @param {string} challengeData.title - Challenge title
+ * @param {string} challengeData.description - Challenge description
+ * @param {string} challengeData.category - One of CHALLENGE_CATEGORIES
+ * @param {string} challengeData.difficulty - One of DIFFICULTY_LEVELS
+ * @param {number} challengeData.duration - Duration in days
+ * @param {Object} challengeData.goals - Goals keyed by registered goal type
+ * @param {Object} challengeData.rewards - Rewards { points, badge, achievements } (optional)
+ * @param {Object} challengeData.completion - Completion policy (optional, defaults to all goals)
+ * @returns {Object} Result { success, message, challenge }
+ *
  * @example
- * const result = await joinChallenge('1');
- * if (result.success) {
- *   console.log('Joined challenge!', result.userChallenge);
- * }
+ * const result = createChallenge({
+ *   title: 'October Step-Up',
+ *   description: 'Walk or run 100 km as a team this month.',
+ *   category: 'running',
+ *   difficulty: 'beginner',
+ *   duration: 31,
+ *   goals: { totalDistance: 100 }
+ * });
  */
-export async function joinChallenge(challengeId) {
+export function createChallenge(challengeData) {
     try {
-        // Check if user is logged in
         if (!isLoggedIn()) {
-            return {
-                success: false,
-                message: 'You must be logged in to join challenges'
-            };
-        }
-
-        const user = getCurrentUser();
-        const challenge = getChallengeById(challengeId);
-
-        if (!challenge) {
-            return {
-                success: false,
-                message: 'Challenge not found'
-            };
-        }
-
-        // Check if already joined
-        if (hasJoinedChallenge(challengeId)) {
-            return {
-                success: false,
-                message: 'You have already joined this challenge'
-            };
-        }
-
-        // Check max active challenges
-        const userChallenges = getUserChallenges();
-        const activeChallenges = userChallenges.filter(uc => uc.status === 'active');
-
-        if (activeChallenges.length >= CHALLENGE_CONFIG.MAX_ACTIVE_CHALLENGES) {
-            return {
-                success: false,
-                message: `You can only have ${CHALLENGE_CONFIG.MAX_ACTIVE_CHALLENGES} active challenges at a time`
-            };
+            return { success: false, message: 'You must be logged in to create challenges' };
         }
 
-        // Create user challenge entry
-        const userChallenge = {
-            id: `${user.id}_${challengeId}_${Date.now()}`,
-            userId: user.id,
-            challengeId: challengeId,
-            startDate: new Date().toISOString(),
-            endDate: calculateEndDate(challenge.duration),
-            status: 'active', // active, completed, abandoned
-            progress: {
-                currentDay: 1,
-                totalDays: challenge.duration,
-                completedWorkouts: 0,
-                totalWorkouts: challenge.goals.totalWorkouts || challenge.duration,
-                ...initializeChallengeProgress(challenge)
-            },
-            joinedAt: new Date().toISOString()
-        };
-
-        // Save user challenge
-        const userChallengesJson = localStorage.getItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY);
-        const allUserChallenges = userChallengesJson ? JSON.parse(userChallengesJson) : {};
-
-        if (!allUserChallenges[user.id]) {
-            allUserChallenges[user.id] = [];
+        const validation = validateChallengeData(challengeData);
+        if (!validation.isValid) {
+            return { success: false, message: validation.error };
         }
 
-        allUserChallenges[user.id].push(userChallenge);
-        localStorage.setItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY, JSON.stringify(allUserChallenges));
+        const challenge = buildChallengeRecord(challengeData, getCurrentUser().id);
 
-        // Update challenge participants count
-        updateChallengeParticipants(challengeId, 1);
+        const challenges = getChallenges();
+        challenges.push(challenge);
+        saveChallenges(challenges);
 
-        console.log('✅ Joined challenge:', challenge.title);
+        console.log('✅ Challenge created:', challenge.title);
 
         return {
             success: true,
-            message: `Successfully joined ${challenge.title}!`,
-            userChallenge: userChallenge
+            message: `${challenge.title} created!`,
+            challenge: challenge
         };
 
     } catch (error) {
-        console.error('Error joining challenge:', error);
-        return {
-            success: false,
-            message: 'An error occurred while joining the challenge'
-        };
+        console.error('Error creating challenge:', error);
+        return { success: false, message: 'An error occurred while creating the challenge' };
     }
 }
 
 /**
- * Leave/abandon a challenge
- * @param {string} challengeId - Challenge ID to leave
- * @returns {Object} Result { success, message }
+ * Build a new stored challenge from validated challenge fields
+ * @param {Object} challengeData - Challenge fields (see createChallenge)
+ * @param {string} userId - Owner
+ * @returns {Object} Challenge object with a new ID
  */
-export function leaveChallenge(challengeId) {
+function buildChallengeRecord(challengeData, userId) {
+    return {
+        id: generateChallengeId(),
+        title: challengeData.title.trim(),
+        category: challengeData.category,
+        difficulty: challengeData.difficulty,
+        duration: Number(challengeData.duration),
+        description: challengeData.description.trim(),
+        imageUrl: challengeData.imageUrl || null,
+        participants: 0,
+        goals: { ...challengeData.goals },
+        rewards: normalizeChallengeRewards(challengeData.rewards),
+        completion: challengeData.completion || { mode: COMPLETION_MODES.ALL },
+        // Fixed-date runs; empty means everyone starts when they join
+        cohorts: normalizeCohorts(challengeData.cohorts),
+        restDays: [...new Set(challengeData.restDays || [])].sort(),
+        streakFreezes: challengeData.streakFreezes ?? CHALLENGE_CONFIG.DEFAULT_STREAK_FREEZES,
+        // Team challenges: { maxSize, goals }; null for individual challenges
+        teamSettings: normalizeTeamSettings(challengeData.teamSettings),
+        visibility: challengeData.visibility || VISIBILITY.PUBLIC,
+        // Who can post in the challenge's discussion thread
+        discussionPolicy: challengeData.discussionPolicy || DISCUSSION_POLICIES.EVERYONE,
+        // Day-by-day sessions; empty means no plan
+        trainingPlan: normalizeTrainingPlan(challengeData.trainingPlan),
+        // Private challenges start with one invite code
+        inviteCodes: challengeData.visibility === VISIBILITY.PRIVATE ? [generateInviteCode(userId)] : [],
+        // Users let in with a code (they can start new attempts without one) and users the owner removed
+        invitedUsers: [],
+        removedUsers: [],
+        createdAt: new Date().toISOString(),
+        createdBy: userId,
+        featured: false,
+        archived: false
+    };
+}
+
+/**
+ * Fill in reward defaults for a validated rewards object
+ * @param {Object|null} rewards - Rewards { points, badge, achievements } (optional)
+ * @returns {Object} Rewards { points, badge, achievements }
+ */
+function normalizeChallengeRewards(rewards) {
+    const { points, badge, achievements } = rewards || {};
+
+    return {
+        points: Number(points) || 0,
+        badge: badge || null,
+        achievements: achievements || []
+    };
+}
+
+/**
+ * Update a user-defined challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} updates - Fields to change (same shape as createChallenge)
+ * @returns {Object} Result { success, message, challenge }
+ */
+export function updateChallenge(challengeId, updates) {
     try {
         if (!isLoggedIn()) {
             return { success: false, message: 'You must be logged in' };
         }
 
-        const user = getCurrentUser();
-        const userChallengesJson = localStorage.getItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY);
-        const allUserChallenges = userChallengesJson ? JSON.parse(userChallengesJson) : {};
+        const challenges = getChallenges();
+        const challengeIndex = challenges.findIndex(c => c.id === challengeId);
 
-        if (!allUserChallenges[user.id]) {
+        if (challengeIndex === -1) {
             return { success: false, message: 'Challenge not found' };
         }
 
-        // Find and update challenge status
-        const userChallenges = allUserChallenges[user.id];
-        const challengeIndex = userChallenges.findIndex(uc => uc.challengeId === challengeId);
+        if (!canEditChallenge(challenges[challengeIndex])) {
+            return { success: false, message: 'You can only edit challenges you created' };
+        }
 
-        if (challengeIndex === -1) {
-            return { success: false, message: 'You have not joined this challenge' };
+        // Identity and bookkeeping fields can't be changed through updates
+        const {
+            id, createdBy, createdAt, participants, inviteCodes, invitedUsers, removedUsers,
+            featured, archived, archivedAt, duelId, importedAt, updatedAt,
+            ...editable
+        } = updates;
+        const updated = { ...challenges[challengeIndex], ...editable };
+
+        const validation = validateChallengeData(updated);
+        if (!validation.isValid) {
+            return { success: false, message: validation.error };
         }
 
-        userChallenges[challengeIndex].status = 'abandoned';
-        userChallenges[challengeIndex].endDate = new Date().toISOString();
+        updated.title = updated.title.trim();
+        updated.description = updated.description.trim();
+        updated.duration = Number(updated.duration);
+        updated.rewards = normalizeChallengeRewards(updated.rewards);
+        // Participants already placed in a cohort keep the dates they joined with
+        updated.cohorts = normalizeCohorts(updated.cohorts);
+        updated.restDays = [...new Set(updated.restDays || [])].sort();
+        updated.teamSettings = normalizeTeamSettings(updated.teamSettings);
+        updated.trainingPlan = normalizeTrainingPlan(updated.trainingPlan);
+        if (getVisibility(updated) === VISIBILITY.PRIVATE && getActiveInviteCodes(updated).length === 0) {
+            updated.inviteCodes = [...(updated.inviteCodes || []), generateInviteCode(getCurrentUser().id)];
+        }
+        updated.updatedAt = new Date().toISOString();
 
-        localStorage.setItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY, JSON.stringify(allUserChallenges));
+        challenges[challengeIndex] = updated;
+        saveChallenges(challenges);
 
-        // Update challenge participants count
-        updateChallengeParticipants(challengeId, -1);
+        return { success: true, message: 'Challenge updated', challenge: updated };
 
-        return { success: true, message: 'Challenge abandoned' };
+    } catch (error) {
+        console.error('Error updating challenge:', error);
+        return { success: false, message: 'An error occurred while updating the challenge' };
+    }
+}
+
+/**
+ * Archive a challenge so it no longer appears in the catalog.
+ * Users who already joined keep their progress.
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Result { success, message }
+ */
+export function archiveChallenge(challengeId) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const challenges = getChallenges();
+        const challenge = challenges.find(c => c.id === challengeId);
+
+        if (!challenge) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        if (!canEditChallenge(challenge)) {
+            return { success: false, message: 'You can only archive challenges you created' };
+        }
+
+        challenge.archived = true;
+        challenge.archivedAt = new Date().toISOString();
+        saveChallenges(challenges);
+
+        return { success: true, message: `${challenge.title} archived` };
 
     } catch (error) {
-        console.error('Error leaving challenge:', error);
+        console.error('Error archiving challenge:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+/**
+ * Permanently delete a challenge. Challenges that someone has joined
+ * must be archived instead so their progress isn't orphaned.
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Result { success, message }
+ */
+export function deleteChallenge(challengeId) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const challenges = getChallenges();
+        const challenge = challenges.find(c => c.id === challengeId);
+
+        if (!challenge) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        if (!canEditChallenge(challenge)) {
+            return { success: false, message: 'You can only delete challenges you created' };
+        }
+
+        const hasParticipants = Object.values(getAllUserChallenges())
+            .some(list => list.some(uc => uc.challengeId === challengeId));
+
+        if (hasParticipants) {
+            return {
+                success: false,
+                message: 'This challenge already has participants. Archive it instead.'
+            };
+        }
+
+        saveChallenges(challenges.filter(c => c.id !== challengeId));
+        deleteThread(challengeId);
+
+        return { success: true, message: `${challenge.title} deleted` };
+
+    } catch (error) {
+        console.error('Error deleting challenge:', error);
         return { success: false, message: 'An error occurred' };
     }
 }
 
 // ========================================
-// Progress Tracking
+// User Challenge Management
 // ========================================
 
 /**
- * Initialize challenge progress based on challenge goals
- * @param {Object} challenge - Challenge object
- * @returns {Object} Initial progress object
+ * Get user's active challenges
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {Array} Array of user challenge objects
  */
-function initializeChallengeProgress(challenge) {
-    const progress = {};
+export function getUserChallenges(userId = null) {
+    try {
+        const user = userId || getCurrentUser()?.id;
+        if (!user) return [];
+
+        const userChallengesJson = localStorage.getItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY);
+        const allUserChallenges = userChallengesJson ? JSON.parse(userChallengesJson) : {};
 
-    if (challenge.goals.totalDistance) {
-        progress.currentDistance = 0;
-        progress.totalDistance = challenge.goals.totalDistance;
+        return allUserChallenges[user] || [];
+    } catch (error) {
+        console.error('Error reading user challenges:', error);
+        return [];
     }
+}
 
-    if (challenge.goals.caloriesBurned) {
-        progress.currentCalories = 0;
-        progress.totalCalories = challenge.goals.caloriesBurned;
+/**
+ * Get every user's challenges, keyed by user ID
+ * @returns {Object} { [userId]: Array of user challenge objects }
+ */
+function getAllUserChallenges() {
+    try {
+        const userChallengesJson = localStorage.getItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY);
+        return userChallengesJson ? JSON.parse(userChallengesJson) : {};
+    } catch (error) {
+        console.error('Error reading user challenges:', error);
+        return {};
     }
+}
 
-    if (challenge.goals.totalMinutes) {
-        progress.currentMinutes = 0;
-        progress.totalMinutes = challenge.goals.totalMinutes;
+/**
+ * Save every user's challenges to localStorage
+ * @param {Object} allUserChallenges - { [userId]: Array of user challenge objects }
+ */
+function saveAllUserChallenges(allUserChallenges) {
+    try {
+        localStorage.setItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY, JSON.stringify(allUserChallenges));
+    } catch (error) {
+        console.error('Error saving user challenges:', error);
     }
+}
+
+/**
+ * Check if user has an attempt in progress for a specific challenge.
+ * Finished attempts (completed, abandoned, expired, failed) don't count,
+ * so the challenge can be tried again.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID (optional)
+ * @returns {boolean} True if user is currently taking part
+ */
+export function hasJoinedChallenge(challengeId, userId = null) {
+    const userChallenges = getUserChallenges(userId);
+    const latest = userChallenges[findLatestAttemptIndex(userChallenges, challengeId)];
+    return !!latest && latest.status === 'active';
+}
 
-    if (challenge.goals.totalSessions) {
-        progress.currentSessions = 0;
-        progress.totalSessions = challenge.goals.totalSessions;
+/**
+ * Find the index of the most recent attempt at a challenge
+ * @param {Array} userChallenges - One user's challenge entries (oldest first)
+ * @param {string} challengeId - Challenge ID
+ * @returns {number} Index of the latest attempt, or -1 if never joined
+ */
+function findLatestAttemptIndex(userChallenges, challengeId) {
+    for (let i = userChallenges.length - 1; i >= 0; i--) {
+        if (userChallenges[i].challengeId === challengeId) return i;
     }
+    return -1;
+}
 
-    return progress;
+/**
+ * Get every attempt a user has made at a challenge, oldest first
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID (optional)
+ * @returns {Array} User challenge objects, each with an attemptNumber
+ *
+ * @example
+ * const attempts = getChallengeAttempts('1');
+ * console.log(`Attempt ${attempts.length} of the running challenge`);
+ */
+export function getChallengeAttempts(challengeId, userId = null) {
+    return getUserChallenges(userId)
+        .filter(uc => uc.challengeId === challengeId)
+        .map((uc, index) => ({ ...uc, attemptNumber: uc.attemptNumber || index + 1 }));
 }
 
 /**
- * Update challenge progress
+ * Get the best attempt at a challenge. Completed attempts beat unfinished ones,
+ * then the higher completion percentage wins, then the faster completion.
  * @param {string} challengeId - Challenge ID
- * @param {Object} progressData - Progress data to update
- * @returns {Object} Result { success, message, progress }
+ * @param {string} userId - User ID (optional)
+ * @returns {Object|null} { attempt, percentage } or null if never joined
+ */
+export function getBestAttempt(challengeId, userId = null) {
+    const ranked = getChallengeAttempts(challengeId, userId)
+        .map(attempt => ({
+            attempt: attempt,
+            percentage: evaluateChallengeCompletion(attempt).percentage,
+            completed: attempt.status === 'completed',
+            daysTaken: attempt.completedAt
+                ? (new Date(attempt.completedAt) - new Date(attempt.startDate)) / 86400000
+                : Infinity
+        }))
+        .sort((a, b) =>
+            (b.completed - a.completed) ||
+            (b.percentage - a.percentage) ||
+            (a.daysTaken - b.daysTaken) ||
+            (a.attempt.attemptNumber - b.attempt.attemptNumber));
+
+    return ranked.length > 0 ? { attempt: ranked[0].attempt, percentage: ranked[0].percentage } : null;
+}
+
+/**
+ * Rank everyone taking part in a challenge. Cohort challenges are ranked
+ * per cohort so only people racing on the same dates are compared; rolling
+ * challenges rank every participant's latest attempt.
+ * Completed attempts come first (earliest finish wins), then by percentage.
+ * Abandoned attempts are left out.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} cohortId - Cohort ID (null for rolling challenges)
+ * @returns {Array} [{ rank, userId, attemptId, cohortId, status, percentage, completedAt }]
+ *
+ * @example
+ * const mine = getChallengeRankings('1', userChallenge.cohortId)
+ *   .find(row => row.userId === user.id);
+ */
+export function getChallengeRankings(challengeId, cohortId = null) {
+    const rows = [];
+
+    Object.entries(getAllUserChallenges()).forEach(([userId, userChallenges]) => {
+        const attempts = userChallenges.filter(uc =>
+            uc.challengeId === challengeId &&
+            (uc.cohortId || null) === cohortId &&
+            uc.status !== 'abandoned');
+        const attempt = attempts[attempts.length - 1];
+        if (!attempt) return;
+
+        rows.push({
+            userId: userId,
+            attemptId: attempt.id,
+            cohortId: cohortId,
+            status: attempt.status,
+            percentage: evaluateChallengeCompletion(attempt).percentage,
+            completedAt: attempt.status === 'completed' ? attempt.completedAt : null
+        });
+    });
+
+    return rows
+        .sort((a, b) =>
+            (!!b.completedAt - !!a.completedAt) ||
+            (a.completedAt && b.completedAt ? new Date(a.completedAt) - new Date(b.completedAt) : 0) ||
+            (b.percentage - a.percentage))
+        .map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+/**
+ * Build a new user challenge entry (one attempt at a challenge)
+ * @param {string} userId - User ID
+ * @param {Object} challenge - Challenge object
+ * @param {Object} attempt - { startDate, endDate, cohortId, attemptNumber, previousAttemptId }
+ * @returns {Object} User challenge entry
+ */
+function createUserChallengeEntry(userId, challenge, attempt) {
+    return {
+        id: `${userId}_${challenge.id}_${Date.now()}`,
+        userId: userId,
+        challengeId: challenge.id,
+        startDate: attempt.startDate,
+        endDate: attempt.endDate,
+        cohortId: attempt.cohortId || null,
+        status: 'active', // active, completed, abandoned, expired, failed
+        progress: createInitialProgress(challenge),
+        // Starting point the progress ledger is replayed onto
+        baseProgress: createInitialProgress(challenge),
+        joinedAt: new Date().toISOString(),
+        attemptNumber: attempt.attemptNumber || 1,
+        previousAttemptId: attempt.previousAttemptId || null,
+        // Days checked in without logging an activity, and missed days covered by a freeze
+        checkIns: [],
+        frozenDays: [],
+        streakFreezes: challenge.streakFreezes ?? CHALLENGE_CONFIG.DEFAULT_STREAK_FREEZES
+    };
+}
+
+/**
+ * Add a user challenge entry to its user's challenges
+ * @param {Object} userChallenge - User challenge entry
+ */
+function saveUserChallengeEntry(userChallenge) {
+    const allUserChallenges = getAllUserChallenges();
+
+    if (!allUserChallenges[userChallenge.userId]) {
+        allUserChallenges[userChallenge.userId] = [];
+    }
+
+    allUserChallenges[userChallenge.userId].push(userChallenge);
+    saveAllUserChallenges(allUserChallenges);
+}
+
+/**
+ * Join a challenge
+ * @param {string} challengeId - Challenge ID to join
+ * @param {Object} options - Join options
+ * @param {string} options.inviteCode - Invite code, required for private challenges
+ * @returns {Object} Result { success, message, userChallenge }
  * 
  * @example
- * updateChallengeProgress('1', {
- *   distance: 5.5,
- *   calories: 450,
- *   minutes: 30,
- *   workoutCompleted: true
- * });
+ * const result = await joinChallenge('1');
+ * if (result.success) {
+ *   console.log('Joined challenge!', result.userChallenge);
+ * }
+ */
+export async function joinChallenge(challengeId, options = {}) {
+    try {
+        // Check if user is logged in
+        if (!isLoggedIn()) {
+            return {
+                success: false,
+                message: 'You must be logged in to join challenges'
+            };
+        }
+
+        return enrollUser(getCurrentUser().id, challengeId, options);
+
+    } catch (error) {
+        console.error('Error joining challenge:', error);
+        return {
+            success: false,
+            message: 'An error occurred while joining the challenge'
+        };
+    }
+}
+
+/**
+ * Start a user's next attempt at a challenge. joinChallenge uses it for the
+ * current user; queued challenges use it to start on their own.
+ * @param {string} userId - User ID
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} options - { inviteCode } as for joinChallenge
+ * @returns {Object} Result { success, message, userChallenge }, with
+ *   limitReached set when the user has no free active slot
+ */
+function enrollUser(userId, challengeId, options = {}) {
+    const challenge = getChallengeById(challengeId);
+
+    if (!challenge) {
+        return {
+            success: false,
+            message: 'Challenge not found'
+        };
+    }
+
+    if (challenge.duelId) {
+        return {
+            success: false,
+            message: 'Duels can only be joined by accepting an invite'
+        };
+    }
+
+    // Check if already joined
+    if (hasJoinedChallenge(challengeId, userId)) {
+        return {
+            success: false,
+            message: 'You have already joined this challenge'
+        };
+    }
+
+    if ((challenge.removedUsers || []).includes(userId)) {
+        return {
+            success: false,
+            message: 'The organizer removed you from this challenge'
+        };
+    }
+
+    // Private challenges let people in with a valid invite code
+    const needsInvite = !canAccessChallenge(challenge, userId);
+    if (needsInvite && !isValidInviteCode(challenge, options.inviteCode)) {
+        return {
+            success: false,
+            message: options.inviteCode
+                ? 'That invite code is invalid or has been revoked'
+                : 'This challenge is private. You need an invite code to join'
+        };
+    }
+
+    // Finished attempts stay in the history; this one gets the next number
+    const previousAttempts = getChallengeAttempts(challengeId, userId);
+    const lastAttempt = previousAttempts[previousAttempts.length - 1];
+
+    // Cohort challenges place everyone joining now on the same fixed dates
+    let cohort = null;
+    if (hasCohorts(challenge)) {
+        cohort = getOpenCohort(challenge);
+
+        if (!cohort) {
+            const next = getNextCohort(challenge);
+            return {
+                success: false,
+                message: next
+                    ? `Registration is closed. ${next.name} opens on ${new Date(next.registrationOpens).toLocaleDateString()}`
+                    : 'Registration is closed and no further cohorts are scheduled'
+            };
+        }
+
+        if (previousAttempts.some(a => a.cohortId === cohort.id && a.status === 'completed')) {
+            return {
+                success: false,
+                message: `You have already completed ${cohort.name}`
+            };
+        }
+    }
+
+    // Check the user's active challenge limit, for as long as this attempt runs
+    if (!hasFreeChallengeSlot(userId, getAttemptWindow(challenge))) {
+        return {
+            success: false,
+            limitReached: true,
+            message: `You can only have ${getChallengeSettings(userId).maxActiveChallenges} active challenges at a time. Queue it to start when a slot frees up`
+        };
+    }
+
+    // Create and save user challenge entry
+    const userChallenge = createUserChallengeEntry(userId, challenge, {
+        startDate: cohort ? cohort.startDate : new Date().toISOString(),
+        endDate: cohort ? cohort.endDate : calculateEndDate(challenge.duration),
+        cohortId: cohort ? cohort.id : null,
+        attemptNumber: previousAttempts.length + 1,
+        previousAttemptId: lastAttempt ? lastAttempt.id : null
+    });
+    saveUserChallengeEntry(userChallenge);
+
+    // Joining directly takes it out of the queue
+    if (getQueuePosition(userId, challengeId)) {
+        removeFromQueue(userId, challengeId);
+    }
+
+    if (needsInvite) {
+        mutateChallenge(challengeId, c => { c.invitedUsers = [...(c.invitedUsers || []), userId]; });
+    }
+
+    // Update challenge participants count (leaving gave the spot back;
+    // completing or running out of time did not)
+    if (!lastAttempt || lastAttempt.status === 'abandoned') {
+        updateChallengeParticipants(challengeId, 1);
+    }
+
+    console.log('✅ Joined challenge:', challenge.title, `(attempt ${userChallenge.attemptNumber})`);
+
+    return {
+        success: true,
+        message: cohort
+            ? `Joined ${cohort.name} of ${challenge.title}! It starts on ${new Date(cohort.startDate).toLocaleDateString()}`
+            : userChallenge.attemptNumber > 1
+                ? `Attempt ${userChallenge.attemptNumber} at ${challenge.title} started!`
+                : `Successfully joined ${challenge.title}!`,
+        userChallenge: userChallenge
+    };
+}
+
+/**
+ * Leave/abandon a challenge
+ * @param {string} challengeId - Challenge ID to leave
+ * @returns {Object} Result { success, message }
  */
-export function updateChallengeProgress(challengeId, progressData) {
+export function leaveChallenge(challengeId) {
     try {
         if (!isLoggedIn()) {
             return { success: false, message: 'You must be logged in' };
@@ -465,178 +1407,2847 @@ export function updateChallengeProgress(challengeId, progressData) {
             return { success: false, message: 'Challenge not found' };
         }
 
+        // Find and update challenge status
         const userChallenges = allUserChallenges[user.id];
-        const challengeIndex = userChallenges.findIndex(uc => uc.challengeId === challengeId);
+        const challengeIndex = findLatestAttemptIndex(userChallenges, challengeId);
 
         if (challengeIndex === -1) {
             return { success: false, message: 'You have not joined this challenge' };
         }
 
-        const userChallenge = userChallenges[challengeIndex];
+        if (userChallenges[challengeIndex].status !== 'active') {
+            return { success: false, message: 'This attempt has already finished' };
+        }
+
+        userChallenges[challengeIndex].status = 'abandoned';
+        userChallenges[challengeIndex].endDate = new Date().toISOString();
+
+        localStorage.setItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY, JSON.stringify(allUserChallenges));
+
+        // Update challenge participants count
+        updateChallengeParticipants(challengeId, -1);
+
+        // Free the team spot for someone else
+        if (getTeamForUser(challengeId, user.id)) {
+            leaveTeam(challengeId, user.id);
+        }
+
+        // The freed slot goes to the next queued challenge
+        startQueuedChallenges(user.id);
+
+        return { success: true, message: 'Challenge abandoned' };
+
+    } catch (error) {
+        console.error('Error leaving challenge:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+// ========================================
+// Challenge Settings
+// ========================================
+
+/**
+ * Get a user's challenge settings, filled in with defaults
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {Object} Settings { gracePeriodHours, maxActiveChallenges }
+ */
+export function getChallengeSettings(userId = null) {
+    const defaults = {
+        gracePeriodHours: CHALLENGE_CONFIG.DEFAULT_GRACE_PERIOD_HOURS,
+        maxActiveChallenges: CHALLENGE_CONFIG.MAX_ACTIVE_CHALLENGES
+    };
+
+    try {
+        const user = userId || getCurrentUser()?.id;
+        const settingsJson = localStorage.getItem(CHALLENGE_CONFIG.SETTINGS_KEY);
+        const allSettings = settingsJson ? JSON.parse(settingsJson) : {};
+
+        return { ...defaults, ...(user ? allSettings[user] : {}) };
+    } catch (error) {
+        console.error('Error reading challenge settings:', error);
+        return defaults;
+    }
+}
+
+/**
+ * Update the current user's challenge settings
+ * @param {Object} updates - Settings to change
+ * @param {number} updates.gracePeriodHours - Hours after a challenge's end date
+ *                                            before it is closed as expired/failed
+ * @param {number} updates.maxActiveChallenges - How many challenges can be active at once;
+ *                                               raising it starts queued challenges
+ * @returns {Object} Result { success, message, settings }
+ *
+ * @example
+ * updateChallengeSettings({ gracePeriodHours: 48, maxActiveChallenges: 3 });
+ */
+export function updateChallengeSettings(updates) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        if ('gracePeriodHours' in updates) {
+            const hours = Number(updates.gracePeriodHours);
+            if (!Number.isFinite(hours) || hours < 0 || hours > CHALLENGE_CONFIG.MAX_GRACE_PERIOD_HOURS) {
+                return {
+                    success: false,
+                    message: `Grace period must be between 0 and ${CHALLENGE_CONFIG.MAX_GRACE_PERIOD_HOURS} hours`
+                };
+            }
+            updates = { ...updates, gracePeriodHours: hours };
+        }
+
+        if ('maxActiveChallenges' in updates) {
+            const limit = Number(updates.maxActiveChallenges);
+            if (!Number.isInteger(limit) || limit < 1 || limit > CHALLENGE_CONFIG.MAX_ACTIVE_LIMIT) {
+                return {
+                    success: false,
+                    message: `Active challenge limit must be between 1 and ${CHALLENGE_CONFIG.MAX_ACTIVE_LIMIT}`
+                };
+            }
+            updates = { ...updates, maxActiveChallenges: limit };
+        }
+
+        const user = getCurrentUser();
+        const settingsJson = localStorage.getItem(CHALLENGE_CONFIG.SETTINGS_KEY);
+        const allSettings = settingsJson ? JSON.parse(settingsJson) : {};
+
+        allSettings[user.id] = { ...(allSettings[user.id] || {}), ...updates };
+        localStorage.setItem(CHALLENGE_CONFIG.SETTINGS_KEY, JSON.stringify(allSettings));
+
+        // A higher limit may free slots for queued challenges
+        startQueuedChallenges(user.id);
+
+        return { success: true, message: 'Settings saved', settings: getChallengeSettings(user.id) };
+
+    } catch (error) {
+        console.error('Error saving challenge settings:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+// ========================================
+// Challenge Queue
+// ========================================
+
+/**
+ * Get the dates an attempt at a challenge would run if it started now:
+ * the open cohort's dates, or from now for the challenge's duration
+ * @param {Object} challenge - Challenge object
+ * @returns {Object} { from, to } Dates
+ */
+function getAttemptWindow(challenge) {
+    const now = new Date();
+    const cohort = hasCohorts(challenge) ? getOpenCohort(challenge) : null;
+
+    if (cohort) {
+        return { from: new Date(Math.max(now, new Date(cohort.startDate))), to: new Date(cohort.endDate) };
+    }
+
+    return { from: now, to: new Date(calculateEndDate(challenge.duration)) };
+}
+
+/**
+ * Check whether a user stays below their active challenge limit for a whole
+ * period. Cohort attempts that haven't started yet don't take a slot until
+ * their start date, but a new attempt still running by then has to fit
+ * alongside them, so joining upcoming cohorts can't overbook the user.
+ * @param {string} userId - User ID
+ * @param {Object} window - { from, to } Period the new attempt would run (default: just now)
+ * @returns {boolean} True if another challenge can start
+ */
+function hasFreeChallengeSlot(userId, { from = new Date(), to = from } = {}) {
+    const now = new Date();
+    const active = getUserChallenges(userId).filter(uc => uc.status === 'active');
+
+    // Attempts past their end date hold their slot until the lifecycle closes them
+    const takesSlotAt = (uc, moment) =>
+        new Date(uc.startDate) <= moment && (new Date(uc.endDate) > moment || moment <= now);
+
+    // The period is busiest at its start or when another attempt begins within it
+    const moments = [from, ...active
+        .map(uc => new Date(uc.startDate))
+        .filter(start => start > from && start < to)];
+    const busiest = Math.max(...moments.map(moment => active.filter(uc => takesSlotAt(uc, moment)).length));
+
+    return busiest < getChallengeSettings(userId).maxActiveChallenges;
+}
+
+/**
+ * Queue a challenge to start automatically once a slot frees up (through
+ * completing, leaving or a challenge running out). With a free slot now,
+ * it is joined straight away.
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} options - { inviteCode } for private challenges
+ * @returns {Object} Result { success, message, position, userChallenge }
+ *   - position is set when queued, userChallenge when joined straight away
+ *
+ * @example
+ * const result = await joinChallenge('4');
+ * if (result.limitReached) queueChallenge('4');
+ */
+export function queueChallenge(challengeId, options = {}) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in to queue challenges' };
+        }
+
+        const user = getCurrentUser();
+        const challenge = getChallengeById(challengeId);
+
+        if (!challenge || challenge.archived) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        if (challenge.duelId) {
+            return { success: false, message: 'Duels can only be joined by accepting an invite' };
+        }
+
+        if (hasJoinedChallenge(challengeId, user.id)) {
+            return { success: false, message: 'You have already joined this challenge' };
+        }
+
+        if ((challenge.removedUsers || []).includes(user.id)) {
+            return { success: false, message: 'The organizer removed you from this challenge' };
+        }
+
+        if (!canAccessChallenge(challenge, user.id) && !isValidInviteCode(challenge, options.inviteCode)) {
+            return {
+                success: false,
+                message: options.inviteCode
+                    ? 'That invite code is invalid or has been revoked'
+                    : 'This challenge is private. You need an invite code to join'
+            };
+        }
+
+        if (hasFreeChallengeSlot(user.id, getAttemptWindow(challenge)) && !getQueuePosition(user.id, challengeId)) {
+            return enrollUser(user.id, challengeId, options);
+        }
+
+        const result = addToQueue(user.id, challengeId, options.inviteCode || null);
+        return result.success
+            ? { ...result, message: `${challenge.title} is queued at position ${result.position}` }
+            : result;
+
+    } catch (error) {
+        console.error('Error queueing challenge:', error);
+        return { success: false, message: 'An error occurred while queueing the challenge' };
+    }
+}
+
+/**
+ * Take a challenge out of the current user's queue
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Result { success, message }
+ */
+export function dequeueChallenge(challengeId) {
+    if (!isLoggedIn()) {
+        return { success: false, message: 'You must be logged in' };
+    }
+
+    return removeFromQueue(getCurrentUser().id, challengeId);
+}
+
+/**
+ * Move a challenge in the current user's queue
+ * @param {string} challengeId - Challenge ID
+ * @param {number} position - New position (1 = starts next)
+ * @returns {Object} Result { success, message, queue }
+ */
+export function moveQueuedChallenge(challengeId, position) {
+    if (!isLoggedIn()) {
+        return { success: false, message: 'You must be logged in' };
+    }
+
+    return moveInQueue(getCurrentUser().id, challengeId, position);
+}
+
+/**
+ * Get a user's queued challenges in the order they will start
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {Array} [{ position, challenge, queuedAt }]
+ */
+export function getChallengeQueue(userId = null) {
+    const user = userId || getCurrentUser()?.id;
+    if (!user) return [];
+
+    return getQueue(user)
+        .map((item, index) => ({
+            position: index + 1,
+            challenge: getChallengeById(item.challengeId),
+            queuedAt: item.queuedAt
+        }))
+        .filter(item => item.challenge);
+}
+
+/**
+ * Get the current user's notices about queued challenges that started
+ * (or couldn't start) since they last looked. Each notice is returned once.
+ * @returns {Array} [{ challengeId, title, started, message, createdAt }]
+ */
+export function collectQueueNotices() {
+    const user = getCurrentUser();
+    return user ? takeQueueNotices(user.id) : [];
+}
+
+/**
+ * Start a user's queued challenges, in queue order, while they have free
+ * slots. Challenges that can no longer be joined (deleted, registration
+ * closed, ...) are dropped from the queue. Each outcome leaves a notice.
+ * @param {string} userId - User ID
+ * @returns {Array} User challenges that started
+ */
+function startQueuedChallenges(userId) {
+    const started = [];
+
+    try {
+        while (getQueue(userId).length > 0) {
+            const [next] = getQueue(userId);
+            const challenge = getChallengeById(next.challengeId);
+
+            // The head of the queue waits until it fits; nothing jumps ahead of it
+            if (challenge && !challenge.archived && !hasFreeChallengeSlot(userId, getAttemptWindow(challenge))) break;
+
+            removeFromQueue(userId, next.challengeId);
+
+            const result = challenge && !challenge.archived
+                ? enrollUser(userId, next.challengeId, { inviteCode: next.inviteCode })
+                : { success: false, message: 'The challenge is no longer available' };
+
+            if (result.success) started.push(result.userChallenge);
+
+            addQueueNotice(userId, {
+                challengeId: next.challengeId,
+                title: challenge ? challenge.title : 'A queued challenge',
+                started: result.success,
+                message: result.success
+                    ? `${challenge.title} started from your queue`
+                    : `${challenge ? challenge.title : 'A queued challenge'} couldn't start: ${result.message}`
+            });
+        }
+    } catch (error) {
+        console.error('Error starting queued challenges:', error);
+    }
+
+    return started;
+}
+
+// ========================================
+// Challenge Lifecycle
+// ========================================
+
+/**
+ * Close every active user challenge whose end date (plus the owner's grace
+ * period) has passed. Progress that still completes the challenge makes it
+ * 'completed'; otherwise it becomes 'failed', or 'expired' if nothing was
+ * ever logged. The final progress is kept on the entry and the active slot
+ * is freed. Duels whose window has closed are decided in the same pass.
+ * Queued challenges then start in the slots that freed up.
+ * Runs on load and every LIFECYCLE_CHECK_INTERVAL.
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {Object} { completed, failed, expired, duels, started } Arrays of closed user
+ *   challenges, of duels decided and of queued challenges started in this pass
+ *
+ * @example
+ * const { failed } = runChallengeLifecycle();
+ * console.log(`${failed.length} challenges ended without reaching their goals`);
+ */
+export function runChallengeLifecycle(now = new Date()) {
+    const closed = { completed: [], failed: [], expired: [], duels: [], started: [] };
+
+    try {
+        const allUserChallenges = getAllUserChallenges();
+        const ledger = getProgressLedger();
+
+        Object.entries(allUserChallenges).forEach(([userId, userChallenges]) => {
+            const graceMs = getChallengeSettings(userId).gracePeriodHours * 60 * 60 * 1000;
+
+            userChallenges.forEach(uc => {
+                if (uc.status !== 'active') return;
+                if (new Date(uc.endDate).getTime() + graceMs > now.getTime()) return;
+
+                const completion = evaluateChallengeCompletion(uc);
+                const hasEntries = (ledger[uc.id] || []).some(entry => !entry.deletedAt);
+
+                if (completion.isComplete) {
+                    uc.status = 'completed';
+                    uc.completedAt = uc.endDate;
+                } else {
+                    uc.status = hasEntries ? 'failed' : 'expired';
+                }
+
+                uc.closedAt = now.toISOString();
+                uc.finalProgress = { ...uc.progress };
+                uc.finalPercentage = completion.percentage;
+
+                closed[uc.status].push(uc);
+            });
+        });
+
+        if (closed.completed.length + closed.failed.length + closed.expired.length > 0) {
+            saveAllUserChallenges(allUserChallenges);
+        }
+
+        closed.completed.forEach(uc => grantRewards(uc));
+
+        expireDuelInvites(now);
+        closed.duels = settleDuels(now);
+
+        getQueuedUserIds().forEach(userId => {
+            closed.started.push(...startQueuedChallenges(userId));
+        });
+
+    } catch (error) {
+        console.error('Error running challenge lifecycle:', error);
+    }
+
+    return closed;
+}
+
+/**
+ * Check whether a user challenge has been closed by the lifecycle pass
+ * @param {Object} userChallenge - User challenge object
+ * @returns {boolean} True if expired or failed
+ */
+export function isChallengeClosed(userChallenge) {
+    return userChallenge.status === 'expired' || userChallenge.status === 'failed';
+}
+
+// ========================================
+// Progress Tracking
+// ========================================
+
+/**
+ * Initialize challenge progress based on challenge goals.
+ * Each goal is initialized by its registered goal type.
+ * @param {Object} challenge - Challenge object
+ * @returns {Object} Initial progress object
+ */
+function initializeChallengeProgress(challenge) {
+    const progress = {};
+
+    Object.entries(challenge.goals).forEach(([key, target]) => {
+        const goalType = getGoalType(key);
+        if (goalType) {
+            Object.assign(progress, goalType.initialize(target));
+        } else {
+            console.warn('Unknown goal type ignored:', key);
+        }
+    });
+
+    return progress;
+}
+
+/**
+ * Create the progress object a user challenge starts with. Goal fields come
+ * only from the challenge's own goals, so no goal is tracked that it didn't set.
+ * @param {Object} challenge - Challenge object
+ * @returns {Object} Initial progress object
+ */
+function createInitialProgress(challenge) {
+    return {
+        currentDay: 1,
+        totalDays: challenge.duration,
+        ...initializeChallengeProgress(challenge)
+    };
+}
+
+/**
+ * Apply one progress update to a progress object
+ * @param {Object} progress - Progress object (mutated)
+ * @param {Object} progressData - Progress data (distance, minutes, workoutCompleted, ...)
+ */
+function applyProgressData(progress, progressData) {
+    // Every tracked goal type accumulates its own fields
+    getTrackedGoalTypes(progress).forEach(goalType => {
+        goalType.accumulate(progress, progressData);
+    });
+
+    if (progressData.workoutCompleted) {
+        progress.currentDay = Math.min(progress.currentDay + 1, progress.totalDays);
+    }
+}
+
+/**
+ * Set a user challenge's status from its completion policy.
+ * Only moves between 'active' and 'completed'; other statuses are left alone.
+ * @param {Object} userChallenge - User challenge object (mutated)
+ * @returns {Object} Completion evaluation
+ */
+function refreshCompletionStatus(userChallenge) {
+    const completion = evaluateChallengeCompletion(userChallenge);
+
+    if (completion.isComplete && userChallenge.status === 'active') {
+        userChallenge.status = 'completed';
+        userChallenge.completedAt = new Date().toISOString();
+    } else if (!completion.isComplete && userChallenge.status === 'completed') {
+        // A corrected or deleted entry can undo a completion
+        userChallenge.status = 'active';
+        delete userChallenge.completedAt;
+    }
+
+    return completion;
+}
+
+/**
+ * Update challenge progress
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} progressData - Progress data to update
+ * @param {Object} options - Entry options (optional)
+ * @param {string} options.source - One of PROGRESS_SOURCES (default: 'manual')
+ * @param {string} options.occurredAt - ISO date the activity happened (default: now)
+ * @param {string} options.externalId - ID of the synced activity, if any
+ * @param {boolean} options.assigned - Count it even if progressData.workoutType
+ *                                     doesn't match the challenge category
+ * @returns {Object} Result { success, message, progress, entry }
+ * 
+ * @example
+ * updateChallengeProgress('1', {
+ *   distance: 5.5,
+ *   calories: 450,
+ *   minutes: 30,
+ *   workoutCompleted: true
+ * }, { source: 'strava' });
+ */
+export function updateChallengeProgress(challengeId, progressData, options = {}) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const source = options.source || PROGRESS_SOURCES.MANUAL;
+        if (!Object.values(PROGRESS_SOURCES).includes(source)) {
+            return { success: false, message: `Unknown progress source: ${source}` };
+        }
+
+        // A manual workout of the wrong kind (a ride for a running challenge)
+        // only counts if the user explicitly assigns it
+        const challenge = getChallengeById(challengeId);
+        if (challenge && source === PROGRESS_SOURCES.MANUAL && progressData.workoutType &&
+            !options.assigned && !activityMatchesChallenge(challenge, source, progressData.workoutType)) {
+            return {
+                success: false,
+                message: `A "${progressData.workoutType}" workout doesn't count toward ${challenge.title}`
+            };
+        }
+
+        const user = getCurrentUser();
+        const allUserChallenges = getAllUserChallenges();
+
+        if (!allUserChallenges[user.id]) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        const userChallenges = allUserChallenges[user.id];
+        const challengeIndex = findLatestAttemptIndex(userChallenges, challengeId);
+
+        if (challengeIndex === -1) {
+            return { success: false, message: 'You have not joined this challenge' };
+        }
+
+        const userChallenge = userChallenges[challengeIndex];
+
+        if (userChallenge.closedAt || userChallenge.status === 'abandoned') {
+            return { success: false, message: 'This challenge has ended' };
+        }
+
+        if (new Date(userChallenge.startDate) > new Date()) {
+            return {
+                success: false,
+                message: `This challenge starts on ${new Date(userChallenge.startDate).toLocaleDateString()}`
+            };
+        }
+
+        // Progress logged before the ledger existed becomes the replay baseline
+        if (!userChallenge.baseProgress) {
+            userChallenge.baseProgress = { ...userChallenge.progress };
+        }
+
+        // Record the entry, then update progress
+        const entry = appendProgressEntry(userChallenge, progressData, source, options);
+        applyProgressData(userChallenge.progress, progressData);
+
+        // Check if challenge is completed according to its completion policy
+        const completion = refreshCompletionStatus(userChallenge);
+
+        // Save updated data
+        saveAllUserChallenges(allUserChallenges);
+
+        const rewards = grantRewards(userChallenge, { entry, completion });
+
+        if (userChallenge.status === 'completed') {
+            startQueuedChallenges(user.id);
+        }
+
+        return {
+            success: true,
+            message: 'Progress updated',
+            progress: userChallenge.progress,
+            entry: entry,
+            completionPercentage: completion.percentage,
+            blockingGoals: completion.blockingGoals,
+            unlockedAchievements: rewards.achievements,
+            pointsAwarded: rewards.points,
+            badgeIssued: rewards.badge
+        };
+
+    } catch (error) {
+        console.error('Error updating progress:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+/**
+ * Calculate challenge completion percentage
+ * @param {Object} userChallenge - User challenge object
+ * @returns {number} Completion percentage (0-100)
+ * 
+ * @example
+ * const percentage = calculateChallengeProgress(userChallenge);
+ * console.log(`${percentage}% complete`);
+ */
+export function calculateChallengeProgress(userChallenge) {
+    return evaluateChallengeCompletion(userChallenge).percentage;
+}
+
+/**
+ * Evaluate a user challenge against its challenge's completion policy
+ * @param {Object} userChallenge - User challenge object
+ * @returns {Object} { percentage, isComplete, goals, blockingGoals, remaining }
+ *
+ * @example
+ * const { isComplete, blockingGoals } = evaluateChallengeCompletion(userChallenge);
+ * blockingGoals.forEach(goal => console.log(`${goal.label}: ${goal.display}`));
+ */
+export function evaluateChallengeCompletion(userChallenge) {
+    const challenge = getChallengeById(userChallenge.challengeId);
+
+    // Only the goals the challenge declares count; fall back to whatever
+    // the progress tracks if the challenge has since been deleted
+    const goalKeys = challenge
+        ? Object.keys(challenge.goals)
+        : getTrackedGoalTypes(userChallenge.progress).map(goalType => goalType.key);
+
+    return evaluateCompletion(userChallenge.progress, goalKeys, challenge?.completion);
+}
+
+/**
+ * Get the goal types a user challenge is tracking
+ * @param {Object} progress - User challenge progress object
+ * @returns {Array} Goal type objects present in the progress
+ */
+function getTrackedGoalTypes(progress) {
+    return getGoalTypes().filter(goalType => goalType.isTracked(progress));
+}
+
+/**
+ * Sync challenge progress with external APIs (Strava, Fitbit).
+ * Only activities between the challenge's startDate and endDate are considered,
+ * and each external activity is applied at most once: the progress ledger
+ * remembers which activity IDs were already added. Activities whose type doesn't
+ * match the challenge's activity matching rules aren't credited; they are kept as
+ * unmatched so the user can assign them by hand (see assignUnmatchedActivity).
+ * Fitbit logged activities are only used when Strava isn't connected, so the same
+ * run isn't counted twice.
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise<Object>} Result { success, message, added, skipped, unmatched }
+ *   - added: [{ source, externalId, occurredAt, data }]
+ *   - skipped: [{ source, externalId, reason }]
+ *   - unmatched: [{ source, externalId, activityType, name, occurredAt, data }]
+ *
+ * @example
+ * const result = await syncChallengeProgress('1');
+ * console.log(`${result.added.length} added, ${result.unmatched.length} need a decision`);
+ */
+export async function syncChallengeProgress(challengeId) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const challenge = getChallengeById(challengeId);
+        if (!challenge) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        const found = findCurrentUserChallenge(challengeId);
+        if (!found) {
+            return { success: false, message: 'You have not joined this challenge' };
+        }
+
+        const userChallenge = found.userChallenge;
+        const windowStart = new Date(userChallenge.startDate);
+        const windowEnd = new Date(Math.min(new Date(userChallenge.endDate), Date.now()));
+
+        if (windowStart > windowEnd) {
+            return {
+                success: false,
+                message: `This challenge starts on ${windowStart.toLocaleDateString()}`,
+                added: [],
+                skipped: [],
+                unmatched: []
+            };
+        }
+
+        const added = [];
+        const skipped = [];
+        const unmatched = [];
+        let stravaConnected = false;
+
+        /**
+         * Credit an activity if it matches the challenge, otherwise set it aside
+         * @param {string} source - One of PROGRESS_SOURCES
+         * @param {Object} activity - { externalId, activityType, name, occurredAt, data }
+         * @param {Set<string>} seenIds - IDs already synced or set aside
+         */
+        const handleActivity = (source, activity, seenIds) => {
+            const { externalId, occurredAt } = activity;
+
+            if (seenIds.has(externalId)) {
+                skipped.push({ source, externalId, reason: 'Already synced' });
+                return;
+            }
+
+            // One activity with a broken date must not abort the rest of the batch
+            if (Number.isNaN(occurredAt.getTime())) {
+                skipped.push({ source, externalId, reason: 'Invalid activity date' });
+                return;
+            }
+
+            if (occurredAt < windowStart || occurredAt > windowEnd) {
+                skipped.push({ source, externalId, reason: 'Outside challenge dates' });
+                return;
+            }
+
+            seenIds.add(externalId);
+
+            if (!activityMatchesChallenge(challenge, source, activity.activityType)) {
+                unmatched.push({ ...activity, source, occurredAt: occurredAt.toISOString() });
+                return;
+            }
+
+            const result = updateChallengeProgress(challengeId, activity.data, {
+                source: source,
+                externalId: externalId,
+                occurredAt: occurredAt.toISOString()
+            });
+
+            if (result.success) {
+                added.push({ source, externalId, occurredAt: occurredAt.toISOString(), data: activity.data });
+            } else {
+                skipped.push({ source, externalId, reason: result.message });
+            }
+        };
+
+        // Sync with Strava if the challenge accepts any Strava sport types
+        if (challengeAcceptsSource(challenge, PROGRESS_SOURCES.STRAVA)) {
+            try {
+                const activities = await fetchStravaActivitiesInWindow(windowStart, windowEnd);
+                stravaConnected = true;
+
+                const seenIds = getSeenExternalIds(userChallenge, PROGRESS_SOURCES.STRAVA);
+
+                activities.forEach(activity => handleActivity(PROGRESS_SOURCES.STRAVA, {
+                    externalId: String(activity.id),
+                    activityType: getActivityType(PROGRESS_SOURCES.STRAVA, activity),
+                    name: activity.name || '',
+                    occurredAt: new Date(activity.start_date),
+                    data: stravaActivityToProgress(activity)
+                }, seenIds));
+            } catch (error) {
+                console.log('Strava sync skipped:', error.message);
+            }
+        }
+
+        // Sync with Fitbit logged activities, one day at a time
+        if (!stravaConnected && challengeAcceptsSource(challenge, PROGRESS_SOURCES.FITBIT)) {
+            try {
+                const seenIds = getSeenExternalIds(userChallenge, PROGRESS_SOURCES.FITBIT);
+                const finishedDays = new Set(userChallenge.syncedFitbitDays || []);
+                const today = toDayKey(new Date());
+
+                for (const day of listDaysInWindow(windowStart, windowEnd)) {
+                    // Days synced as daily totals (before matching rules) count as finished too
+                    if (finishedDays.has(day) || seenIds.has(day)) {
+                        skipped.push({ source: PROGRESS_SOURCES.FITBIT, externalId: day, reason: 'Already synced' });
+                        continue;
+                    }
+
+                    const fitbitData = await getFitbitDailyActivity(day);
+
+                    (fitbitData.activities || []).forEach(activity => handleActivity(PROGRESS_SOURCES.FITBIT, {
+                        externalId: String(activity.logId),
+                        activityType: getActivityType(PROGRESS_SOURCES.FITBIT, activity),
+                        name: activity.name || '',
+                        occurredAt: new Date(`${activity.startDate || day}T${activity.startTime || '12:00'}:00`),
+                        data: fitbitActivityToProgress(activity)
+                    }, seenIds));
+
+                    // Today can still gain activities, so it is fetched again next time
+                    if (day !== today) {
+                        finishedDays.add(day);
+                    }
+                }
+
+                updateCurrentUserChallenge(challengeId, uc => {
+                    uc.syncedFitbitDays = [...finishedDays];
+                });
+            } catch (error) {
+                console.log('Fitbit sync skipped:', error.message);
+            }
+        }
+
+        if (unmatched.length > 0) {
+            updateCurrentUserChallenge(challengeId, uc => {
+                uc.unmatchedActivities = [...(uc.unmatchedActivities || []), ...unmatched];
+            });
+        }
+
+        if (added.length > 0 || skipped.length > 0 || unmatched.length > 0) {
+            let message = added.length > 0
+                ? `Synced ${added.length} new ${added.length === 1 ? 'activity' : 'activities'}`
+                : 'Already up to date';
+
+            if (unmatched.length > 0) {
+                message += `. ${unmatched.length} ${unmatched.length === 1 ? 'activity doesn\'t' : 'activities don\'t'} match this challenge`;
+            }
+
+            return {
+                success: true,
+                message: message,
+                added: added,
+                skipped: skipped,
+                unmatched: unmatched
+            };
+        }
+
+        return {
+            success: false,
+            message: 'No data available to sync. Please connect your fitness apps.',
+            added: [],
+            skipped: [],
+            unmatched: []
+        };
+
+    } catch (error) {
+        console.error('Error syncing progress:', error);
+        return {
+            success: false,
+            message: 'An error occurred while syncing'
+        };
+    }
+}
+
+/**
+ * Page through Strava activities between two dates
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Array>} All activities in the window
+ */
+async function fetchStravaActivitiesInWindow(from, to) {
+    const activities = [];
+
+    for (let page = 1; page <= CHALLENGE_CONFIG.MAX_SYNC_PAGES; page++) {
+        const batch = await getStravaActivities({
+            page: page,
+            per_page: CHALLENGE_CONFIG.SYNC_PAGE_SIZE,
+            after: Math.floor(from.getTime() / 1000),
+            before: Math.ceil(to.getTime() / 1000)
+        });
+
+        activities.push(...batch);
+
+        if (batch.length < CHALLENGE_CONFIG.SYNC_PAGE_SIZE) break;
+    }
+
+    return activities;
+}
+
+/**
+ * Convert a Strava activity into progress data
+ * @param {Object} activity - Strava activity
+ * @returns {Object} Progress data
+ */
+function stravaActivityToProgress(activity) {
+    return {
+        distance: (activity.distance || 0) / 1000,
+        minutes: Math.round((activity.moving_time || 0) / 60),
+        calories: activity.calories || 0,
+        elevation: activity.total_elevation_gain || 0,
+        workoutCompleted: true
+    };
+}
+
+/**
+ * Convert a Fitbit logged activity into progress data
+ * @param {Object} activity - Fitbit activity log entry
+ * @returns {Object} Progress data
+ */
+function fitbitActivityToProgress(activity) {
+    return {
+        distance: activity.distance || 0,
+        minutes: Math.round((activity.duration || 0) / 60000),
+        calories: activity.calories || 0,
+        steps: activity.steps || 0,
+        workoutCompleted: true
+    };
+}
+
+/**
+ * Get the external IDs a user challenge has already seen for a source:
+ * activities recorded in the ledger and activities set aside as unmatched.
+ * Deleted entries and dismissed activities count too, so neither is synced back in.
+ * @param {Object} userChallenge - User challenge object
+ * @param {string} source - One of PROGRESS_SOURCES
+ * @returns {Set<string>} External IDs
+ */
+function getSeenExternalIds(userChallenge, source) {
+    const entries = getProgressLedger()[userChallenge.id] || [];
+    const unmatched = userChallenge.unmatchedActivities || [];
+
+    return new Set([
+        ...entries.filter(entry => entry.source === source && entry.externalId).map(entry => entry.externalId),
+        ...unmatched.filter(activity => activity.source === source).map(activity => activity.externalId)
+    ]);
+}
+
+// ========================================
+// Unmatched Activities
+// ========================================
+
+/**
+ * List synced activities that didn't match a challenge and are waiting
+ * for the user to assign or dismiss them
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} [{ source, externalId, activityType, name, occurredAt, data }]
+ *
+ * @example
+ * getUnmatchedActivities('1').forEach(activity => {
+ *   console.log(`${activity.name} (${activity.activityType})`);
+ * });
+ */
+export function getUnmatchedActivities(challengeId) {
+    const found = findCurrentUserChallenge(challengeId);
+    if (!found) return [];
+
+    return (found.userChallenge.unmatchedActivities || []).filter(activity => !activity.dismissedAt);
+}
+
+/**
+ * Count an unmatched activity toward the challenge anyway
+ * @param {string} challengeId - Challenge ID
+ * @param {string} source - Source the activity came from
+ * @param {string} externalId - External activity ID
+ * @returns {Object} Result { success, message, progress, entry }
+ *
+ * @example
+ * assignUnmatchedActivity('1', 'strava', '9876543210');
+ */
+export function assignUnmatchedActivity(challengeId, source, externalId) {
+    try {
+        const activity = getUnmatchedActivities(challengeId)
+            .find(a => a.source === source && a.externalId === externalId);
+
+        if (!activity) {
+            return { success: false, message: 'Activity not found' };
+        }
+
+        const result = updateChallengeProgress(challengeId, activity.data, {
+            source: source,
+            externalId: externalId,
+            occurredAt: activity.occurredAt,
+            assigned: true
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        // The ledger entry now records the activity, so it no longer waits here
+        updateCurrentUserChallenge(challengeId, uc => {
+            uc.unmatchedActivities = uc.unmatchedActivities
+                .filter(a => !(a.source === source && a.externalId === externalId));
+        });
+
+        return { ...result, message: `${activity.name || 'Activity'} added to the challenge` };
+
+    } catch (error) {
+        console.error('Error assigning activity:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+/**
+ * Leave an unmatched activity out of the challenge. It stays recorded
+ * so the next sync doesn't list it again.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} source - Source the activity came from
+ * @param {string} externalId - External activity ID
+ * @returns {Object} Result { success, message }
+ */
+export function dismissUnmatchedActivity(challengeId, source, externalId) {
+    let dismissed = false;
+
+    updateCurrentUserChallenge(challengeId, uc => {
+        (uc.unmatchedActivities || []).forEach(activity => {
+            if (activity.source === source && activity.externalId === externalId && !activity.dismissedAt) {
+                activity.dismissedAt = new Date().toISOString();
+                dismissed = true;
+            }
+        });
+    });
+
+    return dismissed
+        ? { success: true, message: 'Activity dismissed' }
+        : { success: false, message: 'Activity not found' };
+}
+
+// ========================================
+// Progress Ledger
+// ========================================
+
+/**
+ * Get the progress ledger for every user challenge
+ * @returns {Object} { [userChallengeId]: Array of ledger entries }
+ */
+function getProgressLedger() {
+    try {
+        const ledgerJson = localStorage.getItem(CHALLENGE_CONFIG.CHALLENGE_PROGRESS_KEY);
+        return ledgerJson ? JSON.parse(ledgerJson) : {};
+    } catch (error) {
+        console.error('Error reading progress ledger:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the progress ledger to localStorage
+ * @param {Object} ledger - { [userChallengeId]: Array of ledger entries }
+ */
+function saveProgressLedger(ledger) {
+    try {
+        localStorage.setItem(CHALLENGE_CONFIG.CHALLENGE_PROGRESS_KEY, JSON.stringify(ledger));
+    } catch (error) {
+        console.error('Error saving progress ledger:', error);
+    }
+}
+
+/**
+ * Append a ledger entry for a user challenge
+ * @param {Object} userChallenge - User challenge object
+ * @param {Object} progressData - Progress data being logged
+ * @param {string} source - One of PROGRESS_SOURCES
+ * @param {Object} options - { occurredAt, externalId } (optional)
+ * @returns {Object} The new ledger entry
+ */
+function appendProgressEntry(userChallenge, progressData, source, options = {}) {
+    const ledger = getProgressLedger();
+    const now = new Date().toISOString();
+
+    const entry = {
+        id: `${userChallenge.id}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+        userChallengeId: userChallenge.id,
+        source: source,
+        data: { ...progressData },
+        externalId: options.externalId || null,
+        occurredAt: options.occurredAt || now,
+        loggedAt: now,
+        revisions: []
+    };
+
+    if (!ledger[userChallenge.id]) {
+        ledger[userChallenge.id] = [];
+    }
+
+    ledger[userChallenge.id].push(entry);
+    saveProgressLedger(ledger);
+
+    return entry;
+}
+
+/**
+ * Find the current user's latest attempt at a challenge, with the data it lives in
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object|null} { allUserChallenges, userChallenge } or null
+ */
+function findCurrentUserChallenge(challengeId) {
+    const user = getCurrentUser();
+    if (!user) return null;
+
+    const allUserChallenges = getAllUserChallenges();
+    const userChallenges = allUserChallenges[user.id] || [];
+    const userChallenge = userChallenges[findLatestAttemptIndex(userChallenges, challengeId)];
+
+    return userChallenge ? { allUserChallenges, userChallenge } : null;
+}
+
+/**
+ * Change the current user's challenge entry and save it
+ * @param {string} challengeId - Challenge ID
+ * @param {Function} mutate - (userChallenge) => void, mutates the entry
+ * @returns {Object|null} The updated user challenge or null if not joined
+ */
+function updateCurrentUserChallenge(challengeId, mutate) {
+    const found = findCurrentUserChallenge(challengeId);
+    if (!found) return null;
+
+    mutate(found.userChallenge);
+    saveAllUserChallenges(found.allUserChallenges);
+
+    return found.userChallenge;
+}
+
+/**
+ * List the progress entries logged for a challenge, oldest first
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} options - List options (optional)
+ * @param {boolean} options.includeDeleted - Include deleted entries (default: false)
+ * @returns {Array} Array of ledger entries
+ *
+ * @example
+ * getProgressEntries('1').forEach(entry => {
+ *   console.log(entry.occurredAt, entry.source, entry.data);
+ * });
+ */
+export function getProgressEntries(challengeId, options = {}) {
+    const found = findCurrentUserChallenge(challengeId);
+    if (!found) return [];
+
+    const entries = getProgressLedger()[found.userChallenge.id] || [];
+
+    return entries
+        .filter(entry => options.includeDeleted || !entry.deletedAt)
+        .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+}
+
+/**
+ * Edit a progress entry and recompute progress from the ledger.
+ * The previous values are kept in the entry's revisions.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} entryId - Ledger entry ID
+ * @param {Object} progressData - Replacement progress data
+ * @returns {Object} Result { success, message, entry, progress, rewardsRevoked }
+ *
+ * @example
+ * editProgressEntry('1', entry.id, { distance: 5, minutes: 30, workoutCompleted: true });
+ */
+export function editProgressEntry(challengeId, entryId, progressData) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const found = findCurrentUserChallenge(challengeId);
+        if (!found) {
+            return { success: false, message: 'You have not joined this challenge' };
+        }
+
+        // Closed challenges keep the final progress they were closed with
+        if (found.userChallenge.closedAt) {
+            return { success: false, message: 'This challenge has ended' };
+        }
+
+        const ledger = getProgressLedger();
+        const entry = (ledger[found.userChallenge.id] || []).find(e => e.id === entryId && !e.deletedAt);
+
+        if (!entry) {
+            return { success: false, message: 'Progress entry not found' };
+        }
+
+        entry.revisions.push({ data: entry.data, editedAt: new Date().toISOString() });
+        entry.data = { ...progressData };
+
+        if (reopensPastLimit(found.userChallenge, ledger[found.userChallenge.id])) {
+            return { success: false, message: 'This would reopen a completed challenge, but you are at your active challenge limit' };
+        }
+
+        saveProgressLedger(ledger);
+
+        recomputeProgress(found.userChallenge);
+        saveAllUserChallenges(found.allUserChallenges);
+
+        // Rewards follow the corrected progress both ways
+        const revoked = revokeRewards(found.userChallenge);
+        const rewards = grantRewards(found.userChallenge);
+
+        return {
+            success: true,
+            message: 'Progress entry updated',
+            entry: entry,
+            progress: found.userChallenge.progress,
+            unlockedAchievements: rewards.achievements,
+            pointsAwarded: rewards.points,
+            badgeIssued: rewards.badge,
+            rewardsRevoked: revoked
+        };
+
+    } catch (error) {
+        console.error('Error editing progress entry:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+/**
+ * Delete a progress entry and recompute progress from the ledger.
+ * The entry is kept (marked deleted) so the audit trail stays complete.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} entryId - Ledger entry ID
+ * @returns {Object} Result { success, message, progress, rewardsRevoked }
+ */
+export function deleteProgressEntry(challengeId, entryId) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const found = findCurrentUserChallenge(challengeId);
+        if (!found) {
+            return { success: false, message: 'You have not joined this challenge' };
+        }
+
+        // Closed challenges keep the final progress they were closed with
+        if (found.userChallenge.closedAt) {
+            return { success: false, message: 'This challenge has ended' };
+        }
+
+        const ledger = getProgressLedger();
+        const entry = (ledger[found.userChallenge.id] || []).find(e => e.id === entryId && !e.deletedAt);
+
+        if (!entry) {
+            return { success: false, message: 'Progress entry not found' };
+        }
+
+        entry.deletedAt = new Date().toISOString();
+
+        if (reopensPastLimit(found.userChallenge, ledger[found.userChallenge.id])) {
+            return { success: false, message: 'This would reopen a completed challenge, but you are at your active challenge limit' };
+        }
+
+        saveProgressLedger(ledger);
+
+        recomputeProgress(found.userChallenge);
+        saveAllUserChallenges(found.allUserChallenges);
+
+        // Rewards follow the corrected progress both ways
+        const revoked = revokeRewards(found.userChallenge);
+        const rewards = grantRewards(found.userChallenge);
+
+        return {
+            success: true,
+            message: 'Progress entry deleted',
+            progress: found.userChallenge.progress,
+            rewardsRevoked: revoked
+        };
+
+    } catch (error) {
+        console.error('Error deleting progress entry:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+/**
+ * Rebuild a user challenge's progress by replaying its ledger
+ * onto its base progress, then refresh its completion status
+ * @param {Object} userChallenge - User challenge object (mutated)
+ * @returns {Object} The recomputed progress
+ */
+function recomputeProgress(userChallenge) {
+    const progress = replayProgress(userChallenge, getProgressLedger()[userChallenge.id]);
+
+    userChallenge.progress = progress;
+    refreshCompletionStatus(userChallenge);
+
+    return progress;
+}
+
+/**
+ * Replay ledger entries onto a user challenge's base progress
+ * @param {Object} userChallenge - User challenge object
+ * @param {Array} entries - The attempt's ledger entries (deleted ones are skipped)
+ * @returns {Object} The replayed progress
+ */
+function replayProgress(userChallenge, entries = []) {
+    const base = userChallenge.baseProgress || createInitialProgress(getChallengeById(userChallenge.challengeId));
+    const progress = { ...base };
+
+    entries
+        .filter(entry => !entry.deletedAt)
+        .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+        .forEach(entry => applyProgressData(progress, entry.data));
+
+    return progress;
+}
+
+/**
+ * Check whether changed ledger entries would undo a completion while the
+ * user has no free slot. A reopened attempt counts as active again, so
+ * it must not push the user past their active challenge limit.
+ * @param {Object} userChallenge - User challenge object
+ * @param {Array} entries - The attempt's ledger entries after the change
+ * @returns {boolean} True if the change must be refused
+ */
+function reopensPastLimit(userChallenge, entries) {
+    if (userChallenge.status !== 'completed') return false;
+
+    const progress = replayProgress(userChallenge, entries);
+    const completion = evaluateChallengeCompletion({ ...userChallenge, progress });
+
+    return !completion.isComplete &&
+        !hasFreeChallengeSlot(userChallenge.userId, { from: new Date(), to: new Date(userChallenge.endDate) });
+}
+
+/**
+ * Recompute the current user's progress for a challenge from the ledger
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Result { success, message, progress, rewardsRevoked }
+ */
+export function recomputeChallengeProgress(challengeId) {
+    try {
+        const found = findCurrentUserChallenge(challengeId);
+        if (!found) {
+            return { success: false, message: 'You have not joined this challenge' };
+        }
+
+        if (reopensPastLimit(found.userChallenge, getProgressLedger()[found.userChallenge.id])) {
+            return { success: false, message: 'This would reopen a completed challenge, but you are at your active challenge limit' };
+        }
+
+        const progress = recomputeProgress(found.userChallenge);
+        saveAllUserChallenges(found.allUserChallenges);
+
+        // Rewards follow the recomputed progress both ways
+        const revoked = revokeRewards(found.userChallenge);
+        const rewards = grantRewards(found.userChallenge);
+
+        return {
+            success: true,
+            message: 'Progress recomputed',
+            progress: progress,
+            unlockedAchievements: rewards.achievements,
+            pointsAwarded: rewards.points,
+            badgeIssued: rewards.badge,
+            rewardsRevoked: revoked
+        };
+
+    } catch (error) {
+        console.error('Error recomputing progress:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+// ========================================
+// Check-ins & Streaks
+// ========================================
+
+/**
+ * Get the days an attempt counts as done: days with a logged
+ * (non-deleted) progress entry plus manual check-ins
+ * @param {Object} userChallenge - User challenge object
+ * @returns {Set<string>} YYYY-MM-DD day keys
+ */
+function getDoneDays(userChallenge) {
+    const entries = (getProgressLedger()[userChallenge.id] || []).filter(entry => !entry.deletedAt);
+
+    return new Set([
+        ...entries.map(entry => toDayKey(new Date(entry.occurredAt))),
+        ...(userChallenge.checkIns || [])
+    ]);
+}
+
+/**
+ * Build the check-in calendar of a user challenge
+ * @param {Object} userChallenge - User challenge object
+ * @returns {Array} [{ date, weekday, status }] with status one of DAY_STATUSES
+ *
+ * @example
+ * const missed = getCheckInCalendar(userChallenge).filter(day => day.status === 'missed');
+ */
+export function getCheckInCalendar(userChallenge) {
+    const challenge = getChallengeById(userChallenge.challengeId);
+
+    return buildCheckInCalendar({
+        startDate: userChallenge.startDate,
+        endDate: userChallenge.endDate,
+        doneDays: getDoneDays(userChallenge),
+        restWeekdays: challenge?.restDays || [],
+        frozenDays: userChallenge.frozenDays || [],
+        // Closed attempts are shown as they were when they ended
+        today: userChallenge.closedAt ? new Date(userChallenge.closedAt) : new Date()
+    });
+}
+
+/**
+ * Get the streak counters of a user challenge
+ * @param {Object} userChallenge - User challenge object
+ * @returns {Object} { current, longest, freezesLeft, freezesUsed }
+ */
+export function getChallengeStreaks(userChallenge) {
+    const { current, longest } = computeStreaks(getCheckInCalendar(userChallenge));
+    const challenge = getChallengeById(userChallenge.challengeId);
+    const granted = userChallenge.streakFreezes ?? challenge?.streakFreezes ?? CHALLENGE_CONFIG.DEFAULT_STREAK_FREEZES;
+    const used = (userChallenge.frozenDays || []).length;
+
+    return { current, longest, freezesLeft: Math.max(granted - used, 0), freezesUsed: used };
+}
+
+/**
+ * Check in for a day without logging an activity
+ * @param {string} challengeId - Challenge ID
+ * @param {Date} date - Day to check in (default: today)
+ * @returns {Object} Result { success, message, streaks }
+ *
+ * @example
+ * const { streaks } = checkInChallenge('1');
+ * console.log(`${streaks.current} day streak!`);
+ */
+export function checkInChallenge(challengeId, date = new Date()) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const found = findCurrentUserChallenge(challengeId);
+        if (!found || found.userChallenge.status === 'abandoned' || found.userChallenge.closedAt) {
+            return { success: false, message: 'You are not taking part in this challenge' };
+        }
+
+        const dayKey = toDayKey(date);
+        const day = getCheckInCalendar(found.userChallenge).find(d => d.date === dayKey);
+
+        if (!day) {
+            return { success: false, message: 'That day is outside the challenge dates' };
+        }
+
+        if (day.status === DAY_STATUSES.UPCOMING) {
+            return { success: false, message: 'You can\'t check in for a future day' };
+        }
+
+        if (day.status === DAY_STATUSES.DONE) {
+            return { success: false, message: 'Already checked in for that day' };
+        }
+
+        found.userChallenge.checkIns = [...(found.userChallenge.checkIns || []), dayKey];
+        // A check-in replaces a freeze spent on the same day
+        found.userChallenge.frozenDays = (found.userChallenge.frozenDays || []).filter(d => d !== dayKey);
+        saveAllUserChallenges(found.allUserChallenges);
+
+        // Streak achievements can unlock from a check-in alone
+        const rewards = grantRewards(found.userChallenge);
+
+        return {
+            success: true,
+            message: 'Checked in',
+            streaks: getChallengeStreaks(found.userChallenge),
+            unlockedAchievements: rewards.achievements,
+            pointsAwarded: rewards.points,
+            badgeIssued: rewards.badge
+        };
+
+    } catch (error) {
+        console.error('Error checking in:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+/**
+ * Spend a streak freeze to cover a missed day
+ * @param {string} challengeId - Challenge ID
+ * @param {string} dayKey - Missed day (YYYY-MM-DD)
+ * @returns {Object} Result { success, message, streaks }
+ */
+export function useStreakFreeze(challengeId, dayKey) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const found = findCurrentUserChallenge(challengeId);
+        if (!found || found.userChallenge.status === 'abandoned' || found.userChallenge.closedAt) {
+            return { success: false, message: 'You are not taking part in this challenge' };
+        }
+
+        const day = getCheckInCalendar(found.userChallenge).find(d => d.date === dayKey);
+        if (!day || day.status !== DAY_STATUSES.MISSED) {
+            return { success: false, message: 'Streak freezes can only cover a missed day' };
+        }
+
+        if (getChallengeStreaks(found.userChallenge).freezesLeft === 0) {
+            return { success: false, message: 'No streak freezes left' };
+        }
+
+        found.userChallenge.frozenDays = [...(found.userChallenge.frozenDays || []), dayKey];
+        saveAllUserChallenges(found.allUserChallenges);
+
+        return { success: true, message: 'Streak freeze used', streaks: getChallengeStreaks(found.userChallenge) };
+
+    } catch (error) {
+        console.error('Error using streak freeze:', error);
+        return { success: false, message: 'An error occurred' };
+    }
+}
+
+// ========================================
+// Training Plans
+// ========================================
+
+/**
+ * Get the plan days a user challenge has completed. Plan sessions are
+ * ledger entries tagged with their day, so deleting one reopens the day.
+ * @param {Object} userChallenge - User challenge object
+ * @returns {Set<number>} Completed day numbers
+ */
+export function getCompletedPlanDays(userChallenge) {
+    return new Set(
+        (getProgressLedger()[userChallenge.id] || [])
+            .filter(entry => !entry.deletedAt && entry.data.planDay)
+            .map(entry => entry.data.planDay)
+    );
+}
+
+/**
+ * Get today's planned workout for the current user's attempt at a challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {Date} date - Day to look up (default: today)
+ * @returns {Object|null} { dayNumber, planDay, completed } or null without a plan or attempt
+ *   - planDay is null on days the plan leaves free
+ *
+ * @example
+ * const today = getTodaysWorkout('1');
+ * if (today?.planDay && !today.completed) console.log(`Day ${today.dayNumber}: ${today.planDay.title}`);
+ */
+export function getTodaysWorkout(challengeId, date = new Date()) {
+    const challenge = getChallengeById(challengeId);
+    const found = findCurrentUserChallenge(challengeId);
+    if (!challenge?.trainingPlan?.length || !found) return null;
+
+    const dayNumber = getPlanDayNumber(found.userChallenge.startDate, date);
+    if (dayNumber < 1 || dayNumber > challenge.duration) return null;
+
+    return {
+        dayNumber: dayNumber,
+        planDay: getPlanDay(challenge.trainingPlan, dayNumber),
+        completed: getCompletedPlanDays(found.userChallenge).has(dayNumber)
+    };
+}
+
+/**
+ * Complete a planned session. The session's prescribed amounts are logged
+ * through updateChallengeProgress on the day it was planned for, so goals,
+ * streaks and rewards update as for any other workout.
+ * @param {string} challengeId - Challenge ID
+ * @param {number} dayNumber - Plan day to complete (default: today)
+ * @returns {Object} Result of updateChallengeProgress, or { success: false, message }
+ *
+ * @example
+ * const result = completePlannedWorkout('1');
+ * if (result.success) console.log(`${result.completionPercentage}% complete`);
+ */
+export function completePlannedWorkout(challengeId, dayNumber = null) {
+    const challenge = getChallengeById(challengeId);
+    if (!challenge?.trainingPlan?.length) {
+        return { success: false, message: 'This challenge has no training plan' };
+    }
+
+    const found = findCurrentUserChallenge(challengeId);
+    if (!found) {
+        return { success: false, message: 'You have not joined this challenge' };
+    }
+
+    const { userChallenge } = found;
+    const today = getPlanDayNumber(userChallenge.startDate);
+    const day = dayNumber || today;
+    const planDay = getPlanDay(challenge.trainingPlan, day);
+
+    if (!planDay || planDay.rest) {
+        return { success: false, message: `Nothing to complete on day ${day}` };
+    }
+
+    if (day > today) {
+        return { success: false, message: `Day ${day} hasn't come yet` };
+    }
+
+    if (getCompletedPlanDays(userChallenge).has(day)) {
+        return { success: false, message: `Day ${day} is already done` };
+    }
+
+    const occurredAt = new Date(userChallenge.startDate);
+    occurredAt.setDate(occurredAt.getDate() + day - 1);
+
+    const result = updateChallengeProgress(
+        challengeId,
+        { ...planDay.progress, workoutCompleted: true, planDay: day },
+        { occurredAt: (day === today ? new Date() : occurredAt).toISOString() }
+    );
+
+    return result.success ? { ...result, message: `Day ${day} done: ${planDay.title}` } : result;
+}
+
+// ========================================
+// Challenge Details
+// ========================================
+
+/**
+ * Describe what a progress entry added to each goal of a challenge
+ * @param {Object} challenge - Challenge object
+ * @param {Object} entry - Ledger entry
+ * @returns {Array} [{ key, label, value, unit }] for goals the entry counted towards
+ */
+function describeEntryContribution(challenge, entry) {
+    const progress = initializeChallengeProgress(challenge);
+
+    return getTrackedGoalTypes(progress)
+        .map(goalType => {
+            goalType.accumulate(progress, entry.data);
+            return {
+                key: goalType.key,
+                label: goalType.label,
+                value: Math.round((goalType.getCurrent(progress) || 0) * 100) / 100,
+                unit: goalType.unit
+            };
+        })
+        .filter(contribution => contribution.value > 0);
+}
+
+/**
+ * Get everything the challenge detail page shows. Without an attempt the
+ * goals are listed at 0% with their targets.
+ * @param {string} challengeId - Challenge ID
+ * @param {number} entryLimit - How many recent progress entries to include
+ * @param {string} inviteCode - Invite code from a shared link, lets non-members
+ *                              see a private challenge (optional)
+ * @returns {Object|null} Detail or null if the challenge can't be shown
+ *   - { challenge, userChallenge, isActive, completion, goals, rewards, daysLeft, recentEntries }
+ *
+ * @example
+ * const detail = getChallengeDetail('3');
+ * detail.goals.forEach(goal => console.log(goal.label, goal.display, goal.percentage));
+ */
+export function getChallengeDetail(challengeId, entryLimit = 5, inviteCode = null) {
+    const challenge = getChallengeById(challengeId);
+    if (!challenge) return null;
+
+    const userChallenge = findCurrentUserChallenge(challengeId)?.userChallenge || null;
+
+    // Duels and archived challenges are only shown to people who took part
+    if ((challenge.duelId || challenge.archived) && !userChallenge) return null;
+
+    // Private challenges also show to anyone holding a valid invite code
+    if (!userChallenge && !canAccessChallenge(challenge) &&
+        !(inviteCode && isValidInviteCode(challenge, inviteCode))) {
+        return null;
+    }
+
+    const completion = userChallenge
+        ? evaluateChallengeCompletion(userChallenge)
+        : evaluateCompletion(createInitialProgress(challenge), Object.keys(challenge.goals), challenge.completion);
+
+    const isActive = userChallenge?.status === 'active';
+    const daysLeft = isActive
+        ? Math.max(0, Math.ceil((new Date(userChallenge.endDate) - new Date()) / (24 * 60 * 60 * 1000)))
+        : null;
+
+    const recentEntries = userChallenge
+        ? getProgressEntries(challengeId).reverse().slice(0, entryLimit).map(entry => ({
+            ...entry,
+            contributions: describeEntryContribution(challenge, entry)
+        }))
+        : [];
+
+    return {
+        challenge: challenge,
+        userChallenge: userChallenge,
+        isActive: isActive,
+        completion: completion,
+        goals: completion.goals,
+        rewards: {
+            points: challenge.rewards?.points || 0,
+            badge: challenge.rewards?.badge || null,
+            achievements: getChallengeAchievements(challenge)
+        },
+        daysLeft: daysLeft,
+        recentEntries: recentEntries
+    };
+}
+
+// ========================================
+// Access & Invites
+// ========================================
+
+/**
+ * Change a stored challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {Function} mutate - (challenge) => void, mutates the challenge
+ * @returns {Object|null} Updated challenge or null if not found
+ */
+function mutateChallenge(challengeId, mutate) {
+    const challenges = getChallenges();
+    const challenge = challenges.find(c => c.id === challengeId);
+    if (!challenge) return null;
+
+    mutate(challenge);
+    saveChallenges(challenges);
+    return challenge;
+}
+
+/**
+ * Check whether a user may see and join a challenge without an invite code
+ * @param {Object} challenge - Challenge object
+ * @param {string} userId - User ID (default: current user)
+ * @returns {boolean} True for public and unlisted challenges, and for private
+ *   challenges the user owns or was let into
+ */
+export function canAccessChallenge(challenge, userId = null) {
+    const user = userId || getCurrentUser()?.id;
+    if ((challenge.removedUsers || []).includes(user)) return false;
+    if (getVisibility(challenge) !== VISIBILITY.PRIVATE) return true;
+
+    return !!user && (challenge.createdBy === user || (challenge.invitedUsers || []).includes(user));
+}
+
+/**
+ * Join whichever challenge an invite code belongs to
+ * @param {string} code - Invite code (as typed or from a link)
+ * @returns {Object} Result { success, message, userChallenge }
+ *
+ * @example
+ * const result = await joinChallengeWithInviteCode('K7PQ2MXA');
+ */
+export async function joinChallengeWithInviteCode(code) {
+    const challenge = findChallengeByInviteCode(getChallenges(), code || '');
+    if (!challenge) {
+        return { success: false, message: 'That invite code is invalid or has been revoked' };
+    }
+
+    return joinChallenge(challenge.id, { inviteCode: code });
+}
+
+/**
+ * Get a challenge the current user owns, or an error result
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} { challenge } or { error }
+ */
+function getOwnedChallenge(challengeId) {
+    if (!isLoggedIn()) {
+        return { error: 'You must be logged in' };
+    }
+
+    const challenge = getChallengeById(challengeId);
+    if (!challenge) {
+        return { error: 'Challenge not found' };
+    }
+
+    if (!canEditChallenge(challenge)) {
+        return { error: 'Only the organizer can manage access to this challenge' };
+    }
+
+    return { challenge };
+}
+
+/**
+ * Create another invite code for a challenge (owner only)
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Result { success, message, invite, link }
+ */
+export function createChallengeInviteCode(challengeId) {
+    const { challenge, error } = getOwnedChallenge(challengeId);
+    if (error) {
+        return { success: false, message: error };
+    }
+
+    const invite = generateInviteCode(getCurrentUser().id);
+    mutateChallenge(challengeId, c => { c.inviteCodes = [...(c.inviteCodes || []), invite]; });
+
+    return {
+        success: true,
+        message: `Invite code ${invite.code} created`,
+        invite: invite,
+        link: buildInviteLink(challenge, invite.code)
+    };
+}
+
+/**
+ * Revoke an invite code (owner only). People who already joined stay in.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} code - Code to revoke
+ * @returns {Object} Result { success, message }
+ */
+export function revokeChallengeInviteCode(challengeId, code) {
+    const { challenge, error } = getOwnedChallenge(challengeId);
+    if (error) {
+        return { success: false, message: error };
+    }
+
+    if (!getActiveInviteCodes(challenge).some(invite => invite.code === code)) {
+        return { success: false, message: 'Invite code not found' };
+    }
+
+    mutateChallenge(challengeId, c => {
+        c.inviteCodes = c.inviteCodes.map(invite =>
+            invite.code === code ? { ...invite, revokedAt: new Date().toISOString() } : invite
+        );
+    });
+
+    return { success: true, message: `Invite code ${code} revoked` };
+}
+
+/**
+ * Get the users currently taking part in a challenge
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} [{ userId, name, attemptId, joinedAt }]
+ */
+export function getChallengeParticipants(challengeId) {
+    return Object.entries(getAllUserChallenges())
+        .map(([userId, userChallenges]) => {
+            const attempt = userChallenges[findLatestAttemptIndex(userChallenges, challengeId)];
+            return attempt && attempt.status === 'active'
+                ? { userId: userId, name: getUserDisplayName(userId), attemptId: attempt.id, joinedAt: attempt.joinedAt }
+                : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Remove a participant from a challenge (owner only). Their attempt is
+ * abandoned and they can't join again.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User to remove
+ * @returns {Object} Result { success, message }
+ */
+export function removeChallengeParticipant(challengeId, userId) {
+    const { challenge, error } = getOwnedChallenge(challengeId);
+    if (error) {
+        return { success: false, message: error };
+    }
+
+    if (userId === challenge.createdBy) {
+        return { success: false, message: 'You cannot remove yourself. Leave the challenge instead' };
+    }
+
+    const allUserChallenges = getAllUserChallenges();
+    const userChallenges = allUserChallenges[userId] || [];
+    const attempt = userChallenges[findLatestAttemptIndex(userChallenges, challengeId)];
+
+    if (attempt && attempt.status === 'active') {
+        attempt.status = 'abandoned';
+        attempt.removedAt = new Date().toISOString();
+        attempt.removedBy = challenge.createdBy;
+        saveAllUserChallenges(allUserChallenges);
+        updateChallengeParticipants(challengeId, -1);
+        startQueuedChallenges(userId);
+    }
+
+    if (getTeamForUser(challengeId, userId)) {
+        leaveTeam(challengeId, userId);
+    }
+
+    mutateChallenge(challengeId, c => {
+        c.invitedUsers = (c.invitedUsers || []).filter(id => id !== userId);
+        c.removedUsers = [...new Set([...(c.removedUsers || []), userId])];
+    });
+
+    return { success: true, message: `${getUserDisplayName(userId)} was removed` };
+}
+
+// ========================================
+// Discussions
+// ========================================
+
+/**
+ * Get who can be @mentioned in a challenge's thread: its owner and
+ * everyone who has taken part and wasn't removed
+ * @param {Object} challenge - Challenge object
+ * @returns {Array} [{ id, name, handle }]
+ */
+function getMentionablePeople(challenge) {
+    const removed = new Set(challenge.removedUsers || []);
+    const userIds = new Set([challenge.createdBy]);
+
+    Object.entries(getAllUserChallenges()).forEach(([userId, userChallenges]) => {
+        if (userChallenges.some(uc => uc.challengeId === challenge.id)) userIds.add(userId);
+    });
+
+    return [...userIds]
+        .filter(userId => userId && !removed.has(userId))
+        .map(userId => {
+            const name = getUserDisplayName(userId);
+            return { id: userId, name: name, handle: toMentionHandle(name) };
+        });
+}
+
+/**
+ * Check whether a user may post in a challenge's discussion
+ * @param {Object} challenge - Challenge object
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {Object} { allowed, reason } with reason set when not allowed
+ */
+export function canPostInDiscussion(challenge, userId = null) {
+    const user = userId || getCurrentUser()?.id;
+
+    if (!user) {
+        return { allowed: false, reason: 'Log in to join the discussion' };
+    }
+
+    if (!canAccessChallenge(challenge, user)) {
+        return { allowed: false, reason: 'This discussion is private' };
+    }
+
+    if (challenge.discussionPolicy === DISCUSSION_POLICIES.PARTICIPANTS &&
+        challenge.createdBy !== user &&
+        !getMentionablePeople(challenge).some(person => person.id === user)) {
+        return { allowed: false, reason: 'Only participants can post here. Join the challenge to take part' };
+    }
+
+    return { allowed: true, reason: null };
+}
+
+/**
+ * Get a challenge's discussion for the current user
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object|null} { thread, postCount, canPost, reason, people } or null if not visible
+ *   - thread: top-level posts with nested replies, each with authorName
+ *   - people: [{ id, name, handle }] who can be @mentioned
+ */
+export function getChallengeDiscussion(challengeId) {
+    const challenge = getChallengeById(challengeId);
+    if (!challenge || !canAccessChallenge(challenge)) return null;
+
+    const posts = getPosts(challengeId).map(post => ({ ...post, authorName: getUserDisplayName(post.authorId) }));
+    const { allowed, reason } = canPostInDiscussion(challenge);
+
+    return {
+        thread: buildThread(posts),
+        postCount: posts.filter(post => !post.deletedAt).length,
+        canPost: allowed,
+        reason: reason,
+        people: getMentionablePeople(challenge)
+    };
+}
+
+/**
+ * Post in a challenge's discussion, or reply to a post
+ * @param {string} challengeId - Challenge ID
+ * @param {string} body - Post text; @Handle mentions participants
+ * @param {string} parentId - Post being replied to (optional)
+ * @returns {Object} Result { success, message, post }
+ *
+ * @example
+ * postChallengeComment('1', 'Who is up for a long run on Sunday? @JohnAthlete');
+ */
+export function postChallengeComment(challengeId, body, parentId = null) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const challenge = getChallengeById(challengeId);
+        if (!challenge) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        const { allowed, reason } = canPostInDiscussion(challenge);
+        if (!allowed) {
+            return { success: false, message: reason };
+        }
+
+        return createPost(challengeId, getCurrentUser().id, body, {
+            parentId: parentId,
+            people: getMentionablePeople(challenge)
+        });
+
+    } catch (error) {
+        console.error('Error posting comment:', error);
+        return { success: false, message: 'An error occurred while posting' };
+    }
+}
+
+/**
+ * Edit one of the current user's posts
+ * @param {string} challengeId - Challenge ID
+ * @param {string} postId - Post ID
+ * @param {string} body - New text
+ * @returns {Object} Result { success, message, post }
+ */
+export function editChallengeComment(challengeId, postId, body) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const challenge = getChallengeById(challengeId);
+        if (!challenge) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        // Removed members keep their posts but can't change them any more
+        if (!canAccessChallenge(challenge)) {
+            return { success: false, message: 'This discussion is private' };
+        }
+
+        return editPost(challengeId, postId, getCurrentUser().id, body, getMentionablePeople(challenge));
+
+    } catch (error) {
+        console.error('Error editing comment:', error);
+        return { success: false, message: 'An error occurred while editing' };
+    }
+}
+
+/**
+ * Delete one of the current user's posts
+ * @param {string} challengeId - Challenge ID
+ * @param {string} postId - Post ID
+ * @returns {Object} Result { success, message }
+ */
+export function deleteChallengeComment(challengeId, postId) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const challenge = getChallengeById(challengeId);
+        if (!challenge) {
+            return { success: false, message: 'Challenge not found' };
+        }
+
+        if (!canAccessChallenge(challenge)) {
+            return { success: false, message: 'This discussion is private' };
+        }
+
+        return deletePost(challengeId, postId, getCurrentUser().id);
+
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        return { success: false, message: 'An error occurred while deleting' };
+    }
+}
+
+/**
+ * Get the posts that @mention a user, newest first
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {Array} [{ challenge, post, authorName }]
+ */
+export function getDiscussionMentions(userId = null) {
+    const user = userId || getCurrentUser()?.id;
+    if (!user) return [];
+
+    const challenges = getChallenges().filter(c => canAccessChallenge(c, user));
+    const byId = new Map(challenges.map(c => [c.id, c]));
+
+    return getMentionsOf(user, challenges.map(c => c.id)).map(post => ({
+        challenge: byId.get(post.challengeId),
+        post: post,
+        authorName: getUserDisplayName(post.authorId)
+    }));
+}
+
+// ========================================
+// Teams
+// ========================================
+
+/**
+ * Check team mode and membership preconditions for the current user
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} { error } or { user, challenge }
+ */
+function getTeamContext(challengeId) {
+    if (!isLoggedIn()) {
+        return { error: 'You must be logged in' };
+    }
+
+    const challenge = getChallengeById(challengeId);
+    if (!challenge) {
+        return { error: 'Challenge not found' };
+    }
+
+    if (!challenge.teamSettings) {
+        return { error: 'This is not a team challenge' };
+    }
+
+    if (!hasJoinedChallenge(challengeId)) {
+        return { error: 'Join the challenge before joining a team' };
+    }
+
+    return { user: getCurrentUser(), challenge };
+}
+
+/**
+ * Create a team in a team challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} name - Team name (e.g. a department)
+ * @returns {Object} Result { success, message, team }
+ *
+ * @example
+ * createChallengeTeam('7', 'Engineering');
+ */
+export function createChallengeTeam(challengeId, name) {
+    const context = getTeamContext(challengeId);
+    if (context.error) {
+        return { success: false, message: context.error };
+    }
+
+    return createTeam(challengeId, context.user.id, name);
+}
+
+/**
+ * Join an existing team in a team challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @returns {Object} Result { success, message, team }
+ */
+export function joinChallengeTeam(challengeId, teamId) {
+    const context = getTeamContext(challengeId);
+    if (context.error) {
+        return { success: false, message: context.error };
+    }
+
+    return joinTeam(challengeId, teamId, context.user.id, context.challenge.teamSettings.maxSize);
+}
+
+/**
+ * Leave your team in a team challenge (you stay in the challenge)
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Result { success, message }
+ */
+export function leaveChallengeTeam(challengeId) {
+    if (!isLoggedIn()) {
+        return { success: false, message: 'You must be logged in' };
+    }
+
+    return leaveTeam(challengeId, getCurrentUser().id);
+}
+
+/**
+ * Get a team's goal targets: the challenge's team goals, or each individual
+ * goal times the team's size (pace-style goals stay as they are)
+ * @param {Object} challenge - Challenge object
+ * @param {number} memberCount - Team size
+ * @returns {Object} Goals object
+ */
+function getTeamTargets(challenge, memberCount) {
+    if (challenge.teamSettings?.goals) {
+        return challenge.teamSettings.goals;
+    }
+
+    const targets = {};
+    Object.entries(challenge.goals).forEach(([key, target]) => {
+        const goalType = getGoalType(key);
+        targets[key] = goalType && !goalType.lowerIsBetter ? target * Math.max(memberCount, 1) : target;
+    });
+    return targets;
+}
+
+/**
+ * Get a user's latest attempt at a challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} User challenge or null if never joined
+ */
+function getLatestAttempt(challengeId, userId) {
+    const attempts = getUserChallenges(userId).filter(uc => uc.challengeId === challengeId);
+    return attempts[attempts.length - 1] || null;
+}
+
+/**
+ * Replay an attempt's logged entries onto a progress object
+ * @param {Object} progress - Progress object (mutated)
+ * @param {Object} attempt - User challenge (attempt)
+ * @param {string} until - Ignore entries that occurred after this date (ISO, optional)
+ */
+function replayAttemptEntries(progress, attempt, until = null) {
+    const goalTypes = getTrackedGoalTypes(progress);
+    (getProgressLedger()[attempt.id] || [])
+        .filter(entry => !entry.deletedAt && (!until || new Date(entry.occurredAt) <= new Date(until)))
+        .forEach(entry => goalTypes.forEach(goalType => goalType.accumulate(progress, entry.data)));
+}
+
+/**
+ * Replay a member's current attempt onto a progress object
+ * @param {Object} progress - Progress object (mutated)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Member's user ID
+ */
+function accumulateMemberProgress(progress, challengeId, userId) {
+    const attempt = getLatestAttempt(challengeId, userId);
+    if (!attempt || attempt.status === 'abandoned') return;
+
+    replayAttemptEntries(progress, attempt);
+}
+
+/**
+ * Add up a team's progress. Every member's logged entries are replayed
+ * through the goal types, so each goal aggregates the way it accumulates
+ * (distances sum, pace is averaged over everyone's distance and time).
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @returns {Object|null} { team, progress, completion, members } or null if not found
+ *   - completion: evaluateCompletion result for the team against its targets
+ *   - members: [{ userId, name, goals: [{ key, label, display, share }] }]
+ *
+ * @example
+ * const { completion, members } = getTeamProgress('7', teamId);
+ * members.forEach(m => console.log(m.name, m.goals.map(g => `${g.label} ${g.share}%`)));
+ */
+export function getTeamProgress(challengeId, teamId) {
+    const challenge = getChallengeById(challengeId);
+    const team = getTeams(challengeId).find(t => t.id === teamId);
+    if (!challenge || !team) return null;
+
+    const targets = getTeamTargets(challenge, team.members.length);
+    const goalKeys = Object.keys(targets);
+    const progress = initializeChallengeProgress({ goals: targets });
+    team.members.forEach(userId => accumulateMemberProgress(progress, challengeId, userId));
+
+    const members = team.members.map(userId => {
+        const memberProgress = initializeChallengeProgress({ goals: targets });
+        accumulateMemberProgress(memberProgress, challengeId, userId);
+
+        return {
+            userId: userId,
+            name: getUserDisplayName(userId),
+            goals: goalKeys.map(key => {
+                const goalType = getGoalType(key);
+                const teamTotal = goalType.getCurrent(progress) || 0;
+                const mine = goalType.getCurrent(memberProgress) || 0;
+                return {
+                    key: key,
+                    label: goalType.label,
+                    display: goalType.render(memberProgress),
+                    // Pace isn't a sum, so it has no share
+                    share: !goalType.lowerIsBetter && teamTotal > 0 ? Math.round((mine / teamTotal) * 100) : null
+                };
+            })
+        };
+    });
+
+    return {
+        team: team,
+        progress: progress,
+        completion: evaluateCompletion(progress, goalKeys, challenge.completion),
+        members: members
+    };
+}
+
+/**
+ * Rank the teams of a challenge by team completion
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} [{ rank, teamId, name, memberCount, percentage, isComplete }]
+ */
+export function getTeamStandings(challengeId) {
+    return getTeams(challengeId)
+        .map(team => {
+            const { completion } = getTeamProgress(challengeId, team.id);
+            return {
+                teamId: team.id,
+                name: team.name,
+                memberCount: team.members.length,
+                percentage: completion.percentage,
+                isComplete: completion.isComplete
+            };
+        })
+        .sort((a, b) => (b.isComplete - a.isComplete) || (b.percentage - a.percentage))
+        .map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+// ========================================
+// Duels
+// ========================================
+
+/**
+ * Challenge another user to a head-to-head duel
+ * @param {string} opponentId - User to challenge
+ * @param {Object} terms - Duel terms
+ * @param {string} terms.goal - Goal type key compared between both sides (e.g. 'totalDistance')
+ * @param {number} terms.target - Target shown as each side's progress bar
+ * @param {number} terms.days - Length of the duel window
+ * @param {string} terms.category - Which activities count (one of CHALLENGE_CATEGORIES)
+ * @returns {Object} Result { success, message, duel }
+ *
+ * @example
+ * // Most km in 7 days
+ * sendDuelInvite('2', { goal: 'totalDistance', target: 50, days: 7, category: 'running' });
+ */
+export function sendDuelInvite(opponentId, terms) {
+    if (!isLoggedIn()) {
+        return { success: false, message: 'You must be logged in' };
+    }
+
+    if (terms.category && !Object.values(CHALLENGE_CATEGORIES).includes(terms.category)) {
+        return { success: false, message: 'Invalid category' };
+    }
+
+    return createDuelInvite(getCurrentUser().id, { ...terms, opponentId: opponentId });
+}
+
+/**
+ * Accept a duel invite. The window starts now and both sides get an
+ * attempt at a hidden challenge, so progress is logged and synced the
+ * same way as for any other challenge.
+ * @param {string} duelId - Duel ID
+ * @returns {Object} Result { success, message, duel }
+ */
+export function acceptDuel(duelId) {
+    try {
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const user = getCurrentUser();
+        const duel = getDuel(duelId);
+
+        if (!duel || duel.opponentId !== user.id) {
+            return { success: false, message: 'Duel invite not found' };
+        }
+
+        if (duel.status !== DUEL_STATUSES.PENDING) {
+            return { success: false, message: `This duel is ${duel.status}` };
+        }
+
+        // A duel is an active challenge for both players
+        const duelWindow = { from: new Date(), to: new Date(calculateEndDate(duel.days)) };
+        if (!hasFreeChallengeSlot(user.id, duelWindow)) {
+            return {
+                success: false,
+                message: `You can only have ${getChallengeSettings(user.id).maxActiveChallenges} active challenges at a time. Finish or leave one first`
+            };
+        }
+
+        const goalType = getGoalType(duel.goal);
+        const challengerName = getUserDisplayName(duel.challengerId);
+
+        if (!hasFreeChallengeSlot(duel.challengerId, duelWindow)) {
+            return { success: false, message: `${challengerName} has no free challenge slot right now. Try again later` };
+        }
+
+        const startDate = new Date().toISOString();
+        const endDate = calculateEndDate(duel.days);
+
+        const challenge = {
+            id: generateChallengeId(),
+            title: `Duel: ${goalType.label} in ${duel.days} days`,
+            category: duel.category,
+            difficulty: DIFFICULTY_LEVELS.INTERMEDIATE,
+            duration: duel.days,
+            description: `${challengerName} vs ${user.name}. Whoever is ahead when the window closes wins.`,
+            imageUrl: null,
+            participants: 2,
+            goals: { [duel.goal]: duel.target },
+            rewards: { points: 0, badge: null, achievements: [] },
+            completion: { mode: COMPLETION_MODES.ALL },
+            cohorts: [],
+            restDays: [],
+            streakFreezes: 0,
+            teamSettings: null,
+            duelId: duel.id,
+            createdAt: startDate,
+            createdBy: duel.challengerId,
+            featured: false,
+            archived: false
+        };
+
+        const validation = validateChallengeData(challenge);
+        if (!validation.isValid) {
+            return { success: false, message: validation.error };
+        }
+
+        const challenges = getChallenges();
+        challenges.push(challenge);
+        saveChallenges(challenges);
+
+        [duel.challengerId, duel.opponentId].forEach(userId => {
+            saveUserChallengeEntry(createUserChallengeEntry(userId, challenge, { startDate, endDate }));
+        });
+
+        const accepted = updateDuel(duelId, d => {
+            d.status = DUEL_STATUSES.ACTIVE;
+            d.challengeId = challenge.id;
+            d.startDate = startDate;
+            d.endDate = endDate;
+            d.acceptedAt = startDate;
+        });
+
+        return {
+            success: true,
+            message: `Duel on! Ends ${new Date(endDate).toLocaleDateString()}`,
+            duel: accepted
+        };
+
+    } catch (error) {
+        console.error('Error accepting duel:', error);
+        return { success: false, message: 'An error occurred while accepting the duel' };
+    }
+}
+
+/**
+ * Answer a pending invite without starting it
+ * @param {string} duelId - Duel ID
+ * @param {string} role - 'opponentId' (declining) or 'challengerId' (cancelling)
+ * @param {string} status - DUEL_STATUSES.DECLINED or DUEL_STATUSES.CANCELLED
+ * @returns {Object} Result { success, message }
+ */
+function closeDuelInvite(duelId, role, status) {
+    if (!isLoggedIn()) {
+        return { success: false, message: 'You must be logged in' };
+    }
+
+    const duel = getDuel(duelId);
+    if (!duel || duel[role] !== getCurrentUser().id) {
+        return { success: false, message: 'Duel invite not found' };
+    }
+
+    if (duel.status !== DUEL_STATUSES.PENDING) {
+        return { success: false, message: `This duel is ${duel.status}` };
+    }
+
+    updateDuel(duelId, d => { d.status = status; });
+    return { success: true, message: `Duel ${status}` };
+}
+
+/**
+ * Decline a duel invite you received
+ * @param {string} duelId - Duel ID
+ * @returns {Object} Result { success, message }
+ */
+export function declineDuel(duelId) {
+    return closeDuelInvite(duelId, 'opponentId', DUEL_STATUSES.DECLINED);
+}
+
+/**
+ * Withdraw a duel invite you sent
+ * @param {string} duelId - Duel ID
+ * @returns {Object} Result { success, message }
+ */
+export function cancelDuel(duelId) {
+    return closeDuelInvite(duelId, 'challengerId', DUEL_STATUSES.CANCELLED);
+}
+
+/**
+ * Get the duels a user sent or received, newest first
+ * @param {string} userId - User ID (default: current user)
+ * @returns {Array} Array of duel objects
+ */
+export function getUserDuels(userId = null) {
+    const user = userId || getCurrentUser()?.id;
+    return user ? getDuelsForUser(user) : [];
+}
+
+/**
+ * Compare both sides of a duel. Each side's logged entries inside the
+ * window are replayed through the duel's goal type.
+ * @param {string} duelId - Duel ID
+ * @returns {Object|null} { duel, goalLabel, sides, leaderId, daysLeft } or null if not found
+ *   - sides: [{ userId, name, value, display, percentage, forfeited }], challenger first
+ *   - leaderId: winner once finished, otherwise whoever is ahead (null when level)
+ *
+ * @example
+ * const { sides, leaderId } = getDuelComparison(duelId);
+ * sides.forEach(side => console.log(side.name, side.display, side.userId === leaderId ? '(ahead)' : ''));
+ */
+export function getDuelComparison(duelId) {
+    const duel = getDuel(duelId);
+    if (!duel) return null;
+
+    const goalType = getGoalType(duel.goal);
+
+    const sides = [duel.challengerId, duel.opponentId].map(userId => {
+        const progress = initializeChallengeProgress({ goals: { [duel.goal]: duel.target } });
+        const attempt = duel.challengeId ? getLatestAttempt(duel.challengeId, userId) : null;
+        if (attempt) replayAttemptEntries(progress, attempt, duel.endDate);
+
+        return {
+            userId: userId,
+            name: getUserDisplayName(userId),
+            value: goalType.getCurrent(progress) || 0,
+            display: goalType.render(progress),
+            percentage: Math.min(100, Math.round(goalType.getPercentage(progress))),
+            forfeited: attempt?.status === 'abandoned'
+        };
+    });
+
+    const daysLeft = duel.endDate
+        ? Math.max(0, Math.ceil((new Date(duel.endDate) - new Date()) / (24 * 60 * 60 * 1000)))
+        : null;
+
+    return {
+        duel: duel,
+        goalLabel: goalType.label,
+        sides: sides,
+        leaderId: duel.status === DUEL_STATUSES.FINISHED ? duel.winnerId : getDuelLeader(duel, sides),
+        daysLeft: daysLeft
+    };
+}
+
+/**
+ * Work out who is ahead. Leaving a duel forfeits it.
+ * @param {Object} duel - Duel object
+ * @param {Array} sides - Sides from getDuelComparison
+ * @returns {string|null} Leading user ID, or null when level
+ */
+function getDuelLeader(duel, sides) {
+    const forfeited = sides.filter(side => side.forfeited);
+    if (forfeited.length === 1) {
+        return sides.find(side => !side.forfeited).userId;
+    }
+
+    return decideDuelWinner(duel, Object.fromEntries(sides.map(side => [side.userId, side.value])));
+}
+
+/**
+ * Decide every duel whose window has closed and whose attempts the
+ * lifecycle pass has closed (so late syncs inside the grace period count)
+ * @param {Date} now - Current time
+ * @returns {Array} Duels decided in this pass
+ */
+function settleDuels(now) {
+    return getDuelsByStatus(DUEL_STATUSES.ACTIVE)
+        .filter(duel => new Date(duel.endDate) <= now)
+        .filter(duel => [duel.challengerId, duel.opponentId]
+            .every(userId => getLatestAttempt(duel.challengeId, userId)?.status !== 'active'))
+        .map(duel => {
+            const { sides } = getDuelComparison(duel.id);
+            const winnerId = getDuelLeader(duel, sides);
+
+            return updateDuel(duel.id, d => {
+                d.status = DUEL_STATUSES.FINISHED;
+                d.winnerId = winnerId;
+                d.forfeitedBy = sides.find(side => side.forfeited)?.userId || null;
+                d.finalValues = Object.fromEntries(sides.map(side => [side.userId, side.value]));
+                d.finishedAt = now.toISOString();
+            });
+        });
+}
+
+// ========================================
+// Rewards
+// ========================================
+
+/**
+ * Grant whatever a user challenge has earned after its progress changed.
+ * Runs after every progress update, check-in and lifecycle completion.
+ * @param {Object} userChallenge - User challenge object (already saved)
+ * @param {Object} context - What just happened (optional)
+ * @param {Object} context.entry - Ledger entry just logged
+ * @param {Object} context.completion - Completion evaluation, if already computed
+ * @returns {Object} { achievements, points, badge } Newly unlocked achievements, points
+ *                   entries and the badge issued (null if none)
+ */
+function grantRewards(userChallenge, context = {}) {
+    const challenge = getChallengeById(userChallenge.challengeId);
+    if (!challenge) return { achievements: [], points: [], badge: null };
+
+    const completion = context.completion || evaluateChallengeCompletion(userChallenge);
+    const streaks = getChallengeStreaks(userChallenge);
+    const names = checkAchievementTriggers(challenge.rewards?.achievements || [], {
+        progress: userChallenge.progress,
+        entry: context.entry,
+        completion: completion,
+        streaks: streaks
+    });
+
+    const achievements = unlockAchievements(userChallenge.userId, names, {
+        challengeId: challenge.id,
+        attemptId: userChallenge.id
+    });
+
+    achievements.forEach(unlock => console.log('🏅 Achievement unlocked:', unlock.name));
+
+    const points = awardChallengePoints(userChallenge, challenge, { completion, streaks });
+
+    const badge = completion.isComplete
+        ? issueBadge(userChallenge.userId, {
+            badge: challenge.rewards?.badge,
+            challengeId: challenge.id,
+            attemptId: userChallenge.id
+        })
+        : null;
+
+    return { achievements, points, badge };
+}
+
+/**
+ * Take back whatever a user challenge no longer earns after an entry was
+ * edited or deleted: points and milestones it fell below, achievements
+ * whose triggers no longer hold, and the badge if it is no longer complete.
+ * @param {Object} userChallenge - User challenge object (already saved)
+ * @returns {Object} { achievements, points, badge } Removed unlocks, removed points
+ *                   entries and the badge revocation (null if none)
+ */
+function revokeRewards(userChallenge) {
+    const challenge = getChallengeById(userChallenge.challengeId);
+    if (!challenge) return { achievements: [], points: [], badge: null };
+
+    const completion = evaluateChallengeCompletion(userChallenge);
+    const streaks = getChallengeStreaks(userChallenge);
+
+    const achievements = revokeAchievements(userChallenge.userId, userChallenge.id, {
+        progress: userChallenge.progress,
+        entries: (getProgressLedger()[userChallenge.id] || []).filter(entry => !entry.deletedAt),
+        completion: completion,
+        streaks: streaks
+    });
+
+    const points = revokeChallengePoints(userChallenge, challenge, { completion, streaks });
+
+    const badge = completion.isComplete
+        ? null
+        : revokeBadge(userChallenge.userId, {
+            badge: challenge.rewards?.badge,
+            challengeId: challenge.id,
+            attemptId: userChallenge.id
+        });
+
+    return { achievements, points, badge };
+}
+
+/**
+ * Get a user's badge collection: badges offered by the catalog (locked
+ * until earned) plus every badge already earned, even from archived challenges
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {Array} Badges, earned first (see getBadgeCollection)
+ */
+export function getUserBadges(userId = null) {
+    const user = userId || getCurrentUser()?.id;
+    if (!user) return [];
+
+    return getBadgeCollection(user, getCatalogChallenges()).map(badge => ({
+        ...badge,
+        challengeTitle: badge.challengeTitle || getChallengeById(badge.challengeId)?.title || null
+    }));
+}
+
+/**
+ * Get the achievements a user has unlocked, with their definitions
+ * @param {string} userId - User ID (optional, uses current user if not provided)
+ * @returns {Array} [{ name, icon, description, challengeId, attemptId, unlockedAt }] newest first
+ *
+ * @example
+ * getUserAchievements().forEach(a => console.log(a.icon, a.name, a.unlockedAt));
+ */
+export function getUserAchievements(userId = null) {
+    const user = userId || getCurrentUser()?.id;
+    if (!user) return [];
+
+    return getUnlockedAchievements(user)
+        .map(unlock => ({ ...getAchievement(unlock.name), ...unlock }))
+        .reverse();
+}
 
-        // Update progress
-        if (progressData.distance) {
-            userChallenge.progress.currentDistance =
-                (userChallenge.progress.currentDistance || 0) + progressData.distance;
-        }
+/**
+ * Get a challenge's achievements and whether the current user has them
+ * @param {Object} challenge - Challenge object
+ * @returns {Array} [{ name, icon, description, unlocked, unlockedAt }]
+ */
+export function getChallengeAchievements(challenge) {
+    const user = getCurrentUser();
+    const unlocks = user ? getUnlockedAchievements(user.id) : [];
 
-        if (progressData.calories) {
-            userChallenge.progress.currentCalories =
-                (userChallenge.progress.currentCalories || 0) + progressData.calories;
-        }
+    return (challenge.rewards?.achievements || []).map(name => {
+        const unlock = unlocks.find(u => u.name === name);
+        return {
+            ...getAchievement(name),
+            unlocked: !!unlock,
+            unlockedAt: unlock ? unlock.unlockedAt : null
+        };
+    });
+}
 
-        if (progressData.minutes) {
-            userChallenge.progress.currentMinutes =
-                (userChallenge.progress.currentMinutes || 0) + progressData.minutes;
-        }
+// ========================================
+// Import & Export
+// ========================================
 
-        if (progressData.workoutCompleted) {
-            userChallenge.progress.completedWorkouts++;
-            userChallenge.progress.currentDay =
-                Math.min(userChallenge.progress.currentDay + 1, userChallenge.progress.totalDays);
-        }
+/**
+ * Export challenges as a versioned JSON file (see challengeTransfer.js for the format)
+ * @param {Array} challengeIds - IDs of the challenges to export
+ * @returns {Object} Result { success, message, json, fileName }
+ *
+ * @example
+ * const { json, fileName } = exportChallenges(['1', '3']);
+ */
+export function exportChallenges(challengeIds) {
+    try {
+        const challenges = challengeIds
+            .map(id => getChallengeById(id))
+            .filter(c => c && !c.duelId && canAccessChallenge(c));
 
-        // Check if challenge is completed
-        const completionPercentage = calculateChallengeProgress(userChallenge);
-        if (completionPercentage >= 100) {
-            userChallenge.status = 'completed';
-            userChallenge.completedAt = new Date().toISOString();
+        if (challenges.length === 0) {
+            return { success: false, message: 'Choose at least one challenge to export' };
         }
 
-        // Save updated data
-        localStorage.setItem(CHALLENGE_CONFIG.USER_CHALLENGES_KEY, JSON.stringify(allUserChallenges));
-
         return {
             success: true,
-            message: 'Progress updated',
-            progress: userChallenge.progress,
-            completionPercentage: completionPercentage
+            message: `Exported ${challenges.length} challenge${challenges.length === 1 ? '' : 's'}`,
+            json: JSON.stringify(buildChallengeExport(challenges), null, 2),
+            fileName: getExportFileName(challenges)
         };
 
     } catch (error) {
-        console.error('Error updating progress:', error);
-        return { success: false, message: 'An error occurred' };
+        console.error('Error exporting challenges:', error);
+        return { success: false, message: 'An error occurred while exporting challenges' };
     }
 }
 
 /**
- * Calculate challenge completion percentage
- * @param {Object} userChallenge - User challenge object
- * @returns {number} Completion percentage (0-100)
- * 
+ * Check the shape of an imported definition's lists before the validators
+ * read their entries (training plan days and cohorts)
+ * @param {Object} definition - Challenge definition
+ * @returns {string|null} What is wrong, or null if the lists are well formed
  * @example
- * const percentage = calculateChallengeProgress(userChallenge);
- * console.log(`${percentage}% complete`);
+ * findNestedImportError({ trainingPlan: [null] }); // 'training plan day 1 must be an object'
  */
-export function calculateChallengeProgress(userChallenge) {
-    const progress = userChallenge.progress;
-    let totalPercentage = 0;
-    let criteriaCount = 0;
+function findNestedImportError(definition) {
+    const lists = [
+        { field: 'trainingPlan', label: 'training plan day', textField: 'title' },
+        { field: 'cohorts', label: 'cohort', textField: 'name' }
+    ];
+
+    for (const { field, label, textField } of lists) {
+        const entries = definition[field];
+        if (entries === undefined || entries === null) {
+            continue;
+        }
 
-    // Calculate percentage for each goal
-    if (progress.totalWorkouts) {
-        totalPercentage += (progress.completedWorkouts / progress.totalWorkouts) * 100;
-        criteriaCount++;
-    }
+        if (!Array.isArray(entries)) {
+            return `${field} must be a list`;
+        }
 
-    if (progress.totalDistance) {
-        totalPercentage += (progress.currentDistance / progress.totalDistance) * 100;
-        criteriaCount++;
-    }
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                return `${label} ${i + 1} must be an object`;
+            }
 
-    if (progress.totalCalories) {
-        totalPercentage += (progress.currentCalories / progress.totalCalories) * 100;
-        criteriaCount++;
+            if (entry[textField] !== undefined && entry[textField] !== null && typeof entry[textField] !== 'string') {
+                return `${label} ${i + 1}: ${textField} must be text`;
+            }
+        }
     }
 
-    if (progress.totalMinutes) {
-        totalPercentage += (progress.currentMinutes / progress.totalMinutes) * 100;
-        criteriaCount++;
+    return null;
+}
+
+/**
+ * Validate an imported challenge definition
+ * @param {Object} definition - Challenge definition
+ * @returns {Object} Validation result { isValid, error }
+ */
+function validateImportedChallenge(definition) {
+    // The field validators call string methods, so a wrong type must fail here first
+    const textField = ['title', 'description', 'category', 'difficulty'].find(field =>
+        definition[field] !== undefined && definition[field] !== null && typeof definition[field] !== 'string'
+    );
+    if (textField) {
+        return { isValid: false, error: `${typeof definition.title === 'string' ? definition.title : 'Untitled'}: ${textField} must be text` };
     }
 
-    if (progress.totalSessions) {
-        totalPercentage += (progress.currentSessions / progress.totalSessions) * 100;
-        criteriaCount++;
+    const nestedError = findNestedImportError(definition);
+    if (nestedError) {
+        return { isValid: false, error: `${typeof definition.title === 'string' ? definition.title : 'Untitled'}: ${nestedError}` };
     }
 
-    // Return average percentage
-    return criteriaCount > 0 ? Math.min(Math.round(totalPercentage / criteriaCount), 100) : 0;
+    const validation = validateChallengeData(definition);
+    return validation.isValid
+        ? validation
+        : { isValid: false, error: `${definition.title || 'Untitled'}: ${validation.error}` };
 }
 
 /**
- * Sync challenge progress with external APIs (Strava, Fitbit)
- * @param {string} challengeId - Challenge ID
- * @returns {Promise<Object>} Result { success, message, syncedData }
+ * Preview what importing a file would do, without changing anything
+ * @param {string} text - Export file contents
+ * @param {string} conflict - What to do with duplicate IDs, one of CONFLICT_STRATEGIES
+ * @returns {Object} Result { success, message, rows, summary }
+ *   - rows: [{ definition, action, message, existing }] one per challenge in the file
+ *   - summary: { create, replace, copy, skip, invalid }
  */
-export async function syncChallengeProgress(challengeId) {
+export function previewChallengeImport(text, conflict = CONFLICT_STRATEGIES.SKIP) {
     try {
-        const challenge = getChallengeById(challengeId);
-        if (!challenge) {
-            return { success: false, message: 'Challenge not found' };
+        if (!isLoggedIn()) {
+            return { success: false, message: 'You must be logged in to import challenges' };
         }
 
-        let syncedData = {};
+        if (!Object.values(CONFLICT_STRATEGIES).includes(conflict)) {
+            return { success: false, message: `Unknown conflict option: ${conflict}` };
+        }
 
-        // Sync with Strava for running/cycling challenges
-        if (challenge.category === CHALLENGE_CATEGORIES.RUNNING ||
-            challenge.category === CHALLENGE_CATEGORIES.CYCLING) {
-            try {
-                const activities = await getStravaActivities({ per_page: 10 });
+        const { data, error } = parseChallengeExport(text);
+        if (error) {
+            return { success: false, message: error };
+        }
 
-                // Calculate totals from recent activities
-                const totalDistance = activities.reduce((sum, act) => sum + (act.distance / 1000), 0);
-                const totalCalories = activities.reduce((sum, act) => sum + (act.calories || 0), 0);
+        const rows = planChallengeImport(data, {
+            existing: getChallenges(),
+            conflict: conflict,
+            validate: validateImportedChallenge,
+            canReplace: challenge => canEditChallenge(challenge)
+        });
 
-                syncedData.strava = {
-                    distance: totalDistance,
-                    calories: totalCalories,
-                    activities: activities.length
-                };
-            } catch (error) {
-                console.log('Strava sync skipped:', error.message);
-            }
-        }
+        return {
+            success: true,
+            message: `${rows.length} challenge${rows.length === 1 ? '' : 's'} in file`,
+            rows: rows,
+            summary: summarizeImportPlan(rows)
+        };
 
-        // Sync with Fitbit for general fitness data
-        try {
-            const fitbitData = await getFitbitDailyActivity();
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        return { success: false, message: 'An error occurred while reading the file' };
+    }
+}
 
-            syncedData.fitbit = {
-                steps: fitbitData.summary?.steps || 0,
-                calories: fitbitData.summary?.caloriesOut || 0,
-                distance: fitbitData.summary?.distances?.[0]?.distance || 0
-            };
-        } catch (error) {
-            console.log('Fitbit sync skipped:', error.message);
+/**
+ * Import challenges from an export file. Invalid challenges and skipped
+ * duplicates are left out; the rest are created, copied or replaced as
+ * previewChallengeImport shows.
+ * @param {string} text - Export file contents
+ * @param {string} conflict - What to do with duplicate IDs, one of CONFLICT_STRATEGIES
+ * @returns {Object} Result { success, message, imported, summary }
+ *
+ * @example
+ * const result = importChallenges(fileText, 'copy');
+ * console.log(result.message); // 'Imported 2 challenges, skipped 1'
+ */
+export function importChallenges(text, conflict = CONFLICT_STRATEGIES.SKIP) {
+    try {
+        const preview = previewChallengeImport(text, conflict);
+        if (!preview.success) {
+            return preview;
         }
 
-        // Update challenge progress with synced data
-        if (Object.keys(syncedData).length > 0) {
-            const progressUpdate = {
-                distance: syncedData.strava?.distance || syncedData.fitbit?.distance || 0,
-                calories: syncedData.strava?.calories || syncedData.fitbit?.calories || 0
-            };
-
-            updateChallengeProgress(challengeId, progressUpdate);
+        const userId = getCurrentUser().id;
+        const challenges = getChallenges();
+        const imported = [];
+
+        preview.rows.forEach(row => {
+            if (row.action === 'create' || row.action === 'copy') {
+                const challenge = buildChallengeRecord(row.definition, userId);
+                // Keep the original ID so importing the same file again is detected as a duplicate
+                if (row.action === 'create' && row.definition.id) challenge.id = row.definition.id;
+                challenge.importedAt = challenge.createdAt;
+                challenges.push(challenge);
+                imported.push(challenge);
+            }
+        });
+        saveChallenges(challenges);
 
-            return {
-                success: true,
-                message: 'Progress synced successfully',
-                syncedData: syncedData
-            };
-        }
+        // Replacing goes through updateChallenge so owners and participants are kept
+        preview.rows.filter(row => row.action === 'replace').forEach(row => {
+            const { id, ...definition } = row.definition;
+            const result = updateChallenge(row.existing.id, definition);
+            if (result.success) imported.push(result.challenge);
+        });
 
+        const skipped = preview.rows.length - imported.length;
         return {
-            success: false,
-            message: 'No data available to sync. Please connect your fitness apps.'
+            success: imported.length > 0,
+            message: imported.length > 0
+                ? `Imported ${imported.length} challenge${imported.length === 1 ? '' : 's'}${skipped ? `, skipped ${skipped}` : ''}`
+                : 'Nothing was imported',
+            imported: imported,
+            summary: preview.summary
         };
 
     } catch (error) {
-        console.error('Error syncing progress:', error);
-        return {
-            success: false,
-            message: 'An error occurred while syncing'
-        };
+        console.error('Error importing challenges:', error);
+        return { success: false, message: 'An error occurred while importing challenges' };
     }
 }
 
@@ -669,16 +4280,452 @@ export function generateProgressBar(percentage, label = '') {
     `;
 }
 
+/**
+ * Generate one progress bar per challenge goal, rendered by its goal type.
+ * Goals that still block completion are marked.
+ * @param {Object} userChallenge - User challenge object
+ * @returns {string} HTML string with a progress bar per goal
+ *
+ * @example
+ * container.innerHTML = renderGoalBreakdown(userChallenge);
+ */
+export function renderGoalBreakdown(userChallenge) {
+    const completion = evaluateChallengeCompletion(userChallenge);
+    const blockingKeys = completion.blockingGoals.map(goal => goal.key);
+
+    return completion.goals.map(goal => {
+        const marker = goal.isMet ? ' ✓' : (blockingKeys.includes(goal.key) ? ' (blocking)' : '');
+        return generateProgressBar(goal.percentage, `${goal.label}: ${goal.display}${marker}`);
+    }).join('');
+}
+
+/**
+ * Render the check-in calendar of a user challenge with its streak counters.
+ * Missed days carry a data-freeze-date attribute while freezes are left.
+ * @param {Object} userChallenge - User challenge object
+ * @returns {string} HTML string
+ *
+ * @example
+ * container.innerHTML = generateProgressBar(percentage) + renderCheckInCalendar(userChallenge);
+ */
+export function renderCheckInCalendar(userChallenge) {
+    const calendar = getCheckInCalendar(userChallenge);
+    const streaks = getChallengeStreaks(userChallenge);
+    const canFreeze = streaks.freezesLeft > 0 && !userChallenge.closedAt;
+
+    // Pad the first week so days line up under their weekday
+    const padding = calendar.length > 0 ? '<span class="checkin-day empty"></span>'.repeat(calendar[0].weekday) : '';
+
+    const days = calendar.map(day => `
+        <span class="checkin-day ${day.status}" title="${day.date}: ${day.status}"
+              ${canFreeze && day.status === DAY_STATUSES.MISSED ? `data-freeze-date="${day.date}"` : ''}>
+            ${Number(day.date.slice(-2))}
+        </span>
+    `).join('');
+
+    return `
+        <div class="checkin-calendar">
+            <div class="streak-counters">
+                <span>🔥 ${streaks.current} day streak</span>
+                <span>Longest: ${streaks.longest}</span>
+                <span>Freezes left: ${streaks.freezesLeft}</span>
+            </div>
+            <div class="checkin-grid">
+                ${WEEKDAY_LABELS.map(label => `<span class="checkin-weekday">${label}</span>`).join('')}
+                ${padding}${days}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render a challenge's training plan week by week. With the current user's
+ * attempt, days are marked done, missed or today, and sessions that can be
+ * completed carry a data-plan-day attribute for the page to wire up.
+ * @param {string} challengeId - Challenge ID
+ * @returns {string} HTML string ('' without a plan)
+ */
+export function renderTrainingPlan(challengeId) {
+    const challenge = getChallengeById(challengeId);
+    if (!challenge?.trainingPlan?.length) return '';
+
+    const found = findCurrentUserChallenge(challengeId);
+    const attempt = found && found.userChallenge.status !== 'abandoned' && !found.userChallenge.closedAt
+        ? found.userChallenge
+        : null;
+    const today = attempt ? getPlanDayNumber(attempt.startDate) : null;
+    const completed = attempt ? getCompletedPlanDays(attempt) : new Set();
+
+    const dayStatus = (planDay) => {
+        if (planDay.rest) return 'rest';
+        if (completed.has(planDay.day)) return 'done';
+        if (today === null || planDay.day > today) return 'upcoming';
+        return planDay.day === today ? 'today' : 'missed';
+    };
+
+    return `
+        <div class="training-plan">
+            ${groupPlanByWeek(challenge.trainingPlan).map(({ week, days }) => `
+                <div class="plan-week">
+                    <div class="plan-week-title">Week ${week}</div>
+                    ${days.map(planDay => {
+                        const status = dayStatus(planDay);
+                        return `
+                            <div class="plan-day ${status} ${planDay.day === today ? 'current' : ''}">
+                                <span class="plan-day-number">Day ${planDay.day}</span>
+                                <span class="plan-day-title">${escapeHtml(planDay.title)}</span>
+                                ${status === 'done' ? '<span class="plan-day-done">✓</span>' : ''}
+                                ${status === 'today' || status === 'missed' ? `
+                                    <button class="btn" data-plan-day="${planDay.day}">${status === 'today' ? 'Mark done' : 'Catch up'}</button>
+                                ` : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render the challenge detail page: description, a progress bar per goal,
+ * recent progress, rewards and the join/leave/sync actions. Action buttons
+ * carry data-detail-action ('join', 'dequeue', 'leave', 'sync') for the page to wire up.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} inviteCode - Invite code from a shared link (optional, see getChallengeDetail)
+ * @returns {string} HTML string ('' if the challenge can't be shown)
+ *
+ * @example
+ * container.innerHTML = renderChallengeDetail('3');
+ */
+export function renderChallengeDetail(challengeId, inviteCode = null) {
+    const detail = getChallengeDetail(challengeId, 5, inviteCode);
+    if (!detail) return '';
+
+    const { challenge, userChallenge, isActive, completion, goals, rewards, daysLeft, recentEntries } = detail;
+    const registrationClosed = !isActive && hasCohorts(challenge) && !getOpenCohort(challenge);
+    const queuePosition = isActive ? 0 : getQueuePosition(getCurrentUser()?.id, challenge.id);
+    const sourceIcons = { manual: '✍️', strava: '🟠', fitbit: '⌚' };
+
+    return `
+        <div class="challenge-detail-content" data-challenge-id="${escapeHtml(challenge.id)}">
+            <div class="challenge-main">
+                <div class="challenge-header">
+                    <span class="challenge-category">${challenge.category}</span>
+                    <span class="challenge-difficulty ${challenge.difficulty}">${challenge.difficulty}</span>
+                </div>
+                <h2 class="challenge-title">${escapeHtml(challenge.title)}</h2>
+                <p class="challenge-detail-description">${escapeHtml(challenge.description)}</p>
+
+                <h3>Goals</h3>
+                ${userChallenge ? generateProgressBar(completion.percentage, 'Overall') : ''}
+                ${goals.map(goal => generateProgressBar(goal.percentage, `${goal.label}: ${goal.display}${goal.isMet ? ' ✓' : ''}`)).join('')}
+
+                ${userChallenge ? `
+                    <h3>Recent progress</h3>
+                    ${recentEntries.length > 0 ? `
+                        <ul class="detail-entries">
+                            ${recentEntries.map(entry => `
+                                <li class="detail-entry">
+                                    <span class="detail-entry-date">${sourceIcons[entry.source] || ''} ${new Date(entry.occurredAt).toLocaleDateString()}</span>
+                                    <span>${entry.contributions.map(c => `${c.label}: ${c.value}${c.unit ? ` ${c.unit}` : ''}`).join(' · ') || 'Check-in'}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="form-hint">No progress logged yet.</p>'}
+                ` : ''}
+
+                ${challenge.trainingPlan?.length ? `
+                    <details class="challenge-plan">
+                        <summary>Day-by-day training plan</summary>
+                        ${renderTrainingPlan(challenge.id)}
+                    </details>
+                ` : ''}
+
+                ${isActive ? renderTeamPanel(challenge.id) : ''}
+
+                ${renderChallengeDiscussion(challenge.id)}
+            </div>
+
+            <aside class="challenge-sidebar">
+                <div class="challenge-info-card">
+                    <h3>Overview</h3>
+                    <div class="info-item">
+                        <span class="info-label">Duration</span>
+                        <span class="info-value">${challenge.duration} days</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Participants</span>
+                        <span class="info-value">${challenge.participants.toLocaleString()}</span>
+                    </div>
+                    ${userChallenge ? `
+                        <div class="info-item">
+                            <span class="info-label">${isActive ? 'Days left' : 'Status'}</span>
+                            <span class="info-value">${isActive ? daysLeft : userChallenge.status}</span>
+                        </div>
+                    ` : ''}
+                    ${hasCohorts(challenge) ? `
+                        <div class="info-item">
+                            <span class="info-label">Cohort</span>
+                            <span class="info-value">${renderCohortStatus(challenge)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+
+                <div class="challenge-info-card">
+                    <h3>Rewards</h3>
+                    <div class="info-item">
+                        <span class="info-label">Points</span>
+                        <span class="info-value">${rewards.points}</span>
+                    </div>
+                    ${rewards.badge ? `
+                        <div class="info-item">
+                            <span class="info-label">Badge</span>
+                            <span class="info-value">${escapeHtml(rewards.badge)}</span>
+                        </div>
+                    ` : ''}
+                    ${rewards.achievements.length > 0 ? `
+                        <div class="challenge-achievements">
+                            ${rewards.achievements.map(a => `
+                                <span class="achievement-chip ${a.unlocked ? 'unlocked' : ''}" title="${escapeHtml(a.description)}">
+                                    ${a.unlocked ? a.icon : '🔒'} ${escapeHtml(a.name)}
+                                </span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+
+                <div class="challenge-info-card detail-actions">
+                    ${isActive ? `
+                        <button class="btn btn-primary btn-block" data-detail-action="sync">Sync Strava / Fitbit</button>
+                        <button class="btn btn-secondary btn-block" data-detail-action="leave">Leave Challenge</button>
+                    ` : challenge.duelId ? '' : queuePosition ? `
+                        <p class="form-hint">Queued #${queuePosition}: starts when one of your active challenges ends.</p>
+                        <button class="btn btn-secondary btn-block" data-detail-action="dequeue">Remove from Queue</button>
+                    ` : `
+                        <button class="btn btn-primary btn-block" data-detail-action="join" ${registrationClosed ? 'disabled' : ''}>
+                            ${registrationClosed ? 'Registration Closed' : (userChallenge ? 'Try Again' : 'Join Challenge')}
+                        </button>
+                    `}
+                </div>
+            </aside>
+        </div>
+    `;
+}
+
+/**
+ * Render a challenge's discussion thread with replies nested under their
+ * posts and @mentions highlighted. Buttons carry data-discussion-action
+ * ('post', 'reply', 'edit', 'delete') for the page to wire up.
+ * @param {string} challengeId - Challenge ID
+ * @returns {string} HTML string ('' if the discussion isn't visible)
+ *
+ * @example
+ * container.innerHTML += renderChallengeDiscussion('1');
+ */
+export function renderChallengeDiscussion(challengeId) {
+    const discussion = getChallengeDiscussion(challengeId);
+    if (!discussion) return '';
+
+    const userId = getCurrentUser()?.id;
+    const handles = new Set(discussion.people.map(person => person.handle.toLowerCase()));
+
+    const renderBody = body => escapeHtml(body)
+        .replace(/@([\p{L}\p{N}_.-]+)/gu, (match, handle) =>
+            handles.has(handle.replace(/[.-]+$/, '').toLowerCase()) ? `<span class="mention">${match}</span>` : match)
+        .replace(/\n/g, '<br>');
+
+    const renderPost = post => `
+        <li class="discussion-post" data-post-id="${post.id}">
+            <div class="discussion-meta">
+                <strong>${post.deletedAt ? 'Deleted post' : escapeHtml(post.authorName)}</strong>
+                <span>${new Date(post.createdAt).toLocaleString()}${post.editedAt ? ' · edited' : ''}</span>
+            </div>
+            ${post.deletedAt ? '' : `
+                <div class="discussion-body">${renderBody(post.body)}</div>
+                <div class="discussion-actions">
+                    ${discussion.canPost ? '<button class="link-button" data-discussion-action="reply">Reply</button>' : ''}
+                    ${post.authorId === userId ? `
+                        <button class="link-button" data-discussion-action="edit">Edit</button>
+                        <button class="link-button" data-discussion-action="delete">Delete</button>
+                    ` : ''}
+                </div>
+            `}
+            ${post.replies.length > 0 ? `<ul class="discussion-replies">${post.replies.map(renderPost).join('')}</ul>` : ''}
+        </li>
+    `;
+
+    return `
+        <section class="challenge-discussion">
+            <h3>Discussion (${discussion.postCount})</h3>
+            ${discussion.canPost ? `
+                <div class="discussion-compose">
+                    <textarea class="discussion-input" rows="3"
+                              placeholder="Share a tip or cheer someone on. Mention people with @${discussion.people[0]?.handle || 'Name'}"></textarea>
+                    <button class="btn btn-primary" data-discussion-action="post">Post</button>
+                </div>
+            ` : `<p class="form-hint">${discussion.reason}</p>`}
+            ${discussion.thread.length > 0
+                ? `<ul class="discussion-thread">${discussion.thread.map(renderPost).join('')}</ul>`
+                : '<p class="form-hint">No posts yet. Start the conversation!</p>'}
+        </section>
+    `;
+}
+
+/**
+ * Render the team panel of a team challenge for the current user: their
+ * team's progress and member contributions, or the teams they can join.
+ * Buttons carry data-team-action ('create', 'join', 'leave') for the page to wire up.
+ * @param {string} challengeId - Challenge ID
+ * @returns {string} HTML string ('' for individual challenges)
+ */
+export function renderTeamPanel(challengeId) {
+    const challenge = getChallengeById(challengeId);
+    const user = getCurrentUser();
+    if (!challenge?.teamSettings || !user) return '';
+
+    const standings = getTeamStandings(challengeId);
+    const myTeam = getTeamForUser(challengeId, user.id);
+
+    if (!myTeam) {
+        return `
+            <div class="team-panel">
+                <div class="team-panel-title">Teams (up to ${challenge.teamSettings.maxSize} members)</div>
+                ${standings.map(row => `
+                    <div class="team-row">
+                        <span>${escapeHtml(row.name)} · ${row.memberCount} member${row.memberCount === 1 ? '' : 's'} · ${row.percentage}%</span>
+                        <button class="btn" data-team-action="join" data-team-id="${row.teamId}"
+                                ${row.memberCount >= challenge.teamSettings.maxSize ? 'disabled' : ''}>Join</button>
+                    </div>
+                `).join('')}
+                <div class="team-row">
+                    <input type="text" class="team-name-input" placeholder="New team name">
+                    <button class="btn" data-team-action="create">Create team</button>
+                </div>
+            </div>
+        `;
+    }
+
+    const { completion, members } = getTeamProgress(challengeId, myTeam.id);
+    const myRank = standings.find(row => row.teamId === myTeam.id);
+
+    return `
+        <div class="team-panel">
+            <div class="team-panel-title">
+                Team ${escapeHtml(myTeam.name)} · rank ${myRank.rank} of ${standings.length} · ${completion.percentage}%
+                <button class="btn btn-secondary" data-team-action="leave">Leave team</button>
+            </div>
+            ${completion.goals.map(goal => generateProgressBar(goal.percentage, `${goal.label}: ${goal.display}`)).join('')}
+            <table class="team-contributions">
+                <thead>
+                    <tr><th>Member</th>${completion.goals.map(goal => `<th>${goal.label}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${members.map(member => `
+                        <tr>
+                            <td>${escapeHtml(member.name)}</td>
+                            ${member.goals.map(goal => `<td>${goal.display}${goal.share !== null ? ` (${goal.share}%)` : ''}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Render a table comparing every attempt at a challenge
+ * @param {string} challengeId - Challenge ID
+ * @returns {string} HTML string ('' if there are no attempts)
+ *
+ * @example
+ * historyContainer.innerHTML = renderAttemptHistory('1');
+ */
+export function renderAttemptHistory(challengeId) {
+    const attempts = getChallengeAttempts(challengeId);
+    if (attempts.length === 0) return '';
+
+    const best = getBestAttempt(challengeId);
+    const goalKeys = evaluateChallengeCompletion(attempts[0]).goals.map(goal => goal.key);
+    const goalLabels = goalKeys.map(key => getGoalType(key)?.label || key);
+
+    const rows = attempts.map(attempt => {
+        const completion = evaluateChallengeCompletion(attempt);
+        const isBest = best && best.attempt.id === attempt.id;
+        const ended = attempt.completedAt || attempt.closedAt ||
+            (attempt.status === 'abandoned' ? attempt.endDate : null);
+        const goalCells = goalKeys.map(key => {
+            const goal = completion.goals.find(g => g.key === key);
+            return `<td>${goal ? goal.display : '—'}</td>`;
+        }).join('');
+
+        return `
+            <tr class="${isBest ? 'best-attempt' : ''}">
+                <td>#${attempt.attemptNumber}${isBest ? ' ★' : ''}</td>
+                <td>${new Date(attempt.startDate).toLocaleDateString()}</td>
+                <td>${ended ? new Date(ended).toLocaleDateString() : '—'}</td>
+                <td>${attempt.status}</td>
+                <td>${completion.percentage}%</td>
+                ${goalCells}
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table class="attempt-history">
+            <thead>
+                <tr>
+                    <th>Attempt</th><th>Started</th><th>Ended</th><th>Status</th><th>Overall</th>
+                    ${goalLabels.map(label => `<th>${label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Describe a cohort challenge's registration status for the card
+ * @param {Object} challenge - Challenge object with cohorts
+ * @returns {string} Status HTML (cohort names escaped)
+ */
+function renderCohortStatus(challenge) {
+    const open = getOpenCohort(challenge);
+    if (open) {
+        return `${escapeHtml(open.name)}: starts ${new Date(open.startDate).toLocaleDateString()}, ` +
+            `registration closes ${new Date(open.registrationCloses).toLocaleDateString()}`;
+    }
+
+    const next = getNextCohort(challenge);
+    if (next) {
+        return `Next: ${escapeHtml(next.name)}, registration opens ${new Date(next.registrationOpens).toLocaleDateString()}`;
+    }
+
+    return 'No upcoming cohorts';
+}
+
 /**
  * Render challenge card HTML
  * @param {Object} challenge - Challenge object
  * @param {boolean} showJoinButton - Whether to show join button
+ * @param {Object} options - Card options
+ * @param {boolean} options.selectable - Add a checkbox for picking challenges to export
+ * @param {Array} options.highlight - Words a search matched, marked in the card text
  * @returns {string} HTML string for challenge card
  */
-export function renderChallengeCard(challenge, showJoinButton = true) {
+export function renderChallengeCard(challenge, showJoinButton = true, options = {}) {
     const hasJoined = hasJoinedChallenge(challenge.id);
-    const buttonText = hasJoined ? 'View Progress' : 'Join Challenge';
-    const buttonClass = hasJoined ? 'btn-secondary' : 'btn-primary';
+    const best = hasJoined ? null : getBestAttempt(challenge.id);
+    const registrationClosed = !hasJoined && hasCohorts(challenge) && !getOpenCohort(challenge);
+    const queuePosition = hasJoined ? 0 : getQueuePosition(getCurrentUser()?.id, challenge.id);
+    const buttonText = hasJoined ? 'View Progress'
+        : queuePosition ? `Queued #${queuePosition}`
+        : registrationClosed ? 'Registration Closed'
+        : (best ? 'Try Again' : 'Join Challenge');
+    const buttonClass = hasJoined || queuePosition ? 'btn-secondary' : 'btn-primary';
+    const achievements = getChallengeAchievements(challenge);
+    const highlight = options.highlight || [];
+    const badgeMatched = findMatchRanges(challenge.rewards?.badge, highlight).length > 0;
 
     // 🔹 Fallback images for each category
     const categoryImages = {
@@ -695,18 +4742,20 @@ export function renderChallengeCard(challenge, showJoinButton = true) {
     const imageUrl = challenge.imageUrl || categoryImages[challenge.category?.toLowerCase()] || categoryImages.default;
 
     return `
-        <article class="challenge-card" data-challenge-id="${challenge.id}">
+        <article class="challenge-card" data-challenge-id="${escapeHtml(challenge.id)}">
             <div class="challenge-image">
-                <img src="${imageUrl}" alt="${challenge.title}">
+                <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(challenge.title)}">
                 ${challenge.featured ? '<div class="challenge-badge">Popular</div>' : ''}
             </div>
             <div class="challenge-content">
                 <div class="challenge-header">
-                    <span class="challenge-category">${challenge.category}</span>
+                    <span class="challenge-category">${highlightText(challenge.category, highlight)}</span>
                     <span class="challenge-difficulty ${challenge.difficulty}">${challenge.difficulty}</span>
                 </div>
-                <h3 class="challenge-title">${challenge.title}</h3>
-                <p class="challenge-description">${challenge.description}</p>
+                <h3 class="challenge-title">
+                    <a href="${buildInviteLink(challenge)}">${highlightText(challenge.title, highlight)}</a>
+                </h3>
+                <p class="challenge-description">${highlightText(challenge.description, highlight)}</p>
                 
                 <div class="challenge-stats">
                     <div class="stat-item">
@@ -725,12 +4774,68 @@ export function renderChallengeCard(challenge, showJoinButton = true) {
                     </div>
                 </div>
 
+                ${hasCohorts(challenge) ? `
+                    <div class="challenge-cohort">${renderCohortStatus(challenge)}</div>
+                ` : ''}
+
+                ${getVisibility(challenge) !== VISIBILITY.PUBLIC ? `
+                    <div class="challenge-visibility">
+                        ${getVisibility(challenge) === VISIBILITY.PRIVATE ? '🔒 Private · invite only' : '🔗 Unlisted · joinable by link'}
+                    </div>
+                ` : ''}
+
+                ${challenge.teamSettings ? `
+                    <div class="challenge-teams">
+                        Team challenge · ${getTeams(challenge.id).length} teams · up to ${challenge.teamSettings.maxSize} per team
+                    </div>
+                ` : ''}
+
+                ${challenge.trainingPlan?.length ? `
+                    <details class="challenge-plan">
+                        <summary>Day-by-day training plan</summary>
+                        ${renderTrainingPlan(challenge.id)}
+                    </details>
+                ` : ''}
+
+                ${achievements.length > 0 ? `
+                    <div class="challenge-achievements">
+                        ${achievements.map(a => `
+                            <span class="achievement-chip ${a.unlocked ? 'unlocked' : ''}" title="${escapeHtml(a.description)}">
+                                ${a.unlocked ? a.icon : '🔒'} ${highlightText(a.name, highlight)}
+                            </span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                ${badgeMatched ? `
+                    <div class="challenge-badge-match">Badge: ${highlightText(challenge.rewards.badge, highlight)}</div>
+                ` : ''}
+
+                ${best ? `
+                    <div class="challenge-attempts">
+                        Best: ${best.percentage}% (attempt ${best.attempt.attemptNumber}, ${best.attempt.status})
+                    </div>
+                ` : ''}
+
                 ${showJoinButton ? `
                     <button class="btn ${buttonClass} btn-block join-challenge-btn" 
-                            data-challenge-id="${challenge.id}">
+                            data-challenge-id="${escapeHtml(challenge.id)}" ${registrationClosed ? 'disabled' : ''}>
                         ${buttonText}
                     </button>
                 ` : ''}
+
+                ${options.selectable ? `
+                    <label class="challenge-select">
+                        <input type="checkbox" class="challenge-select-input" data-challenge-id="${escapeHtml(challenge.id)}"> Select for export
+                    </label>
+                ` : ''}
+
+                ${canEditChallenge(challenge) ? `
+                    <div class="challenge-owner-actions">
+                        <button class="btn btn-secondary edit-challenge-btn" data-challenge-id="${escapeHtml(challenge.id)}">Edit</button>
+                        <button class="btn btn-secondary archive-challenge-btn" data-challenge-id="${escapeHtml(challenge.id)}">Archive</button>
+                    </div>
+                ` : ''}
             </div>
         </article>
     `;
@@ -769,6 +4874,40 @@ export async function loadFeaturedChallenges(container, limit = 3) {
     }
 }
 
+/**
+ * Load recommended challenges into container, each with why it was recommended
+ * @param {HTMLElement} container - Container element
+ * @param {number} limit - Number of challenges to load
+ */
+export async function loadRecommendedChallenges(container, limit = 3) {
+    if (!container) return;
+
+    try {
+        const recommendations = getRecommendedChallenges(null, limit);
+
+        if (recommendations.length === 0) {
+            container.innerHTML = '<p class="no-challenges">No challenges available at the moment.</p>';
+            return;
+        }
+
+        container.innerHTML = recommendations.map(({ challenge, why }) => `
+            <div class="recommended-challenge">
+                <p class="recommendation-reason">💡 ${why}</p>
+                ${renderChallengeCard(challenge, true)}
+            </div>
+        `).join('');
+
+        const joinButtons = container.querySelectorAll('.join-challenge-btn');
+        joinButtons.forEach(button => {
+            button.addEventListener('click', handleJoinButtonClick);
+        });
+
+    } catch (error) {
+        console.error('Error loading recommended challenges:', error);
+        container.innerHTML = '<p class="error-message">Error loading challenges</p>';
+    }
+}
+
 /**
  * Handle join button click
  * @param {Event} event - Click event
@@ -779,7 +4918,7 @@ async function handleJoinButtonClick(event) {
 
     // Check if already joined
     if (hasJoinedChallenge(challengeId)) {
-        window.location.href = `../profile/index.html?tab=challenges`;
+        window.location.href = buildInviteLink(getChallengeById(challengeId));
         return;
     }
 
@@ -807,6 +4946,11 @@ async function handleJoinButtonClick(event) {
             button.textContent = 'View Progress';
             alert(result.message);
         }, 1000);
+    } else if (result.limitReached && confirm(`${result.message}?`)) {
+        const queued = queueChallenge(challengeId);
+        button.textContent = queued.success ? 'Queued' : 'Join Challenge';
+        button.disabled = queued.success;
+        alert(queued.message);
     } else {
         button.disabled = false;
         button.textContent = 'Join Challenge';
@@ -818,6 +4962,39 @@ async function handleJoinButtonClick(event) {
 // Helper Functions
 // ========================================
 
+/**
+ * Escape user-written text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Text with HTML special characters escaped
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for HTML and mark the words a search matched
+ * @param {string} text - Text as displayed
+ * @param {Array} terms - Matched words from searchChallenges (optional)
+ * @returns {string} Safe HTML with matches wrapped in <mark>
+ */
+function highlightText(text, terms = []) {
+    const value = String(text ?? '');
+    let html = '';
+    let last = 0;
+
+    findMatchRanges(value, terms).forEach(({ start, end }) => {
+        html += `${escapeHtml(value.slice(last, start))}<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+        last = end;
+    });
+
+    return html + escapeHtml(value.slice(last));
+}
+
 /**
  * Calculate end date based on duration
  * @param {number} durationDays - Duration in days
@@ -829,6 +5006,24 @@ function calculateEndDate(durationDays) {
     return endDate.toISOString();
 }
 
+/**
+ * List every calendar day between two dates (inclusive) as YYYY-MM-DD keys
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Array<string>} Date keys
+ */
+function listDaysInWindow(from, to) {
+    const days = [];
+    const cursor = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+
+    while (cursor <= to) {
+        days.push(toDayKey(cursor));
+        cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return days;
+}
+
 /**
  * Update challenge participants count
  * @param {string} challengeId - Challenge ID
@@ -857,43 +5052,45 @@ function updateChallengeParticipants(challengeId, increment) {
  */
 function initializeChallenges() {
     initializeDefaultChallenges();
+
+    // Close overdue challenges now and keep checking while the app is open
+    runChallengeLifecycle();
+    setInterval(() => runChallengeLifecycle(), CHALLENGE_CONFIG.LIFECYCLE_CHECK_INTERVAL);
+
     console.log('✅ Challenge system initialized');
 }
 
 // Initialize when module loads
 initializeChallenges();
 
-// Export main functions
-export {
-    getChallenges,
-    getChallengeById,
-    getChallengesByCategory,
-    getChallengesByDifficulty,
-    getFeaturedChallenges,
-    getUserChallenges,
-    hasJoinedChallenge,
-    joinChallenge,
-    leaveChallenge,
-    updateChallengeProgress,
-    calculateChallengeProgress,
-    syncChallengeProgress,
-    generateProgressBar,
-    renderChallengeCard,
-    loadFeaturedChallenges
-};
-
 // ========================================
 // BEGIN: Filter, search and UI for challenges page
 // (merged from js/challenges_filter.js)
 // ========================================
 
-// State for filters
-let currentFilters = {
-    category: 'all',
-    difficulty: 'all',
-    duration: 'all',
-    sort: 'popular'
-};
+const CATALOG_SORTS = ['popular', 'newest', 'participants', 'difficulty'];
+
+function defaultFiltersLocal() {
+    return { ...createFacetSelections(), sort: 'popular', search: '', page: 1 };
+}
+
+// State for filters: selected values per facet (see facets.js), sort, search text and page.
+// All of it is kept in the URL (see updateURLLocal) so views can be bookmarked and shared.
+let currentFilters = defaultFiltersLocal();
+
+let linkedChallengeId = null;
+
+// Invite code from the page URL (?invite=), kept after the first render rewrites the URL
+let linkedInviteCode = null;
+
+// Challenge ID -> words the current search matched, for highlighting
+let searchMatches = new Map();
+
+// Option counts of every facet from the last applyFiltersLocal
+let facetCounts = [];
+
+// File picked for import, kept while its preview is shown
+let pendingImportText = null;
 
 function sortChallengesLocal(challenges, sortBy) {
     switch (sortBy) {
@@ -915,31 +5112,79 @@ function sortChallengesLocal(challenges, sortBy) {
     }
 }
 
-function applyFiltersLocal() {
-    let challengesList = getChallenges();
+function getCatalogStatusLocal(challenge) {
+    if (hasJoinedChallenge(challenge.id)) return STATUS_VALUES.JOINED;
+    return getChallengeAttempts(challenge.id).some(attempt => attempt.status === 'completed')
+        ? STATUS_VALUES.COMPLETED
+        : STATUS_VALUES.NOT_JOINED;
+}
 
-    // Category
-    if (currentFilters.category !== 'all') {
-        challengesList = challengesList.filter(c => c.category === currentFilters.category);
+function applyFiltersLocal() {
+    // Sort
+    let challengesList = sortChallengesLocal(getCatalogChallenges(), currentFilters.sort);
+
+    // Search: best matches first, the chosen sort breaks ties
+    searchMatches = new Map();
+    if (currentFilters.search.trim()) {
+        const results = searchChallenges(buildSearchIndex(challengesList), currentFilters.search);
+        results.forEach(result => searchMatches.set(result.challenge.id, result.terms));
+        challengesList = results.map(result => result.challenge);
     }
 
-    // Difficulty
-    if (currentFilters.difficulty !== 'all') {
-        challengesList = challengesList.filter(c => c.difficulty === currentFilters.difficulty);
-    }
+    // Facets: count each option against the search and the other facets, then filter
+    const context = { getStatus: getCatalogStatusLocal };
+    facetCounts = countFacets(challengesList, currentFilters, context);
+
+    return filterByFacets(challengesList, currentFilters, context);
+}
 
-    // Duration (minimum)
-    if (currentFilters.duration !== 'all') {
-        const duration = parseInt(currentFilters.duration);
-        if (!isNaN(duration)) {
-            challengesList = challengesList.filter(c => parseInt(c.duration) >= duration);
+function renderFacetsLocal() {
+    facetCounts.forEach(facet => {
+        const container = document.querySelector(`.filters-container [data-facet="${facet.key}"]`);
+        if (!container) return;
+
+        if (!facet.multiple) {
+            const selected = facet.options.find(option => option.selected);
+            container.innerHTML = `<option value="all">Any ${facet.label}</option>` + facet.options.map(option => `
+                <option value="${escapeHtml(option.value)}" ${option.selected ? 'selected' : ''}
+                        ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+                    ${escapeHtml(option.label)} (${option.count})
+                </option>
+            `).join('');
+            container.value = selected ? selected.value : 'all';
+            return;
         }
-    }
 
-    // Sort
-    challengesList = sortChallengesLocal(challengesList, currentFilters.sort);
+        container.innerHTML = facet.options.length === 0
+            ? '<span class="facet-option empty">None</span>'
+            : facet.options.map(option => `
+                <label class="facet-option ${option.count === 0 ? 'empty' : ''}">
+                    <input type="checkbox" value="${escapeHtml(option.value)}" ${option.selected ? 'checked' : ''}
+                           ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+                    <span>${escapeHtml(option.label)}</span>
+                    <span class="facet-count">${option.count}</span>
+                </label>
+            `).join('');
+    });
+}
+
+function handleFacetChangeLocal(event) {
+    const container = event.target.closest('[data-facet]');
+    if (!container) return;
+
+    const key = container.dataset.facet;
+    const value = event.target.value;
 
-    return challengesList;
+    if (event.target.tagName === 'SELECT') {
+        currentFilters[key] = value === 'all' ? [] : [value];
+    } else {
+        currentFilters[key] = event.target.checked
+            ? [...currentFilters[key], value]
+            : currentFilters[key].filter(selected => selected !== value);
+    }
+
+    currentFilters.page = 1;
+    updateDisplayLocal();
 }
 
 function renderChallengesLocal(challengesArr) {
@@ -949,6 +5194,10 @@ function renderChallengesLocal(challengesArr) {
 
     if (!grid) return;
 
+    const pageCount = Math.max(Math.ceil(challengesArr.length / CHALLENGE_CONFIG.CATALOG_PAGE_SIZE), 1);
+    currentFilters.page = Math.min(Math.max(currentFilters.page, 1), pageCount);
+    renderPaginationLocal(pageCount);
+
     if (challengeCount) {
         challengeCount.textContent = `${challengesArr.length} challenge${challengesArr.length !== 1 ? 's' : ''} found`;
     }
@@ -962,21 +5211,449 @@ function renderChallengesLocal(challengesArr) {
     grid.style.display = 'grid';
     if (emptyState) emptyState.style.display = 'none';
 
-    grid.innerHTML = challengesArr.map(ch => renderChallengeCard(ch, true)).join('');
+    const start = (currentFilters.page - 1) * CHALLENGE_CONFIG.CATALOG_PAGE_SIZE;
+    grid.innerHTML = challengesArr.slice(start, start + CHALLENGE_CONFIG.CATALOG_PAGE_SIZE).map(ch =>
+        renderChallengeCard(ch, true, { selectable: true, highlight: searchMatches.get(ch.id) })).join('');
     attachEventListenersLocal();
 }
 
+function renderPaginationLocal(pageCount) {
+    const nav = document.getElementById('catalog-pagination');
+    if (!nav) return;
+
+    nav.style.display = pageCount > 1 ? 'flex' : 'none';
+    if (pageCount <= 1) { nav.innerHTML = ''; return; }
+
+    const page = currentFilters.page;
+    const pages = Array.from({ length: pageCount }, (_, i) => i + 1);
+
+    nav.innerHTML = `
+        <button class="btn btn-secondary" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''}>Previous</button>
+        ${pages.map(n => `
+            <button class="btn ${n === page ? 'btn-primary' : 'btn-secondary'}" data-page="${n}"
+                    ${n === page ? 'aria-current="page"' : ''}>${n}</button>
+        `).join('')}
+        <button class="btn btn-secondary" data-page="${page + 1}" ${page === pageCount ? 'disabled' : ''}>Next</button>
+    `;
+}
+
+function handlePaginationLocal(event) {
+    const button = event.target.closest('[data-page]');
+    if (!button || button.disabled) return;
+
+    currentFilters.page = Number(button.dataset.page);
+    updateDisplayLocal();
+    document.querySelector('.challenges-section')?.scrollIntoView({ behavior: 'smooth' });
+}
+
 function attachEventListenersLocal() {
     const joinButtons = document.querySelectorAll('.join-challenge-btn');
     joinButtons.forEach(button => button.addEventListener('click', handleJoinChallengeLocal));
+
+    document.querySelectorAll('.edit-challenge-btn').forEach(button =>
+        button.addEventListener('click', () => openChallengeFormLocal(getChallengeById(button.dataset.challengeId))));
+
+    document.querySelectorAll('.archive-challenge-btn').forEach(button =>
+        button.addEventListener('click', handleArchiveChallengeLocal));
+
+    document.querySelectorAll('.challenge-plan [data-plan-day]').forEach(button =>
+        button.addEventListener('click', handleCompletePlanDayLocal));
+}
+
+function handleCompletePlanDayLocal(event) {
+    const challengeId = event.target.closest('.challenge-card').dataset.challengeId;
+    const result = completePlannedWorkout(challengeId, Number(event.target.dataset.planDay));
+    showNotification(result.success ? 'Nice work!' : 'Error', result.message, result.success ? 'success' : 'error');
+    if (result.success) updateDisplayLocal();
+}
+
+function handleArchiveChallengeLocal(event) {
+    const challengeId = event.target.dataset.challengeId;
+    if (!confirm('Archive this challenge? It will be hidden from the catalog, but participants keep their progress.')) return;
+
+    const result = archiveChallenge(challengeId);
+    showNotification(result.success ? 'Archived' : 'Error', result.message, result.success ? 'success' : 'error');
+    if (result.success) updateDisplayLocal();
+}
+
+// ---- Create / edit challenge form ----
+
+function renderGoalFieldsLocal(goals = {}) {
+    const container = document.getElementById('challenge-form-goals');
+    if (!container) return;
+
+    container.innerHTML = getGoalTypes().map(type => `
+        <div class="form-field">
+            <label for="challenge-goal-${type.key}">${type.label}${type.unit ? ` (${type.unit})` : ''}</label>
+            <input type="number" id="challenge-goal-${type.key}" data-goal="${type.key}" min="0" step="any"
+                   value="${goals[type.key] ?? ''}">
+        </div>
+    `).join('');
+}
+
+function openChallengeFormLocal(challenge = null) {
+    const form = document.getElementById('challenge-form');
+    if (!form) return;
+
+    const field = (id) => document.getElementById(`challenge-form-${id}`);
+    field('id').value = challenge?.id || '';
+    field('title').value = challenge?.title || '';
+    field('description').value = challenge?.description || '';
+    field('category').value = challenge?.category || '';
+    field('difficulty').value = challenge?.difficulty || '';
+    field('duration').value = challenge?.duration || 30;
+    field('points').value = challenge?.rewards?.points ?? 100;
+    field('badge').value = challenge?.rewards?.badge || '';
+    field('completion').value = challenge?.completion?.mode || COMPLETION_MODES.ALL;
+    field('required').value = challenge?.completion?.required || 1;
+    field('streak-freezes').value = challenge?.streakFreezes ?? CHALLENGE_CONFIG.DEFAULT_STREAK_FREEZES;
+    field('teams').checked = !!challenge?.teamSettings;
+    field('team-size').value = challenge?.teamSettings?.maxSize || 10;
+    field('visibility').value = challenge ? getVisibility(challenge) : VISIBILITY.PUBLIC;
+    field('discussion').value = challenge?.discussionPolicy || DISCUSSION_POLICIES.EVERYONE;
+    field('plan').value = formatTrainingPlanText(challenge?.trainingPlan);
+    renderAccessManagerLocal(challenge);
+    document.querySelectorAll('input[name="challenge-form-rest-day"]').forEach(input => {
+        input.checked = (challenge?.restDays || []).includes(Number(input.value));
+    });
+    field('submit').textContent = challenge ? 'Save Changes' : 'Create Challenge';
+    field('delete').style.display = challenge ? '' : 'none';
+    field('error').style.display = 'none';
+    renderGoalFieldsLocal(challenge?.goals);
+
+    form.style.display = 'block';
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeChallengeFormLocal() {
+    const form = document.getElementById('challenge-form');
+    if (form) form.style.display = 'none';
+}
+
+function readChallengeFormLocal(existing = null) {
+    const field = (id) => document.getElementById(`challenge-form-${id}`);
+    const goals = {};
+    document.querySelectorAll('#challenge-form-goals input[data-goal]').forEach(input => {
+        if (input.value.trim() !== '') goals[input.dataset.goal] = parseFloat(input.value);
+    });
+
+    const mode = field('completion').value;
+    let completion = { mode: mode };
+    if (mode === COMPLETION_MODES.ANY) {
+        completion.required = parseInt(field('required').value) || 1;
+    } else if (mode === COMPLETION_MODES.WEIGHTED) {
+        // Weights and caps aren't editable in the form; keep the ones already set
+        const { weights, caps, threshold } = existing?.completion || {};
+        completion = { mode: mode, weights: weights || {}, caps: caps || {}, threshold: threshold ?? 100 };
+    }
+
+    return {
+        title: field('title').value,
+        description: field('description').value,
+        category: field('category').value,
+        difficulty: field('difficulty').value,
+        duration: field('duration').value,
+        goals: goals,
+        rewards: {
+            points: parseInt(field('points').value) || 0,
+            badge: field('badge').value.trim() || null,
+            achievements: []
+        },
+        completion: completion,
+        restDays: [...document.querySelectorAll('input[name="challenge-form-rest-day"]:checked')]
+            .map(input => Number(input.value)),
+        streakFreezes: parseInt(field('streak-freezes').value) || 0,
+        // Team goals aren't editable in the form; keep the ones already set
+        teamSettings: field('teams').checked
+            ? { maxSize: parseInt(field('team-size').value), goals: existing?.teamSettings?.goals || null }
+            : null,
+        visibility: field('visibility').value,
+        discussionPolicy: field('discussion').value,
+        trainingPlan: readTrainingPlanLocal(field('plan').value, existing)
+    };
+}
+
+function renderAccessManagerLocal(challenge) {
+    const container = document.getElementById('challenge-form-access');
+    if (!container) return;
+
+    if (!challenge) {
+        container.innerHTML = '<p class="form-hint">Private challenges get an invite code when you create them.</p>';
+        return;
+    }
+
+    const codes = getActiveInviteCodes(challenge);
+    const participants = getChallengeParticipants(challenge.id).filter(p => p.userId !== challenge.createdBy);
+    const linkFor = (code) => `${window.location.origin}${buildInviteLink(challenge, code)}`;
+
+    container.innerHTML = `
+        ${getVisibility(challenge) === VISIBILITY.UNLISTED ? `
+            <p class="form-hint">Share this link: <code>${linkFor()}</code></p>
+        ` : ''}
+        ${getVisibility(challenge) === VISIBILITY.PRIVATE ? `
+            <div class="access-list">
+                ${codes.map(invite => `
+                    <div class="access-item">
+                        <code>${invite.code}</code>
+                        <span class="form-hint">${linkFor(invite.code)}</span>
+                        <button type="button" class="btn btn-secondary" data-access-action="revoke" data-code="${invite.code}">Revoke</button>
+                    </div>
+                `).join('')}
+            </div>
+            <button type="button" class="btn btn-secondary" data-access-action="new-code">New invite code</button>
+        ` : ''}
+        <div class="access-list">
+            <strong>Participants (${participants.length})</strong>
+            ${participants.map(p => `
+                <div class="access-item">
+                    <span>${escapeHtml(p.name)}</span>
+                    <button type="button" class="btn btn-secondary" data-access-action="remove" data-user-id="${p.userId}">Remove</button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function handleAccessActionLocal(event) {
+    const button = event.target.closest('[data-access-action]');
+    if (!button) return;
+
+    const challengeId = document.getElementById('challenge-form-id').value;
+    const action = button.dataset.accessAction;
+    let result;
+
+    if (action === 'new-code') {
+        result = createChallengeInviteCode(challengeId);
+    } else if (action === 'revoke') {
+        result = revokeChallengeInviteCode(challengeId, button.dataset.code);
+    } else if (action === 'remove') {
+        if (!confirm('Remove this participant? They will not be able to join again.')) return;
+        result = removeChallengeParticipant(challengeId, button.dataset.userId);
+    }
+
+    showNotification(result.success ? 'Done' : 'Error', result.message, result.success ? 'success' : 'error');
+    renderAccessManagerLocal(getChallengeById(challengeId));
+}
+
+function readTrainingPlanLocal(text, existing) {
+    const { plan } = parseTrainingPlanText(text);
+    if (!plan) return null;
+
+    // Session amounts can't be typed; keep them for days whose text didn't change
+    return plan.map(planDay => {
+        const previous = getPlanDay(existing?.trainingPlan, planDay.day);
+        return previous && previous.title === planDay.title ? { ...planDay, progress: previous.progress } : planDay;
+    });
+}
+
+function handleChallengeFormSubmitLocal(event) {
+    event.preventDefault();
+
+    const challengeId = document.getElementById('challenge-form-id').value;
+    const errorEl = document.getElementById('challenge-form-error');
+    const existing = challengeId ? getChallengeById(challengeId) : null;
+
+    const planText = parseTrainingPlanText(document.getElementById('challenge-form-plan').value);
+    if (planText.error) {
+        errorEl.textContent = planText.error;
+        errorEl.style.display = 'block';
+        return;
+    }
+
+    const data = readChallengeFormLocal(existing);
+
+    if (existing) {
+        // Keep achievements defined elsewhere when editing
+        data.rewards.achievements = existing.rewards?.achievements || [];
+    }
+
+    const result = challengeId ? updateChallenge(challengeId, data) : createChallenge(data);
+
+    if (!result.success) {
+        errorEl.textContent = result.message;
+        errorEl.style.display = 'block';
+        return;
+    }
+
+    closeChallengeFormLocal();
+    showNotification('Success', result.message, 'success');
+    updateDisplayLocal();
+}
+
+function handleChallengeDeleteLocal() {
+    const challengeId = document.getElementById('challenge-form-id').value;
+    if (!challengeId || !confirm('Delete this challenge permanently?')) return;
+
+    const result = deleteChallenge(challengeId);
+    if (!result.success) {
+        const errorEl = document.getElementById('challenge-form-error');
+        errorEl.textContent = result.message;
+        errorEl.style.display = 'block';
+        return;
+    }
+
+    closeChallengeFormLocal();
+    showNotification('Deleted', result.message, 'success');
+    updateDisplayLocal();
+}
+
+function initializeChallengeFormLocal() {
+    const form = document.getElementById('challenge-form');
+    if (!form) return;
+
+    const toggle = document.getElementById('create-challenge-toggle');
+    if (toggle) toggle.addEventListener('click', () => {
+        if (!isLoggedIn()) {
+            showNotification('Login required', 'Please login to create challenges', 'info');
+            return;
+        }
+        openChallengeFormLocal();
+    });
+
+    form.addEventListener('submit', handleChallengeFormSubmitLocal);
+    document.getElementById('challenge-form-cancel').addEventListener('click', closeChallengeFormLocal);
+    document.getElementById('challenge-form-delete').addEventListener('click', handleChallengeDeleteLocal);
+
+    const access = document.getElementById('challenge-form-access');
+    if (access) access.addEventListener('click', handleAccessActionLocal);
+}
+
+// ---- Import / export ----
+
+function downloadChallengeExportLocal(challengeIds) {
+    const result = exportChallenges(challengeIds);
+    if (!result.success) {
+        showNotification('Export', result.message, 'error');
+        return;
+    }
+
+    const url = URL.createObjectURL(new Blob([result.json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showNotification('Export', result.message, 'success');
+}
+
+function renderImportPreviewLocal(conflict = CONFLICT_STRATEGIES.SKIP) {
+    const container = document.getElementById('import-preview');
+    if (!container) return;
+
+    const preview = previewChallengeImport(pendingImportText, conflict);
+    if (!preview.success) {
+        pendingImportText = null;
+        container.style.display = 'none';
+        showNotification('Import', preview.message, 'error');
+        return;
+    }
+
+    const { summary } = preview;
+    const importable = summary.create + summary.copy + summary.replace;
+
+    container.innerHTML = `
+        <div class="import-preview-header">
+            <strong>${escapeHtml(preview.message)}</strong>
+            <label>
+                If a challenge already exists
+                <select class="filter-select" id="import-conflict">
+                    <option value="${CONFLICT_STRATEGIES.SKIP}" ${conflict === CONFLICT_STRATEGIES.SKIP ? 'selected' : ''}>Skip it</option>
+                    <option value="${CONFLICT_STRATEGIES.REPLACE}" ${conflict === CONFLICT_STRATEGIES.REPLACE ? 'selected' : ''}>Replace it (your challenges only)</option>
+                    <option value="${CONFLICT_STRATEGIES.COPY}" ${conflict === CONFLICT_STRATEGIES.COPY ? 'selected' : ''}>Import a copy</option>
+                </select>
+            </label>
+        </div>
+        <ul class="import-rows">
+            ${preview.rows.map(row => `
+                <li class="import-row">
+                    <span class="import-action ${row.action}">${row.action}</span>
+                    <span class="import-title">${escapeHtml(row.definition.title || 'Untitled')}</span>
+                    <span class="import-meta">${escapeHtml(row.definition.category || '')} · ${escapeHtml(row.definition.duration || '?')} days</span>
+                    <span class="import-message">${escapeHtml(row.message)}</span>
+                </li>
+            `).join('')}
+        </ul>
+        <div class="form-actions">
+            <button type="button" class="btn btn-primary" data-import-action="confirm" ${importable === 0 ? 'disabled' : ''}>
+                Import ${importable} challenge${importable === 1 ? '' : 's'}
+            </button>
+            <button type="button" class="btn btn-secondary" data-import-action="cancel">Cancel</button>
+        </div>
+    `;
+    container.style.display = 'block';
+}
+
+function closeImportPreviewLocal() {
+    pendingImportText = null;
+    const container = document.getElementById('import-preview');
+    if (container) container.style.display = 'none';
+    const fileInput = document.getElementById('import-file');
+    if (fileInput) fileInput.value = '';
+}
+
+async function handleImportFileLocal(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    if (!isLoggedIn()) {
+        showNotification('Login required', 'Please login to import challenges', 'info');
+        event.target.value = '';
+        return;
+    }
+
+    pendingImportText = await file.text();
+    renderImportPreviewLocal();
+}
+
+function handleImportPreviewActionLocal(event) {
+    const action = event.target.dataset.importAction;
+    if (!action) return;
+
+    if (action === 'cancel') {
+        closeImportPreviewLocal();
+        return;
+    }
+
+    const conflict = document.getElementById('import-conflict').value;
+    const result = importChallenges(pendingImportText, conflict);
+    showNotification(result.success ? 'Import' : 'Error', result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        closeImportPreviewLocal();
+        updateDisplayLocal();
+    }
+}
+
+function initializeTransferLocal() {
+    const exportSelected = document.getElementById('export-selected');
+    if (exportSelected) exportSelected.addEventListener('click', () => {
+        const ids = [...document.querySelectorAll('.challenge-select-input:checked')].map(input => input.dataset.challengeId);
+        downloadChallengeExportLocal(ids);
+    });
+
+    const exportShown = document.getElementById('export-shown');
+    if (exportShown) exportShown.addEventListener('click', () => {
+        downloadChallengeExportLocal(applyFiltersLocal().map(c => c.id));
+    });
+
+    const fileInput = document.getElementById('import-file');
+    if (fileInput) fileInput.addEventListener('change', handleImportFileLocal);
+
+    const preview = document.getElementById('import-preview');
+    if (preview) {
+        preview.addEventListener('click', handleImportPreviewActionLocal);
+        preview.addEventListener('change', (e) => {
+            if (e.target.id === 'import-conflict') renderImportPreviewLocal(e.target.value);
+        });
+    }
 }
 
 async function handleJoinChallengeLocal(event) {
     const button = event.target;
     const challengeId = button.dataset.challengeId;
 
-    if (hasJoinedChallenge(challengeId)) {
-        window.location.href = '../profile/index.html?tab=challenges';
+    if (hasJoinedChallenge(challengeId) || getQueuePosition(getCurrentUser()?.id, challengeId)) {
+        window.location.href = `index.html?id=${encodeURIComponent(challengeId)}`;
         return;
     }
 
@@ -986,18 +5663,30 @@ async function handleJoinChallengeLocal(event) {
         return;
     }
 
+    // Private challenges opened by link ask for the invite code
+    const challenge = getChallengeById(challengeId);
+    let inviteCode = null;
+    if (challenge && !canAccessChallenge(challenge)) {
+        inviteCode = prompt('This challenge is private. Enter your invite code:');
+        if (!inviteCode) return;
+    }
+
     const originalText = button.textContent;
     button.disabled = true;
     button.textContent = 'Joining...';
 
     try {
-        const result = await joinChallenge(challengeId);
+        const result = await joinChallenge(challengeId, { inviteCode });
         if (result.success) {
             button.textContent = '✓ Joined!';
             button.classList.remove('btn-primary');
             button.classList.add('btn-secondary');
             showNotification('Success', result.message, 'success');
             setTimeout(() => { button.textContent = 'View Progress'; }, 2000);
+        } else if (result.limitReached && confirm(`${result.message}?`)) {
+            const queued = queueChallenge(challengeId, { inviteCode });
+            showNotification(queued.success ? 'Queued' : 'Error', queued.message, queued.success ? 'success' : 'error');
+            updateDisplayLocal();
         } else {
             button.disabled = false;
             button.textContent = originalText;
@@ -1015,8 +5704,8 @@ function showNotification(title, message, type = 'info') {
     notification.className = `notification notification-${type}`;
     notification.innerHTML = `
         <div class="notification-content">
-            <strong>${title}</strong>
-            <p>${message}</p>
+            <strong>${escapeHtml(title)}</strong>
+            <p>${escapeHtml(message)}</p>
         </div>
         <button class="notification-close">&times;</button>
     `;
@@ -1027,17 +5716,12 @@ function showNotification(title, message, type = 'info') {
 }
 
 function initializeFiltersLocal() {
-    const categoryFilter = document.getElementById('category-filter');
-    if (categoryFilter) categoryFilter.addEventListener('change', (e) => { currentFilters.category = e.target.value; updateDisplayLocal(); });
-
-    const difficultyFilter = document.getElementById('difficulty-filter');
-    if (difficultyFilter) difficultyFilter.addEventListener('change', (e) => { currentFilters.difficulty = e.target.value; updateDisplayLocal(); });
-
-    const durationFilter = document.getElementById('duration-filter');
-    if (durationFilter) durationFilter.addEventListener('change', (e) => { currentFilters.duration = e.target.value; updateDisplayLocal(); });
+    // Category, difficulty, duration, status and goal type facets
+    document.querySelectorAll('.filters-container [data-facet]').forEach(facet =>
+        facet.addEventListener('change', handleFacetChangeLocal));
 
     const sortFilter = document.getElementById('sort-filter');
-    if (sortFilter) sortFilter.addEventListener('change', (e) => { currentFilters.sort = e.target.value; updateDisplayLocal(); });
+    if (sortFilter) sortFilter.addEventListener('change', (e) => { currentFilters.sort = e.target.value; currentFilters.page = 1; updateDisplayLocal(); });
 
     const resetButton = document.getElementById('reset-filters');
     if (resetButton) resetButton.addEventListener('click', resetFiltersLocal);
@@ -1045,21 +5729,170 @@ function initializeFiltersLocal() {
     const filterToggle = document.querySelector('.filter-toggle');
     const filtersContainer = document.querySelector('.filters-container');
     if (filterToggle && filtersContainer) filterToggle.addEventListener('click', () => filtersContainer.classList.toggle('active'));
+
+    const pagination = document.getElementById('catalog-pagination');
+    if (pagination) pagination.addEventListener('click', handlePaginationLocal);
 }
 
 function resetFiltersLocal() {
-    currentFilters = { category: 'all', difficulty: 'all', duration: 'all', sort: 'popular' };
-    const cf = document.getElementById('category-filter'); if (cf) cf.value = 'all';
-    const df = document.getElementById('difficulty-filter'); if (df) df.value = 'all';
-    const du = document.getElementById('duration-filter'); if (du) du.value = 'all';
-    const sf = document.getElementById('sort-filter'); if (sf) sf.value = 'popular';
+    currentFilters = defaultFiltersLocal();
+    syncFilterControlsLocal();
     updateDisplayLocal();
 }
 
-function updateDisplayLocal() {
-    const filtered = applyFiltersLocal();
-    renderChallengesLocal(filtered);
-    updateURLLocal();
+// Show the state in the controls the catalog doesn't re-render (facets are rendered from it)
+function syncFilterControlsLocal() {
+    const cs = document.getElementById('challenge-search'); if (cs) cs.value = currentFilters.search;
+    const sf = document.getElementById('sort-filter'); if (sf) sf.value = currentFilters.sort;
+}
+
+/**
+ * Re-render the page from the current state
+ * @param {string} history - How the URL follows: 'push' adds a history entry when the
+ *   state changed, 'search' does too but typing keeps updating one entry, 'replace'
+ *   rewrites the current entry and 'none' leaves the URL alone (back/forward)
+ */
+function updateDisplayLocal(history = 'push') {
+    // A challenge link (?id=) opens its detail page instead of the catalog
+    const detail = document.getElementById('challenge-detail');
+    document.querySelector('.challenges-page')?.classList.toggle('detail-mode', !!linkedChallengeId);
+    if (detail) detail.style.display = linkedChallengeId ? 'block' : 'none';
+
+    if (linkedChallengeId) {
+        renderChallengeDetailLocal();
+    } else {
+        renderChallengesLocal(applyFiltersLocal());
+        renderFacetsLocal();
+    }
+    updateURLLocal(history);
+}
+
+// ---- Challenge detail (?id=) ----
+
+function renderChallengeDetailLocal() {
+    const container = document.getElementById('challenge-detail-body');
+    if (!container) return;
+
+    container.innerHTML = renderChallengeDetail(linkedChallengeId, linkedInviteCode) || `
+        <div class="empty-state" style="display: flex;">
+            <h3>Challenge not found</h3>
+            <p>It may have been deleted, or it isn't shared with you.</p>
+        </div>
+    `;
+
+    container.querySelectorAll('.challenge-plan [data-plan-day]').forEach(button =>
+        button.addEventListener('click', (e) => {
+            const result = completePlannedWorkout(linkedChallengeId, Number(e.target.dataset.planDay));
+            showNotification(result.success ? 'Nice work!' : 'Error', result.message, result.success ? 'success' : 'error');
+            renderChallengeDetailLocal();
+        }));
+}
+
+async function handleDetailActionLocal(event) {
+    const challengeId = linkedChallengeId;
+
+    const discussionButton = event.target.closest('[data-discussion-action]');
+    if (discussionButton) {
+        handleDiscussionActionLocal(challengeId, discussionButton);
+        return;
+    }
+
+    const teamButton = event.target.closest('[data-team-action]');
+    if (teamButton) {
+        const action = teamButton.dataset.teamAction;
+        const result = action === 'create'
+            ? createChallengeTeam(challengeId, event.currentTarget.querySelector('.team-name-input').value)
+            : action === 'join'
+                ? joinChallengeTeam(challengeId, teamButton.dataset.teamId)
+                : leaveChallengeTeam(challengeId);
+        if (!result.success) showNotification('Error', result.message, 'error');
+        renderChallengeDetailLocal();
+        return;
+    }
+
+    const button = event.target.closest('[data-detail-action]');
+    if (!button) return;
+    const action = button.dataset.detailAction;
+
+    if (!isLoggedIn()) {
+        const shouldRedirect = confirm('You must be logged in to join challenges. Go to login page?');
+        if (shouldRedirect) window.location.href = '../login/index.html';
+        return;
+    }
+
+    let result;
+    if (action === 'join') {
+        const challenge = getChallengeById(challengeId);
+        let inviteCode = null;
+        if (challenge && !canAccessChallenge(challenge)) {
+            inviteCode = prompt('This challenge is private. Enter your invite code:');
+            if (!inviteCode) return;
+        }
+        result = await joinChallenge(challengeId, { inviteCode });
+        if (result.limitReached && confirm(`${result.message}?`)) {
+            result = queueChallenge(challengeId, { inviteCode });
+        }
+    } else if (action === 'dequeue') {
+        result = dequeueChallenge(challengeId);
+    } else if (action === 'leave') {
+        if (!confirm('Leave this challenge? Your progress so far is kept as an abandoned attempt.')) return;
+        result = leaveChallenge(challengeId);
+    } else if (action === 'sync') {
+        button.disabled = true;
+        button.textContent = 'Syncing...';
+        result = await syncChallengeProgress(challengeId);
+    } else {
+        return;
+    }
+
+    showNotification(result.success ? 'Success' : 'Error', result.message, result.success ? 'success' : 'error');
+    showQueueNoticesLocal();
+    renderChallengeDetailLocal();
+}
+
+function handleDiscussionActionLocal(challengeId, button) {
+    const action = button.dataset.discussionAction;
+    const post = button.closest('.discussion-post');
+    const postId = post?.dataset.postId;
+
+    // Reply and edit open an inline box under the post; send-* submits it
+    if (action === 'reply' || action === 'edit') {
+        post.querySelector(':scope > .discussion-compose')?.remove();
+        const compose = document.createElement('div');
+        compose.className = 'discussion-compose';
+        compose.innerHTML = `
+            <textarea class="discussion-input" rows="2"></textarea>
+            <button class="btn btn-primary" data-discussion-action="send-${action}">${action === 'reply' ? 'Reply' : 'Save'}</button>
+        `;
+        if (action === 'edit') {
+            const { thread } = getChallengeDiscussion(challengeId);
+            const find = posts => posts.reduce((found, p) => found || (p.id === postId ? p : find(p.replies)), null);
+            compose.querySelector('textarea').value = find(thread)?.body || '';
+        }
+        post.querySelector(':scope > .discussion-actions').after(compose);
+        compose.querySelector('textarea').focus();
+        return;
+    }
+
+    if (action === 'delete' && !confirm('Delete this post?')) return;
+
+    const body = button.closest('.discussion-compose')?.querySelector('.discussion-input').value;
+    const result = action === 'post' ? postChallengeComment(challengeId, body)
+        : action === 'send-reply' ? postChallengeComment(challengeId, body, postId)
+        : action === 'send-edit' ? editChallengeComment(challengeId, postId, body)
+        : deleteChallengeComment(challengeId, postId);
+
+    if (!result.success) {
+        showNotification('Error', result.message, 'error');
+        return;
+    }
+    renderChallengeDetailLocal();
+}
+
+// Queued challenges that started (or couldn't) since the user last looked
+function showQueueNoticesLocal() {
+    collectQueueNotices().forEach(notice =>
+        showNotification(notice.started ? 'Started from your queue' : 'Queue', notice.message, notice.started ? 'success' : 'info'));
 }
 
 function initializeSearchLocal() {
@@ -1069,36 +5902,112 @@ function initializeSearchLocal() {
     searchInput.addEventListener('input', (e) => {
         clearTimeout(timeout);
         timeout = setTimeout(() => {
-            const q = e.target.value.toLowerCase().trim();
-            if (q === '') { updateDisplayLocal(); return; }
-            const challengesList = applyFiltersLocal();
-            const results = challengesList.filter(c => c.title.toLowerCase().includes(q) || c.description.toLowerCase().includes(q) || c.category.toLowerCase().includes(q));
-            renderChallengesLocal(results);
+            currentFilters.search = e.target.value;
+            currentFilters.page = 1;
+            updateDisplayLocal('search');
         }, 300);
     });
 }
 
+// URL format: ?category=running,yoga&difficulty=beginner&duration=30&status=joined
+//   &goalType=totalDistance&sort=newest&q=morning+run&page=2 (defaults are left out), or ?id= for a challenge
 function loadFiltersFromURLLocal() {
     const params = new URLSearchParams(window.location.search);
-    const category = params.get('category'); if (category) { currentFilters.category = category; const el = document.getElementById('category-filter'); if (el) el.value = category; }
-    const difficulty = params.get('difficulty'); if (difficulty) { currentFilters.difficulty = difficulty; const el = document.getElementById('difficulty-filter'); if (el) el.value = difficulty; }
+    linkedChallengeId = params.get('id');
+
+    const filters = defaultFiltersLocal();
+    FACETS.forEach(facet => {
+        const values = (params.get(facet.key) || '').split(',').filter(Boolean);
+        filters[facet.key] = facet.multiple ? [...new Set(values)] : values.slice(0, 1);
+    });
+
+    const sort = params.get('sort'); if (CATALOG_SORTS.includes(sort)) filters.sort = sort;
+    filters.search = params.get('q') || '';
+    const page = parseInt(params.get('page'), 10); if (page > 0) filters.page = page;
+
+    currentFilters = filters;
 }
 
-function updateURLLocal() {
+function updateURLLocal(history = 'push') {
+    if (history === 'none') return;
+
     const params = new URLSearchParams();
-    if (currentFilters.category !== 'all') params.set('category', currentFilters.category);
-    if (currentFilters.difficulty !== 'all') params.set('difficulty', currentFilters.difficulty);
-    if (currentFilters.duration !== 'all') params.set('duration', currentFilters.duration);
+    FACETS.forEach(facet => {
+        if (currentFilters[facet.key].length) params.set(facet.key, currentFilters[facet.key].join(','));
+    });
     if (currentFilters.sort !== 'popular') params.set('sort', currentFilters.sort);
-    const newURL = params.toString() ? `?${params.toString()}` : window.location.pathname;
-    window.history.replaceState({}, '', newURL);
+    if (currentFilters.search.trim()) params.set('q', currentFilters.search.trim());
+    if (currentFilters.page > 1) params.set('page', currentFilters.page);
+    if (linkedChallengeId) params.set('id', linkedChallengeId);
+
+    // Commas separate facet values; leave them readable in shared links
+    const query = params.toString() ? `?${params.toString().replace(/%2C/g, ',')}` : '';
+    if (query === window.location.search) return;
+
+    const newURL = query || window.location.pathname;
+    // Typing a search keeps refining the same entry, so Back skips over half-typed queries
+    const typing = history === 'search' && window.history.state?.search;
+
+    if (history === 'replace' || typing) {
+        window.history.replaceState({ search: history === 'search' }, '', newURL);
+    } else {
+        window.history.pushState({ search: history === 'search' }, '', newURL);
+    }
+}
+
+function handlePopStateLocal() {
+    loadFiltersFromURLLocal();
+    syncFilterControlsLocal();
+    updateDisplayLocal('none');
+}
+
+async function handleInviteLinkLocal() {
+    const code = linkedInviteCode;
+    if (!code) return;
+
+    const challenge = findChallengeByInviteCode(getChallenges(), code);
+    if (!challenge) {
+        showNotification('Invite', 'That invite link is invalid or has been revoked', 'error');
+        return;
+    }
+
+    linkedChallengeId = challenge.id;
+    updateDisplayLocal('replace');
+
+    if (!isLoggedIn()) {
+        showNotification('Invite', `Log in to join ${challenge.title}`, 'info');
+        return;
+    }
+
+    if (hasJoinedChallenge(challenge.id) || !confirm(`You're invited to ${challenge.title}. Join now?`)) return;
+
+    const result = await joinChallengeWithInviteCode(code);
+    showNotification(result.success ? 'Success' : 'Error', result.message, result.success ? 'success' : 'error');
+    updateDisplayLocal();
 }
 
 function initializeChallengesPageLocal() {
+    // Other pages import this module for its API; only wire up the catalog page
+    if (!document.getElementById('challenges-grid')) return;
+
+    // Read before the first render rewrites the URL
+    linkedInviteCode = new URLSearchParams(window.location.search).get('invite');
+
     loadFiltersFromURLLocal();
+    syncFilterControlsLocal();
     initializeFiltersLocal();
     initializeSearchLocal();
-    updateDisplayLocal();
+    initializeChallengeFormLocal();
+    initializeTransferLocal();
+
+    const detail = document.getElementById('challenge-detail-body');
+    if (detail) detail.addEventListener('click', handleDetailActionLocal);
+
+    window.addEventListener('popstate', handlePopStateLocal);
+
+    updateDisplayLocal('replace');
+    showQueueNoticesLocal();
+    handleInviteLinkLocal();
     console.log('✅ Challenges page initialized (merged)');
 }
 
@@ -0,0 +1,151 @@
+// ========================================
+// COHORTS.JS - Fixed-date Challenge Cohorts
+// A cohort is one run of a challenge where everyone starts and
+// finishes on the same dates (e.g. "January 2027 cohort")
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+export const COHORT_STATES = {
+    UPCOMING: 'upcoming',   // registration hasn't opened yet
+    OPEN: 'open',           // registration is open
+    RUNNING: 'running',     // registration closed, challenge under way
+    FINISHED: 'finished'    // past the end date
+};
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate a challenge's cohorts
+ * @param {Array} cohorts - Cohorts (optional; none means rolling starts)
+ * @returns {Object} Validation result { isValid, error }
+ *
+ * @example
+ * validateChallengeCohorts([{
+ *   name: 'January 2027 cohort',
+ *   registrationOpens: '2026-12-01T00:00:00.000Z',
+ *   registrationCloses: '2027-01-03T00:00:00.000Z',
+ *   startDate: '2027-01-01T00:00:00.000Z',
+ *   endDate: '2027-01-31T00:00:00.000Z'
+ * }]);
+ */
+export function validateChallengeCohorts(cohorts) {
+    if (cohorts === undefined || cohorts === null) {
+        return { isValid: true, error: null };
+    }
+
+    if (!Array.isArray(cohorts)) {
+        return { isValid: false, error: 'Cohorts must be a list' };
+    }
+
+    for (const cohort of cohorts) {
+        if (!cohort.name || !cohort.name.trim()) {
+            return { isValid: false, error: 'Every cohort needs a name' };
+        }
+
+        const dates = ['registrationOpens', 'registrationCloses', 'startDate', 'endDate']
+            .map(field => new Date(cohort[field]));
+
+        if (dates.some(date => isNaN(date))) {
+            return { isValid: false, error: `${cohort.name}: all four dates are required` };
+        }
+
+        const [opens, closes, start, end] = dates;
+
+        if (opens >= closes) {
+            return { isValid: false, error: `${cohort.name}: registration must close after it opens` };
+        }
+
+        if (start >= end) {
+            return { isValid: false, error: `${cohort.name}: end date must be after the start date` };
+        }
+
+        if (closes > end) {
+            return { isValid: false, error: `${cohort.name}: registration must close before the cohort ends` };
+        }
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Give every cohort an ID and sort them by start date
+ * @param {Array} cohorts - Cohorts as entered
+ * @returns {Array} Normalized cohorts
+ */
+export function normalizeCohorts(cohorts = []) {
+    return (cohorts || [])
+        .map((cohort, index) => ({
+            id: cohort.id || `cohort_${Date.now().toString(36)}_${index}`,
+            name: cohort.name.trim(),
+            registrationOpens: new Date(cohort.registrationOpens).toISOString(),
+            registrationCloses: new Date(cohort.registrationCloses).toISOString(),
+            startDate: new Date(cohort.startDate).toISOString(),
+            endDate: new Date(cohort.endDate).toISOString()
+        }))
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+// ========================================
+// Cohort State
+// ========================================
+
+/**
+ * Check whether a challenge runs in cohorts rather than rolling starts
+ * @param {Object} challenge - Challenge object
+ * @returns {boolean} True if the challenge defines cohorts
+ */
+export function hasCohorts(challenge) {
+    return Array.isArray(challenge.cohorts) && challenge.cohorts.length > 0;
+}
+
+/**
+ * Get where a cohort is in its lifetime
+ * @param {Object} cohort - Cohort object
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {string} One of COHORT_STATES
+ */
+export function getCohortState(cohort, now = new Date()) {
+    if (now < new Date(cohort.registrationOpens)) return COHORT_STATES.UPCOMING;
+    if (now > new Date(cohort.endDate)) return COHORT_STATES.FINISHED;
+    if (now <= new Date(cohort.registrationCloses)) return COHORT_STATES.OPEN;
+    return COHORT_STATES.RUNNING;
+}
+
+/**
+ * Get the cohort a user joining now would be placed in: the earliest
+ * cohort whose registration is open
+ * @param {Object} challenge - Challenge object
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {Object|null} Cohort or null if registration is closed
+ */
+export function getOpenCohort(challenge, now = new Date()) {
+    if (!hasCohorts(challenge)) return null;
+    return challenge.cohorts.find(cohort => getCohortState(cohort, now) === COHORT_STATES.OPEN) || null;
+}
+
+/**
+ * Get the next cohort whose registration hasn't opened yet
+ * @param {Object} challenge - Challenge object
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {Object|null} Cohort or null if none are scheduled
+ */
+export function getNextCohort(challenge, now = new Date()) {
+    if (!hasCohorts(challenge)) return null;
+    return challenge.cohorts.find(cohort => getCohortState(cohort, now) === COHORT_STATES.UPCOMING) || null;
+}
+
+/**
+ * Get a cohort by ID
+ * @param {Object} challenge - Challenge object
+ * @param {string} cohortId - Cohort ID
+ * @returns {Object|null} Cohort or null if not found
+ */
+export function getCohortById(challenge, cohortId) {
+    if (!hasCohorts(challenge)) return null;
+    return challenge.cohorts.find(cohort => cohort.id === cohortId) || null;
+}
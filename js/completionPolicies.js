@@ -0,0 +1,239 @@
+// ========================================
+// COMPLETIONPOLICIES.JS - Challenge Completion Rules
+// Decides when a challenge counts as completed from its goal progress
+// ========================================
+
+import { getGoalType } from './goalTypes.js';
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+export const COMPLETION_MODES = {
+    ALL: 'all',           // every goal must be met
+    ANY: 'any',           // at least `required` goals must be met
+    WEIGHTED: 'weighted'  // weighted goal percentages must reach `threshold`
+};
+
+const DEFAULT_POLICY = { mode: COMPLETION_MODES.ALL };
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate a completion policy against a challenge's goals
+ * @param {Object} policy - Completion policy (optional, defaults to all goals)
+ * @param {Object} goals - Challenge goals object
+ * @returns {Object} Validation result { isValid, error }
+ *
+ * @example
+ * validateCompletionPolicy({ mode: 'any', required: 2 }, { totalDistance: 50, totalRides: 15 });
+ */
+export function validateCompletionPolicy(policy, goals = {}) {
+    if (!policy) {
+        return { isValid: true, error: null };
+    }
+
+    if (!Object.values(COMPLETION_MODES).includes(policy.mode)) {
+        return { isValid: false, error: 'Please choose a valid completion rule' };
+    }
+
+    const goalCount = Object.keys(goals).length;
+
+    if (policy.mode === COMPLETION_MODES.ANY) {
+        const required = Number(policy.required ?? 1);
+        if (!Number.isInteger(required) || required < 1 || required > goalCount) {
+            return {
+                isValid: false,
+                error: `Goals required must be between 1 and ${goalCount}`
+            };
+        }
+    }
+
+    if (policy.mode === COMPLETION_MODES.WEIGHTED) {
+        for (const [key, weight] of Object.entries(policy.weights || {})) {
+            if (!(key in goals)) {
+                return { isValid: false, error: `Weight given for a goal the challenge doesn't have: ${key}` };
+            }
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                return { isValid: false, error: 'Goal weights must be zero or positive numbers' };
+            }
+        }
+
+        // Goals without a weight count once; with every weight at zero nothing could ever complete
+        const weights = policy.weights || {};
+        if (!Object.keys(goals).some(key => (weights[key] ?? 1) > 0)) {
+            return { isValid: false, error: 'At least one goal needs a weight above zero' };
+        }
+
+        for (const [key, cap] of Object.entries(policy.caps || {})) {
+            if (!(key in goals)) {
+                return { isValid: false, error: `Cap given for a goal the challenge doesn't have: ${key}` };
+            }
+            if (typeof cap !== 'number' || cap <= 0) {
+                return { isValid: false, error: 'Goal caps must be positive percentages' };
+            }
+        }
+
+        const threshold = policy.threshold ?? 100;
+        if (typeof threshold !== 'number' || threshold <= 0) {
+            return { isValid: false, error: 'Completion threshold must be a positive percentage' };
+        }
+    }
+
+    return { isValid: true, error: null };
+}
+
+// ========================================
+// Evaluation
+// ========================================
+
+/**
+ * Evaluate a user's progress against a completion policy
+ * @param {Object} progress - User challenge progress object
+ * @param {Array<string>} goalKeys - Goal keys to evaluate (the challenge's goals)
+ * @param {Object} policy - Completion policy (optional, defaults to all goals)
+ * @returns {Object} { percentage, isComplete, goals, blockingGoals, remaining }
+ *   - percentage: overall completion 0-100
+ *   - goals: [{ key, label, display, percentage, isMet }] one per goal
+ *   - blockingGoals: goals that still stand between the user and completion
+ *   - remaining: how many more goals must be met (all/any modes)
+ *
+ * @example
+ * const result = evaluateCompletion(userChallenge.progress, ['totalDistance', 'totalWorkouts']);
+ * if (!result.isComplete) {
+ *   console.log('Still to do:', result.blockingGoals.map(g => g.label));
+ * }
+ */
+export function evaluateCompletion(progress, goalKeys, policy = DEFAULT_POLICY) {
+    const activePolicy = policy || DEFAULT_POLICY;
+
+    const goals = goalKeys
+        .map(key => getGoalType(key))
+        .filter(goalType => goalType && goalType.isTracked(progress))
+        .map(goalType => ({
+            key: goalType.key,
+            label: goalType.label,
+            display: goalType.render(progress),
+            percentage: Math.round(goalType.getPercentage(progress)),
+            isMet: goalType.isMet(progress)
+        }));
+
+    if (goals.length === 0) {
+        return { percentage: 0, isComplete: false, goals: [], blockingGoals: [], remaining: 0 };
+    }
+
+    switch (activePolicy.mode) {
+        case COMPLETION_MODES.ANY:
+            return evaluateAny(goals, activePolicy);
+
+        case COMPLETION_MODES.WEIGHTED:
+            return evaluateWeighted(goals, activePolicy);
+
+        default:
+            return evaluateAll(goals);
+    }
+}
+
+/**
+ * Every goal must be met. Each goal is capped at 100% before averaging,
+ * so overshooting one goal can't hide another.
+ */
+function evaluateAll(goals) {
+    const unmet = goals.filter(g => !g.isMet);
+
+    return {
+        percentage: averageCapped(goals),
+        isComplete: unmet.length === 0,
+        goals: goals,
+        blockingGoals: unmet,
+        remaining: unmet.length
+    };
+}
+
+/**
+ * Any `required` goals must be met. Progress is measured on the
+ * goals closest to completion.
+ */
+function evaluateAny(goals, policy) {
+    const required = Math.min(Math.max(Number(policy.required) || 1, 1), goals.length);
+    const metCount = goals.filter(g => g.isMet).length;
+    const best = [...goals]
+        .sort((a, b) => Math.min(b.percentage, 100) - Math.min(a.percentage, 100))
+        .slice(0, required);
+    const isComplete = metCount >= required;
+
+    return {
+        percentage: averageCapped(best),
+        isComplete: isComplete,
+        goals: goals,
+        blockingGoals: isComplete ? [] : goals.filter(g => !g.isMet),
+        remaining: Math.max(required - metCount, 0)
+    };
+}
+
+/**
+ * Weighted average of goal percentages. Each goal contributes at most
+ * its cap (default 100%); completion happens at `threshold` (default 100%).
+ */
+function evaluateWeighted(goals, policy) {
+    const weights = policy.weights || {};
+    const caps = policy.caps || {};
+    const threshold = policy.threshold ?? 100;
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    goals.forEach(goal => {
+        const weight = weights[goal.key] ?? 1;
+        const cap = caps[goal.key] ?? 100;
+        weightedSum += Math.min(goal.percentage, cap) * weight;
+        totalWeight += weight;
+    });
+
+    const score = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    const isComplete = score >= threshold;
+
+    return {
+        percentage: Math.min(Math.round((score / threshold) * 100), 100),
+        isComplete: isComplete,
+        goals: goals,
+        // Goals that can still add to the score
+        blockingGoals: isComplete ? [] : goals.filter(g =>
+            (weights[g.key] ?? 1) > 0 && g.percentage < (caps[g.key] ?? 100)),
+        remaining: 0
+    };
+}
+
+/**
+ * Average goal percentage with each goal capped at 100
+ * @param {Array} goals - Evaluated goals
+ * @returns {number} Rounded average (0-100)
+ */
+function averageCapped(goals) {
+    if (goals.length === 0) return 0;
+    const total = goals.reduce((sum, g) => sum + Math.min(g.percentage, 100), 0);
+    return Math.round(total / goals.length);
+}
+
+/**
+ * Describe a completion policy in plain words
+ * @param {Object} policy - Completion policy
+ * @param {number} goalCount - Number of goals in the challenge
+ * @returns {string} Description, e.g. "Complete any 2 of 3 goals"
+ */
+export function describeCompletionPolicy(policy, goalCount) {
+    const activePolicy = policy || DEFAULT_POLICY;
+
+    switch (activePolicy.mode) {
+        case COMPLETION_MODES.ANY:
+            return `Complete any ${activePolicy.required || 1} of ${goalCount} goals`;
+
+        case COMPLETION_MODES.WEIGHTED:
+            return `Reach a weighted score of ${activePolicy.threshold ?? 100}%`;
+
+        default:
+            return goalCount === 1 ? 'Complete the goal' : `Complete all ${goalCount} goals`;
+    }
+}
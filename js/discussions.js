@@ -0,0 +1,327 @@
+// ========================================
+// DISCUSSIONS.JS - Challenge Discussion Threads
+// One comment thread per challenge, with replies and @mentions.
+// Posts go through a swappable store so a backend can replace
+// localStorage later; challenges.js decides who may post.
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const DISCUSSION_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_discussions',
+    MAX_BODY_LENGTH: 2000,
+    // @JohnAthlete: the user's name without spaces
+    MENTION_PATTERN: /@([\p{L}\p{N}_.-]+)/gu
+};
+
+export const DISCUSSION_POLICIES = {
+    EVERYONE: 'everyone',          // anyone who can see the challenge
+    PARTICIPANTS: 'participants'   // the owner and people who joined
+};
+
+// ========================================
+// Storage
+// ========================================
+
+/**
+ * Default store: every challenge's posts in one localStorage entry.
+ * A replacement store (e.g. one backed by a local API) must offer the
+ * same three methods; see setDiscussionStore.
+ */
+export const localDiscussionStore = {
+    /**
+     * @param {string} challengeId - Challenge ID
+     * @returns {Array} The challenge's posts, oldest first
+     */
+    load(challengeId) {
+        try {
+            const json = localStorage.getItem(DISCUSSION_CONFIG.STORAGE_KEY);
+            return (json ? JSON.parse(json) : {})[challengeId] || [];
+        } catch (error) {
+            console.error('Error reading discussions:', error);
+            return [];
+        }
+    },
+
+    /**
+     * @param {string} challengeId - Challenge ID
+     * @param {Array} posts - Every post of the challenge
+     */
+    save(challengeId, posts) {
+        try {
+            const json = localStorage.getItem(DISCUSSION_CONFIG.STORAGE_KEY);
+            const all = json ? JSON.parse(json) : {};
+            all[challengeId] = posts;
+            localStorage.setItem(DISCUSSION_CONFIG.STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving discussions:', error);
+        }
+    },
+
+    /**
+     * @param {string} challengeId - Challenge ID whose thread is deleted
+     */
+    remove(challengeId) {
+        try {
+            const json = localStorage.getItem(DISCUSSION_CONFIG.STORAGE_KEY);
+            const all = json ? JSON.parse(json) : {};
+            delete all[challengeId];
+            localStorage.setItem(DISCUSSION_CONFIG.STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error deleting discussion:', error);
+        }
+    }
+};
+
+let discussionStore = localDiscussionStore;
+
+/**
+ * Replace where discussion posts are kept
+ * @param {Object} store - { load(challengeId), save(challengeId, posts), remove(challengeId) },
+ *                         or null to go back to localStorage
+ *
+ * @example
+ * setDiscussionStore({
+ *   load: id => cache[id] || [],
+ *   save: (id, posts) => { cache[id] = posts; syncToServer(id, posts); },
+ *   remove: id => { delete cache[id]; }
+ * });
+ */
+export function setDiscussionStore(store) {
+    discussionStore = store || localDiscussionStore;
+}
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate a challenge's discussion posting rule
+ * @param {string} policy - One of DISCUSSION_POLICIES (optional; defaults to everyone)
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateDiscussionPolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return { isValid: true, error: null };
+    }
+
+    if (!Object.values(DISCUSSION_POLICIES).includes(policy)) {
+        return {
+            isValid: false,
+            error: `Discussion policy must be one of: ${Object.values(DISCUSSION_POLICIES).join(', ')}`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate the text of a post
+ * @param {string} body - Post text
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validatePostBody(body) {
+    const trimmed = (body || '').trim();
+
+    if (!trimmed) {
+        return { isValid: false, error: 'Write something first' };
+    }
+
+    if (trimmed.length > DISCUSSION_CONFIG.MAX_BODY_LENGTH) {
+        return { isValid: false, error: `Posts can be at most ${DISCUSSION_CONFIG.MAX_BODY_LENGTH} characters` };
+    }
+
+    return { isValid: true, error: null };
+}
+
+// ========================================
+// Mentions
+// ========================================
+
+/**
+ * Get the @handle a user is mentioned with
+ * @param {string} name - Display name
+ * @returns {string} Name without spaces, e.g. 'JohnAthlete'
+ */
+export function toMentionHandle(name) {
+    return (name || '').replace(/\s+/g, '');
+}
+
+/**
+ * Find who a post mentions
+ * @param {string} body - Post text
+ * @param {Array} people - [{ id, name }] who can be mentioned
+ * @returns {Array} User IDs, each once
+ *
+ * @example
+ * extractMentions('Nice pace @JohnAthlete!', [{ id: '2', name: 'John Athlete' }]); // ['2']
+ */
+export function extractMentions(body, people) {
+    const byHandle = new Map(people.map(person => [toMentionHandle(person.name).toLowerCase(), person.id]));
+    const mentioned = [...(body || '').matchAll(DISCUSSION_CONFIG.MENTION_PATTERN)]
+        .map(match => byHandle.get(match[1].replace(/[.-]+$/, '').toLowerCase()))
+        .filter(Boolean);
+
+    return [...new Set(mentioned)];
+}
+
+// ========================================
+// Posts
+// ========================================
+
+/**
+ * Get a challenge's posts, oldest first
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} [{ id, challengeId, authorId, parentId, body, mentions, createdAt, editedAt, deletedAt }]
+ */
+export function getPosts(challengeId) {
+    return discussionStore.load(challengeId);
+}
+
+/**
+ * Arrange posts as a thread: top-level posts with their replies nested
+ * @param {Array} posts - Posts of one challenge
+ * @returns {Array} Top-level posts, each with replies (recursively), oldest first
+ */
+export function buildThread(posts) {
+    const byParent = new Map();
+    posts.forEach(post => {
+        const key = post.parentId || null;
+        if (!byParent.has(key)) byParent.set(key, []);
+        byParent.get(key).push(post);
+    });
+
+    const attach = parentId => (byParent.get(parentId) || [])
+        .map(post => ({ ...post, replies: attach(post.id) }));
+
+    return attach(null);
+}
+
+/**
+ * Add a post or a reply
+ * @param {string} challengeId - Challenge ID
+ * @param {string} authorId - Posting user
+ * @param {string} body - Post text
+ * @param {Object} options - { parentId, people } where people can be mentioned
+ * @returns {Object} Result { success, message, post }
+ */
+export function createPost(challengeId, authorId, body, { parentId = null, people = [] } = {}) {
+    const validation = validatePostBody(body);
+    if (!validation.isValid) {
+        return { success: false, message: validation.error };
+    }
+
+    const posts = discussionStore.load(challengeId);
+
+    if (parentId) {
+        const parent = posts.find(p => p.id === parentId);
+        if (!parent || parent.deletedAt) {
+            return { success: false, message: 'The post you are replying to was deleted' };
+        }
+    }
+
+    const post = {
+        id: `post_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+        challengeId: challengeId,
+        authorId: authorId,
+        parentId: parentId,
+        body: body.trim(),
+        mentions: extractMentions(body, people).filter(id => id !== authorId),
+        createdAt: new Date().toISOString(),
+        editedAt: null,
+        deletedAt: null
+    };
+
+    discussionStore.save(challengeId, [...posts, post]);
+
+    return { success: true, message: parentId ? 'Reply posted' : 'Posted', post: post };
+}
+
+/**
+ * Edit one of your own posts
+ * @param {string} challengeId - Challenge ID
+ * @param {string} postId - Post ID
+ * @param {string} authorId - User editing (must be the author)
+ * @param {string} body - New text
+ * @param {Array} people - [{ id, name }] who can be mentioned
+ * @returns {Object} Result { success, message, post }
+ */
+export function editPost(challengeId, postId, authorId, body, people = []) {
+    const validation = validatePostBody(body);
+    if (!validation.isValid) {
+        return { success: false, message: validation.error };
+    }
+
+    const posts = discussionStore.load(challengeId);
+    const post = posts.find(p => p.id === postId);
+
+    if (!post || post.deletedAt) {
+        return { success: false, message: 'Post not found' };
+    }
+
+    if (post.authorId !== authorId) {
+        return { success: false, message: 'You can only edit your own posts' };
+    }
+
+    post.body = body.trim();
+    post.mentions = extractMentions(body, people).filter(id => id !== authorId);
+    post.editedAt = new Date().toISOString();
+    discussionStore.save(challengeId, posts);
+
+    return { success: true, message: 'Post updated', post: post };
+}
+
+/**
+ * Delete one of your own posts. Posts with replies keep their place in
+ * the thread as "deleted" so the replies still make sense.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} postId - Post ID
+ * @param {string} authorId - User deleting (must be the author)
+ * @returns {Object} Result { success, message }
+ */
+export function deletePost(challengeId, postId, authorId) {
+    const posts = discussionStore.load(challengeId);
+    const post = posts.find(p => p.id === postId);
+
+    if (!post || post.deletedAt) {
+        return { success: false, message: 'Post not found' };
+    }
+
+    if (post.authorId !== authorId) {
+        return { success: false, message: 'You can only delete your own posts' };
+    }
+
+    if (posts.some(p => p.parentId === postId)) {
+        post.body = '';
+        post.mentions = [];
+        post.deletedAt = new Date().toISOString();
+        discussionStore.save(challengeId, posts);
+    } else {
+        discussionStore.save(challengeId, posts.filter(p => p.id !== postId));
+    }
+
+    return { success: true, message: 'Post deleted' };
+}
+
+/**
+ * Delete a challenge's whole thread
+ * @param {string} challengeId - Challenge ID
+ */
+export function deleteThread(challengeId) {
+    discussionStore.remove(challengeId);
+}
+
+/**
+ * Find the posts that mention a user, newest first
+ * @param {string} userId - User ID
+ * @param {Array} challengeIds - Challenges to look in
+ * @returns {Array} Posts mentioning the user
+ */
+export function getMentionsOf(userId, challengeIds) {
+    return challengeIds
+        .flatMap(challengeId => discussionStore.load(challengeId))
+        .filter(post => !post.deletedAt && (post.mentions || []).includes(userId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
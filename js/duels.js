@@ -0,0 +1,248 @@
+// ========================================
+// DUELS.JS - Head-to-Head Duels
+// One user challenges another to a goal over a fixed window.
+// Duels are invites here; once accepted, challenges.js tracks
+// both sides as a regular (hidden) challenge.
+// ========================================
+
+import { getGoalType } from './goalTypes.js';
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const DUEL_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_duels',
+    MIN_DAYS: 1,
+    MAX_DAYS: 30,
+    INVITE_EXPIRY_DAYS: 7
+};
+
+export const DUEL_STATUSES = {
+    PENDING: 'pending',       // invite sent, waiting for the opponent
+    ACTIVE: 'active',         // accepted, window running
+    DECLINED: 'declined',     // opponent said no
+    CANCELLED: 'cancelled',   // challenger withdrew the invite
+    EXPIRED: 'expired',       // invite never answered
+    FINISHED: 'finished'      // window closed, result decided
+};
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate the terms of a duel invite
+ * @param {string} challengerId - User sending the invite
+ * @param {Object} terms - { opponentId, goal, target, days, category }
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateDuelTerms(challengerId, terms) {
+    if (!terms.opponentId) {
+        return { isValid: false, error: 'Choose an opponent' };
+    }
+
+    if (terms.opponentId === challengerId) {
+        return { isValid: false, error: 'You cannot duel yourself' };
+    }
+
+    if (!getGoalType(terms.goal)) {
+        return { isValid: false, error: `Unknown goal type: ${terms.goal}` };
+    }
+
+    if (!(Number(terms.target) > 0)) {
+        return { isValid: false, error: 'Target must be a positive number' };
+    }
+
+    const days = Number(terms.days);
+    if (!Number.isInteger(days) || days < DUEL_CONFIG.MIN_DAYS || days > DUEL_CONFIG.MAX_DAYS) {
+        return {
+            isValid: false,
+            error: `A duel lasts ${DUEL_CONFIG.MIN_DAYS}-${DUEL_CONFIG.MAX_DAYS} days`
+        };
+    }
+
+    if (!terms.category) {
+        return { isValid: false, error: 'Choose a category' };
+    }
+
+    return { isValid: true, error: null };
+}
+
+// ========================================
+// Storage
+// ========================================
+
+/**
+ * Get every duel
+ * @returns {Array} Array of duel objects
+ */
+function getAllDuels() {
+    try {
+        const duelsJson = localStorage.getItem(DUEL_CONFIG.STORAGE_KEY);
+        return duelsJson ? JSON.parse(duelsJson) : [];
+    } catch (error) {
+        console.error('Error reading duels:', error);
+        return [];
+    }
+}
+
+/**
+ * Save every duel to localStorage
+ * @param {Array} duels - Array of duel objects
+ */
+function saveAllDuels(duels) {
+    try {
+        localStorage.setItem(DUEL_CONFIG.STORAGE_KEY, JSON.stringify(duels));
+    } catch (error) {
+        console.error('Error saving duels:', error);
+    }
+}
+
+/**
+ * Get a duel by ID
+ * @param {string} duelId - Duel ID
+ * @returns {Object|null} Duel or null if not found
+ */
+export function getDuel(duelId) {
+    return getAllDuels().find(duel => duel.id === duelId) || null;
+}
+
+/**
+ * Get the duels a user sent or received, newest first
+ * @param {string} userId - User ID
+ * @returns {Array} Array of duel objects
+ */
+export function getDuelsForUser(userId) {
+    return getAllDuels()
+        .filter(duel => duel.challengerId === userId || duel.opponentId === userId)
+        .reverse();
+}
+
+/**
+ * Get every duel in a status
+ * @param {string} status - One of DUEL_STATUSES
+ * @returns {Array} Array of duel objects
+ */
+export function getDuelsByStatus(status) {
+    return getAllDuels().filter(duel => duel.status === status);
+}
+
+/**
+ * Change a stored duel
+ * @param {string} duelId - Duel ID
+ * @param {Function} mutate - (duel) => void, mutates the duel
+ * @returns {Object|null} Updated duel or null if not found
+ */
+export function updateDuel(duelId, mutate) {
+    const duels = getAllDuels();
+    const duel = duels.find(d => d.id === duelId);
+    if (!duel) return null;
+
+    mutate(duel);
+    duel.updatedAt = new Date().toISOString();
+    saveAllDuels(duels);
+
+    return duel;
+}
+
+// ========================================
+// Invites
+// ========================================
+
+/**
+ * Send a duel invite
+ * @param {string} challengerId - User sending the invite
+ * @param {Object} terms - { opponentId, goal, target, days, category }
+ * @returns {Object} Result { success, message, duel }
+ *
+ * @example
+ * // Most km in 7 days, aiming for 50 km
+ * createDuelInvite('1', { opponentId: '2', goal: 'totalDistance', target: 50, days: 7, category: 'running' });
+ */
+export function createDuelInvite(challengerId, terms) {
+    const validation = validateDuelTerms(challengerId, terms);
+    if (!validation.isValid) {
+        return { success: false, message: validation.error };
+    }
+
+    const duels = getAllDuels();
+
+    const alreadyOpen = duels.some(duel =>
+        [DUEL_STATUSES.PENDING, DUEL_STATUSES.ACTIVE].includes(duel.status) &&
+        [duel.challengerId, duel.opponentId].includes(challengerId) &&
+        [duel.challengerId, duel.opponentId].includes(terms.opponentId)
+    );
+    if (alreadyOpen) {
+        return { success: false, message: 'You already have an open duel with this user' };
+    }
+
+    const duel = {
+        id: `duel_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+        challengerId: challengerId,
+        opponentId: terms.opponentId,
+        goal: terms.goal,
+        target: Number(terms.target),
+        days: Number(terms.days),
+        category: terms.category,
+        status: DUEL_STATUSES.PENDING,
+        challengeId: null,
+        startDate: null,
+        endDate: null,
+        winnerId: null,
+        finalValues: null,
+        createdAt: new Date().toISOString()
+    };
+
+    saveAllDuels([...duels, duel]);
+
+    return { success: true, message: 'Duel invite sent', duel: duel };
+}
+
+/**
+ * Expire invites nobody answered in time
+ * @param {Date} now - Current time
+ * @returns {Array} Duels that expired
+ */
+export function expireDuelInvites(now = new Date()) {
+    const duels = getAllDuels();
+    const expiryMs = DUEL_CONFIG.INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+    const expired = duels.filter(duel =>
+        duel.status === DUEL_STATUSES.PENDING &&
+        new Date(duel.createdAt).getTime() + expiryMs <= now.getTime()
+    );
+
+    if (expired.length > 0) {
+        expired.forEach(duel => { duel.status = DUEL_STATUSES.EXPIRED; });
+        saveAllDuels(duels);
+    }
+
+    return expired;
+}
+
+// ========================================
+// Results
+// ========================================
+
+/**
+ * Decide a duel from both sides' values. Higher wins, or lower for
+ * goals like pace, where a side with no data (0) can't win.
+ * @param {Object} duel - Duel object
+ * @param {Object} values - { [userId]: value }
+ * @returns {string|null} Winner's user ID, or null for a draw
+ */
+export function decideDuelWinner(duel, values) {
+    const goalType = getGoalType(duel.goal);
+    const a = values[duel.challengerId] || 0;
+    const b = values[duel.opponentId] || 0;
+
+    if (a === b) return null;
+
+    if (goalType?.lowerIsBetter) {
+        if (!a || !b) return a ? duel.challengerId : duel.opponentId;
+        return a < b ? duel.challengerId : duel.opponentId;
+    }
+
+    return a > b ? duel.challengerId : duel.opponentId;
+}
@@ -0,0 +1,173 @@
+// ========================================
+// FACETS.JS - Faceted Catalog Filtering
+// Filters the challenge catalog by category, difficulty, duration,
+// the user's status and goal type, and counts what each option
+// would return given the other active filters
+// ========================================
+
+import { getGoalType } from './goalTypes.js';
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+// Where the current user stands with a challenge (one per challenge)
+export const STATUS_VALUES = {
+    JOINED: 'joined',           // taking part right now
+    COMPLETED: 'completed',     // finished at least once, not taking part now
+    NOT_JOINED: 'not-joined'    // never joined, or only left or failed before
+};
+
+/*
+ * Facets in display order.
+ * - values(challenge, context): the option values a challenge has
+ * - options: fixed [value, label] pairs; facets without them list the values found
+ * - multiple: several options can be selected; a challenge passes if it has any of them
+ */
+export const FACETS = [
+    {
+        key: 'category',
+        label: 'Category',
+        multiple: true,
+        options: [
+            ['running', 'Running'],
+            ['yoga', 'Yoga'],
+            ['strength', 'Strength Training'],
+            ['hiit', 'HIIT'],
+            ['cycling', 'Cycling'],
+            ['swimming', 'Swimming']
+        ],
+        values: challenge => [challenge.category]
+    },
+    {
+        key: 'difficulty',
+        label: 'Difficulty',
+        multiple: true,
+        options: [
+            ['beginner', 'Beginner'],
+            ['intermediate', 'Intermediate'],
+            ['advanced', 'Advanced']
+        ],
+        values: challenge => [challenge.difficulty]
+    },
+    {
+        // Minimum duration: a 30-day challenge counts for 7, 14 and 30 days
+        key: 'duration',
+        label: 'Duration',
+        multiple: false,
+        options: [
+            ['7', '7 Days'],
+            ['14', '14 Days'],
+            ['30', '30 Days'],
+            ['60', '60 Days']
+        ],
+        values: challenge => ['7', '14', '30', '60'].filter(days => Number(challenge.duration) >= Number(days))
+    },
+    {
+        key: 'status',
+        label: 'Status',
+        multiple: true,
+        options: [
+            [STATUS_VALUES.JOINED, 'Joined'],
+            [STATUS_VALUES.NOT_JOINED, 'Not joined'],
+            [STATUS_VALUES.COMPLETED, 'Completed']
+        ],
+        values: (challenge, context) => [context.getStatus(challenge)]
+    },
+    {
+        key: 'goalType',
+        label: 'Goal Type',
+        multiple: true,
+        options: null,
+        values: challenge => Object.keys(challenge.goals || {}),
+        getLabel: value => getGoalType(value)?.label || value
+    }
+];
+
+// ========================================
+// Selections
+// ========================================
+
+/**
+ * Create an empty selection for every facet
+ * @returns {Object} { [facetKey]: [] }
+ */
+export function createFacetSelections() {
+    return Object.fromEntries(FACETS.map(facet => [facet.key, []]));
+}
+
+/**
+ * Check whether a challenge passes the selected facets
+ * @param {Object} challenge - Challenge object
+ * @param {Object} selections - { [facetKey]: selected values }
+ * @param {Object} context - { getStatus(challenge) } for the status facet
+ * @param {string} exceptKey - Facet to ignore (optional)
+ * @returns {boolean} True if every other facet with a selection matches
+ */
+function matchesFacets(challenge, selections, context, exceptKey = null) {
+    return FACETS.every(facet => {
+        const selected = selections[facet.key] || [];
+        if (facet.key === exceptKey || selected.length === 0) return true;
+
+        const values = facet.values(challenge, context);
+        return selected.some(value => values.includes(value));
+    });
+}
+
+/**
+ * Keep the challenges that pass every selected facet
+ * @param {Array} challenges - Challenges to filter
+ * @param {Object} selections - { [facetKey]: selected values }
+ * @param {Object} context - { getStatus(challenge) } for the status facet
+ * @returns {Array} Matching challenges, in their original order
+ *
+ * @example
+ * filterByFacets(getCatalogChallenges(), { category: ['running', 'cycling'], status: ['not-joined'] }, context);
+ */
+export function filterByFacets(challenges, selections, context) {
+    return challenges.filter(challenge => matchesFacets(challenge, selections, context));
+}
+
+// ========================================
+// Counts
+// ========================================
+
+/**
+ * Count what each facet option would return. An option's count applies
+ * every other facet's selection, so it is the number of results after
+ * picking it (or adding it, for multi-select facets).
+ * @param {Array} challenges - Challenges before facet filtering (e.g. search results)
+ * @param {Object} selections - { [facetKey]: selected values }
+ * @param {Object} context - { getStatus(challenge) } for the status facet
+ * @returns {Array} [{ key, label, multiple, options: [{ value, label, count, selected }] }]
+ */
+export function countFacets(challenges, selections, context) {
+    return FACETS.map(facet => {
+        const selected = selections[facet.key] || [];
+        const counts = new Map((facet.options || []).map(([value]) => [value, 0]));
+
+        challenges
+            .filter(challenge => matchesFacets(challenge, selections, context, facet.key))
+            .forEach(challenge => {
+                facet.values(challenge, context).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
+
+        // Keep selected options visible even when nothing matches them any more
+        selected.forEach(value => { if (!counts.has(value)) counts.set(value, 0); });
+
+        const labels = new Map(facet.options || []);
+        const options = [...counts.entries()].map(([value, count]) => ({
+            value: value,
+            label: labels.get(value) || (facet.getLabel ? facet.getLabel(value) : value),
+            count: count,
+            selected: selected.includes(value)
+        }));
+
+        // Options found in the data are listed alphabetically
+        if (!facet.options) {
+            options.sort((a, b) => a.label.localeCompare(b.label));
+        }
+
+        return { key: facet.key, label: facet.label, multiple: facet.multiple, options: options };
+    });
+}
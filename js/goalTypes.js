@@ -0,0 +1,266 @@
+// ========================================
+// GOALTYPES.JS - Goal Type Registry
+// Defines how each kind of challenge goal is initialized,
+// accumulated, compared and rendered
+// ========================================
+
+// ========================================
+// Registry
+// ========================================
+
+const goalTypes = {};
+
+/**
+ * Register a goal type. The key is the property name used in `challenge.goals`.
+ * @param {string} key - Goal key (e.g. 'totalDistance')
+ * @param {Object} definition - Goal type definition
+ * @param {string} definition.label - Human readable label
+ * @param {string} definition.unit - Unit shown next to values ('' for counts)
+ * @param {boolean} definition.lowerIsBetter - True for goals like pace
+ * @param {Function} definition.initialize - (target) => initial progress fields
+ * @param {Function} definition.isTracked - (progress) => whether this goal is present
+ * @param {Function} definition.accumulate - (progress, progressData) => void, mutates progress
+ * @param {Function} definition.getCurrent - (progress) => current value
+ * @param {Function} definition.getTarget - (progress) => target value
+ * @param {Function} definition.getPercentage - (progress) => percentage, may exceed 100 (optional)
+ * @param {Function} definition.isMet - (progress) => whether the goal is reached (optional)
+ * @param {Function} definition.render - (progress) => display string (optional)
+ * @returns {Object} The registered goal type
+ *
+ * @example
+ * registerGoalType('totalSteps', createCounterGoalType({
+ *   label: 'Total steps',
+ *   input: 'steps',
+ *   currentField: 'currentSteps',
+ *   targetField: 'totalSteps'
+ * }));
+ */
+export function registerGoalType(key, definition) {
+    const type = {
+        key: key,
+        unit: '',
+        lowerIsBetter: false,
+        ...definition
+    };
+
+    if (!type.getPercentage) {
+        type.getPercentage = (progress) => defaultPercentage(type, progress);
+    }
+
+    if (!type.isMet) {
+        type.isMet = (progress) => type.getPercentage(progress) >= 100;
+    }
+
+    if (!type.render) {
+        type.render = (progress) => defaultRender(type, progress);
+    }
+
+    goalTypes[key] = type;
+    return type;
+}
+
+/**
+ * Get a registered goal type
+ * @param {string} key - Goal key
+ * @returns {Object|null} Goal type or null if unknown
+ */
+export function getGoalType(key) {
+    return goalTypes[key] || null;
+}
+
+/**
+ * Get every registered goal type
+ * @returns {Array} Array of goal type objects
+ */
+export function getGoalTypes() {
+    return Object.values(goalTypes);
+}
+
+// ========================================
+// Defaults
+// ========================================
+
+/**
+ * Percentage reached for a goal, honouring lower-is-better goals
+ * @param {Object} type - Goal type
+ * @param {Object} progress - User challenge progress
+ * @returns {number} Percentage (not capped at 100)
+ */
+function defaultPercentage(type, progress) {
+    const current = type.getCurrent(progress) || 0;
+    const target = type.getTarget(progress);
+
+    if (!target) return 0;
+
+    if (type.lowerIsBetter) {
+        // No data yet means no progress, not an infinitely good result
+        return current > 0 ? (target / current) * 100 : 0;
+    }
+
+    return (current / target) * 100;
+}
+
+/**
+ * Format a number for display (drop needless decimals)
+ * @param {number} value - Value to format
+ * @returns {string} Formatted value
+ */
+function formatGoalValue(value) {
+    if (value === null || value === undefined) return '—';
+    return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1);
+}
+
+/**
+ * Default display string, e.g. "12.5 / 50 km"
+ * @param {Object} type - Goal type
+ * @param {Object} progress - User challenge progress
+ * @returns {string} Display string
+ */
+function defaultRender(type, progress) {
+    const current = type.getCurrent(progress);
+    const unit = type.unit ? ` ${type.unit}` : '';
+    return `${formatGoalValue(current)} / ${formatGoalValue(type.getTarget(progress))}${unit}`;
+}
+
+// ========================================
+// Goal Type Factories
+// ========================================
+
+/**
+ * Create a goal type that sums one numeric field of each progress update
+ * @param {Object} options - Factory options
+ * @param {string} options.label - Human readable label
+ * @param {string} options.unit - Unit (optional)
+ * @param {string} options.input - Key read from progressData (e.g. 'distance')
+ * @param {string} options.currentField - Progress field holding the running total
+ * @param {string} options.targetField - Progress field holding the target
+ * @param {boolean} options.countsWorkouts - Add 1 when progressData.workoutCompleted
+ *                                           and no explicit input value is given
+ * @returns {Object} Goal type definition
+ */
+export function createCounterGoalType({ label, unit = '', input, currentField, targetField, countsWorkouts = false }) {
+    return {
+        label: label,
+        unit: unit,
+        initialize: (target) => ({ [currentField]: 0, [targetField]: target }),
+        isTracked: (progress) => !!progress[targetField],
+        accumulate: (progress, progressData) => {
+            let amount = Number(progressData[input]) || 0;
+            if (!amount && countsWorkouts && progressData.workoutCompleted) {
+                amount = 1;
+            }
+            if (amount) {
+                progress[currentField] = (progress[currentField] || 0) + amount;
+            }
+        },
+        getCurrent: (progress) => progress[currentField] || 0,
+        getTarget: (progress) => progress[targetField]
+    };
+}
+
+// ========================================
+// Built-in Goal Types
+// ========================================
+
+registerGoalType('totalDistance', createCounterGoalType({
+    label: 'Total distance',
+    unit: 'km',
+    input: 'distance',
+    currentField: 'currentDistance',
+    targetField: 'totalDistance'
+}));
+
+registerGoalType('totalWorkouts', createCounterGoalType({
+    label: 'Workouts',
+    input: 'workouts',
+    currentField: 'completedWorkouts',
+    targetField: 'totalWorkouts',
+    countsWorkouts: true
+}));
+
+registerGoalType('totalSessions', createCounterGoalType({
+    label: 'Sessions',
+    input: 'sessions',
+    currentField: 'currentSessions',
+    targetField: 'totalSessions',
+    countsWorkouts: true
+}));
+
+registerGoalType('totalMinutes', createCounterGoalType({
+    label: 'Active time',
+    unit: 'min',
+    input: 'minutes',
+    currentField: 'currentMinutes',
+    targetField: 'totalMinutes'
+}));
+
+registerGoalType('caloriesBurned', createCounterGoalType({
+    label: 'Calories burned',
+    unit: 'kcal',
+    input: 'calories',
+    currentField: 'currentCalories',
+    targetField: 'totalCalories'
+}));
+
+registerGoalType('totalSets', createCounterGoalType({
+    label: 'Sets',
+    input: 'sets',
+    currentField: 'currentSets',
+    targetField: 'totalSets'
+}));
+
+registerGoalType('weightLifted', createCounterGoalType({
+    label: 'Weight lifted',
+    unit: 'kg',
+    input: 'weightLifted',
+    currentField: 'currentWeightLifted',
+    targetField: 'totalWeightLifted'
+}));
+
+registerGoalType('totalRides', createCounterGoalType({
+    label: 'Rides',
+    input: 'rides',
+    currentField: 'currentRides',
+    targetField: 'totalRides',
+    countsWorkouts: true
+}));
+
+registerGoalType('elevationGain', createCounterGoalType({
+    label: 'Elevation gain',
+    unit: 'm',
+    input: 'elevation',
+    currentField: 'currentElevation',
+    targetField: 'totalElevation'
+}));
+
+registerGoalType('totalSteps', createCounterGoalType({
+    label: 'Steps',
+    input: 'steps',
+    currentField: 'currentSteps',
+    targetField: 'totalSteps'
+}));
+
+// Average pace is derived from the distance and time of every update that has both
+registerGoalType('avgPace', {
+    label: 'Average pace',
+    unit: 'min/km',
+    lowerIsBetter: true,
+    initialize: (target) => ({ paceDistance: 0, paceMinutes: 0, targetPace: target }),
+    isTracked: (progress) => !!progress.targetPace,
+    accumulate: (progress, progressData) => {
+        const distance = Number(progressData.distance) || 0;
+        const minutes = Number(progressData.minutes) || 0;
+        if (distance > 0 && minutes > 0) {
+            progress.paceDistance = (progress.paceDistance || 0) + distance;
+            progress.paceMinutes = (progress.paceMinutes || 0) + minutes;
+        }
+    },
+    getCurrent: (progress) => progress.paceDistance > 0
+        ? progress.paceMinutes / progress.paceDistance
+        : null,
+    getTarget: (progress) => progress.targetPace,
+    render: (progress) => {
+        const pace = progress.paceDistance > 0 ? progress.paceMinutes / progress.paceDistance : null;
+        return `${pace ? pace.toFixed(2) : '—'} (target ≤ ${progress.targetPace}) min/km`;
+    }
+});
@@ -0,0 +1,70 @@
+// ========================================
+// HOME.JS - Home Page Recommendations
+// Fills the "Recommended for You" section from the challenge store
+// ========================================
+
+import { getRecommendedChallenges } from './challenges.js';
+
+// ========================================
+// Helper Functions
+// ========================================
+
+// Challenge titles are user input
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ========================================
+// Recommended Challenges
+// ========================================
+
+/**
+ * Render the challenges recommended for the signed-in user (or the
+ * featured ones when signed out) into the home page grid
+ * @param {HTMLElement} container - Grid to render into
+ *
+ * @example
+ * renderRecommendedChallenges(document.getElementById('recommended-challenges'));
+ */
+export function renderRecommendedChallenges(container) {
+    try {
+        const recommendations = getRecommendedChallenges();
+
+        if (recommendations.length === 0) {
+            container.innerHTML = '<div class="loading-message">No recommendations yet. Browse the catalog to get started.</div>';
+            return;
+        }
+
+        container.innerHTML = recommendations.map(({ challenge, why }) => `
+            <div class="category-card recommended-challenge">
+                <h3 class="category-title">${escapeHtml(challenge.title)}</h3>
+                <p class="recommendation-reason">${escapeHtml(why)}</p>
+                <a href="challenges/index.html?id=${encodeURIComponent(challenge.id)}" class="category-link">View challenge →</a>
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Error loading recommended challenges:', error);
+        container.innerHTML = `
+            <div class="error-message">
+                <p>Unable to load recommendations at this time. Please try again later.</p>
+            </div>
+        `;
+    }
+}
+
+function initializeHomePage() {
+    const container = document.getElementById('recommended-challenges');
+    if (container) renderRecommendedChallenges(container);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeHomePage);
+} else {
+    initializeHomePage();
+}
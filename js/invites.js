@@ -0,0 +1,123 @@
+// ========================================
+// INVITES.JS - Challenge Visibility & Invite Codes
+// Who can see and join a challenge: public challenges are listed,
+// unlisted ones are joinable by link, private ones need an invite code
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+export const VISIBILITY = {
+    PUBLIC: 'public',       // listed in the catalog, anyone can join
+    UNLISTED: 'unlisted',   // not listed, anyone with the link can join
+    PRIVATE: 'private'      // not listed, joining needs an invite code
+};
+
+const INVITE_CONFIG = {
+    CODE_LENGTH: 8,
+    // No 0/O or 1/I/L so codes survive being read out loud
+    CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+};
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate a challenge's visibility
+ * @param {string} visibility - One of VISIBILITY (optional; defaults to public)
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateVisibility(visibility) {
+    if (visibility === undefined || visibility === null) {
+        return { isValid: true, error: null };
+    }
+
+    if (!Object.values(VISIBILITY).includes(visibility)) {
+        return {
+            isValid: false,
+            error: `Visibility must be one of: ${Object.values(VISIBILITY).join(', ')}`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Get a challenge's visibility (challenges created before visibility existed are public)
+ * @param {Object} challenge - Challenge object
+ * @returns {string} One of VISIBILITY
+ */
+export function getVisibility(challenge) {
+    return challenge.visibility || VISIBILITY.PUBLIC;
+}
+
+// ========================================
+// Invite Codes
+// ========================================
+
+/**
+ * Create a new invite code
+ * @param {string} createdBy - User creating the code
+ * @returns {Object} { code, createdBy, createdAt, revokedAt }
+ */
+export function generateInviteCode(createdBy) {
+    let code = '';
+    for (let i = 0; i < INVITE_CONFIG.CODE_LENGTH; i++) {
+        code += INVITE_CONFIG.CODE_ALPHABET[Math.floor(Math.random() * INVITE_CONFIG.CODE_ALPHABET.length)];
+    }
+
+    return {
+        code: code,
+        createdBy: createdBy,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+}
+
+/**
+ * Get the codes of a challenge that still work
+ * @param {Object} challenge - Challenge object
+ * @returns {Array} Invite codes that haven't been revoked
+ */
+export function getActiveInviteCodes(challenge) {
+    return (challenge.inviteCodes || []).filter(invite => !invite.revokedAt);
+}
+
+/**
+ * Check an invite code against a challenge (case-insensitive)
+ * @param {Object} challenge - Challenge object
+ * @param {string} code - Code as typed or taken from a link
+ * @returns {boolean} True if the code is valid and not revoked
+ */
+export function isValidInviteCode(challenge, code) {
+    if (!code) return false;
+    const normalized = code.trim().toUpperCase();
+    return getActiveInviteCodes(challenge).some(invite => invite.code === normalized);
+}
+
+/**
+ * Find the challenge an invite code belongs to
+ * @param {Array} challenges - Challenges to search
+ * @param {string} code - Invite code
+ * @returns {Object|null} Challenge or null if no challenge accepts the code
+ */
+export function findChallengeByInviteCode(challenges, code) {
+    return challenges.find(challenge => isValidInviteCode(challenge, code)) || null;
+}
+
+/**
+ * Build the link that opens a challenge, with an invite code for private ones
+ * @param {Object} challenge - Challenge object
+ * @param {string} code - Invite code (optional)
+ * @returns {string} Link relative to the site root
+ *
+ * @example
+ * buildInviteLink(challenge, 'K7PQ2MXA'); // '/challenges/index.html?invite=K7PQ2MXA'
+ */
+export function buildInviteLink(challenge, code = null) {
+    return code
+        ? `/challenges/index.html?invite=${encodeURIComponent(code)}`
+        : `/challenges/index.html?id=${encodeURIComponent(challenge.id)}`;
+}
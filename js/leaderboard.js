@@ -1,21 +1,30 @@
 // leaderboard.js
+import { getPointsStandings } from './points.js';
+import { getUserDisplayName } from './auth.js';
+
 const leaderboardContainer = document.querySelector(".leaderboard-table");
 
-// URL de ejemplo: usaremos una API pública para simular datos de atletas
-const apiURL = "https://www.boredapi.com/api/activity"; // se puede cambiar por Strava más adelante
+// Display names are user input
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-async function loadLeaderboard() {
+function loadLeaderboard() {
     try {
         leaderboardContainer.innerHTML = "<p>Loading leaderboard...</p>";
 
-        // Simulación de llamada a API (puedes reemplazar por Strava o Nutritionix)
-        const fakeData = [
-            { name: "Agustin Heredia", points: 1250, workouts: 32 },
-            { name: "Emma Rojas", points: 1190, workouts: 29 },
-            { name: "Lucas Pérez", points: 980, workouts: 22 },
-            { name: "Mia Sánchez", points: 870, workouts: 20 },
-            { name: "Tomás Rivera", points: 800, workouts: 18 },
-        ];
+        // Totals come from the points ledger (challenge completions, milestones, streaks)
+        const standings = getPointsStandings();
+
+        if (standings.length === 0) {
+            leaderboardContainer.innerHTML = "<p>No points earned yet. Complete a challenge to get on the board!</p>";
+            return;
+        }
 
         // Renderizar tabla
         const html = `
@@ -25,18 +34,18 @@ async function loadLeaderboard() {
             <th>Rank</th>
             <th>Participant</th>
             <th>Points</th>
-            <th>Workouts</th>
+            <th>Challenges Completed</th>
           </tr>
         </thead>
         <tbody>
-          ${fakeData
+          ${standings
                 .map(
                     (athlete, i) => `
             <tr>
               <td>${i + 1}</td>
-              <td>${athlete.name}</td>
-              <td>${athlete.points}</td>
-              <td>${athlete.workouts}</td>
+              <td>${escapeHtml(getUserDisplayName(athlete.userId))}</td>
+              <td>${athlete.points.toLocaleString()}</td>
+              <td>${athlete.completions}</td>
             </tr>`
                 )
                 .join("")}
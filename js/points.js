@@ -0,0 +1,227 @@
+// ========================================
+// POINTS.JS - Points Ledger
+// Every point a user earns is an entry with a reason; balances
+// and the leaderboard are sums over the ledger
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const POINTS_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_points',
+    // Completion percentages that earn a share of the challenge's reward points
+    MILESTONES: [25, 50, 75],
+    MILESTONE_SHARE: 0.1,
+    // Streak lengths (days) and the points they earn
+    STREAK_BONUSES: { 7: 50, 14: 100, 30: 250 }
+};
+
+export const POINT_TYPES = {
+    COMPLETION: 'completion',
+    MILESTONE: 'milestone',
+    STREAK: 'streak'
+};
+
+// ========================================
+// Ledger Storage
+// ========================================
+
+/**
+ * Get every user's points entries
+ * @returns {Object} { [userId]: Array of points entries }
+ */
+function getPointsLedger() {
+    try {
+        const ledgerJson = localStorage.getItem(POINTS_CONFIG.STORAGE_KEY);
+        return ledgerJson ? JSON.parse(ledgerJson) : {};
+    } catch (error) {
+        console.error('Error reading points ledger:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the points ledger to localStorage
+ * @param {Object} ledger - { [userId]: Array of points entries }
+ */
+function savePointsLedger(ledger) {
+    try {
+        localStorage.setItem(POINTS_CONFIG.STORAGE_KEY, JSON.stringify(ledger));
+    } catch (error) {
+        console.error('Error saving points ledger:', error);
+    }
+}
+
+/**
+ * Award points. Each award has a key, and a key is only ever paid once
+ * per user, so calling this again for the same event does nothing.
+ * @param {string} userId - User ID
+ * @param {Object} award - Award details
+ * @param {string} award.key - Unique key for the event (e.g. 'completion:<attemptId>')
+ * @param {number} award.points - Points to award
+ * @param {string} award.type - One of POINT_TYPES
+ * @param {string} award.reason - Why the points were earned, shown in history
+ * @param {string} award.challengeId - Challenge the points came from (optional)
+ * @param {string} award.attemptId - User challenge (attempt) ID (optional)
+ * @returns {Object|null} The new entry, or null if already awarded or worth nothing
+ *
+ * @example
+ * awardPoints('1', {
+ *   key: 'completion:1_1_1700000000000',
+ *   points: 500,
+ *   type: 'completion',
+ *   reason: 'Completed 30-Day Running Challenge'
+ * });
+ */
+export function awardPoints(userId, award) {
+    if (!award.points || award.points <= 0) return null;
+
+    const ledger = getPointsLedger();
+    const entries = ledger[userId] || [];
+
+    if (entries.some(entry => entry.key === award.key)) return null;
+
+    const entry = {
+        id: `pts_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+        key: award.key,
+        userId: userId,
+        points: Math.round(award.points),
+        type: award.type,
+        reason: award.reason,
+        challengeId: award.challengeId || null,
+        attemptId: award.attemptId || null,
+        awardedAt: new Date().toISOString()
+    };
+
+    ledger[userId] = [...entries, entry];
+    savePointsLedger(ledger);
+
+    return entry;
+}
+
+// ========================================
+// Balance & History
+// ========================================
+
+/**
+ * Get a user's points balance
+ * @param {string} userId - User ID
+ * @returns {number} Total points
+ */
+export function getPointsBalance(userId) {
+    return (getPointsLedger()[userId] || []).reduce((sum, entry) => sum + entry.points, 0);
+}
+
+/**
+ * Get a user's points history, newest first
+ * @param {string} userId - User ID
+ * @returns {Array} Points entries
+ */
+export function getPointsHistory(userId) {
+    return [...(getPointsLedger()[userId] || [])].reverse();
+}
+
+/**
+ * Get every user's points totals, highest first
+ * @returns {Array} [{ userId, points, completions }]
+ */
+export function getPointsStandings() {
+    return Object.entries(getPointsLedger())
+        .map(([userId, entries]) => ({
+            userId: userId,
+            points: entries.reduce((sum, entry) => sum + entry.points, 0),
+            completions: entries.filter(entry => entry.type === POINT_TYPES.COMPLETION).length
+        }))
+        .sort((a, b) => b.points - a.points);
+}
+
+// ========================================
+// Challenge Awards
+// ========================================
+
+/**
+ * List the awards a challenge attempt has earned in its current state
+ * @param {Object} userChallenge - User challenge (attempt)
+ * @param {Object} challenge - Challenge object
+ * @param {Object} state - { completion, streaks } for the attempt
+ * @returns {Array} Award details for awardPoints
+ */
+function getChallengeAwards(userChallenge, challenge, { completion, streaks }) {
+    const rewardPoints = Number(challenge.rewards?.points) || 0;
+    const base = {
+        challengeId: challenge.id,
+        attemptId: userChallenge.id
+    };
+
+    const milestones = POINTS_CONFIG.MILESTONES
+        .filter(milestone => completion.percentage >= milestone)
+        .map(milestone => ({
+            ...base,
+            key: `milestone:${userChallenge.id}:${milestone}`,
+            points: rewardPoints * POINTS_CONFIG.MILESTONE_SHARE,
+            type: POINT_TYPES.MILESTONE,
+            reason: `Reached ${milestone}% of ${challenge.title}`
+        }));
+
+    const completed = completion.isComplete
+        ? [{
+            ...base,
+            key: `completion:${userChallenge.id}`,
+            points: rewardPoints,
+            type: POINT_TYPES.COMPLETION,
+            reason: `Completed ${challenge.title}`
+        }]
+        : [];
+
+    const streakBonuses = Object.entries(POINTS_CONFIG.STREAK_BONUSES)
+        .filter(([days]) => (streaks?.longest || 0) >= Number(days))
+        .map(([days, points]) => ({
+            ...base,
+            key: `streak:${userChallenge.id}:${days}`,
+            points: points,
+            type: POINT_TYPES.STREAK,
+            reason: `${days} day streak in ${challenge.title}`
+        }));
+
+    return [...milestones, ...completed, ...streakBonuses];
+}
+
+/**
+ * Award everything a challenge attempt has earned so far: completion
+ * points, completion milestones and streak bonuses. Safe to call after
+ * every progress change; each award is paid once per attempt.
+ * @param {Object} userChallenge - User challenge (attempt)
+ * @param {Object} challenge - Challenge object
+ * @param {Object} state - { completion, streaks } for the attempt
+ * @returns {Array} Newly created points entries
+ */
+export function awardChallengePoints(userChallenge, challenge, state) {
+    return getChallengeAwards(userChallenge, challenge, state)
+        .map(award => awardPoints(userChallenge.userId, award))
+        .filter(Boolean);
+}
+
+/**
+ * Take back the points of an attempt that it no longer earns, e.g. after
+ * a progress entry was edited or deleted. If the attempt earns them
+ * again later, awardChallengePoints pays them again.
+ * @param {Object} userChallenge - User challenge (attempt)
+ * @param {Object} challenge - Challenge object
+ * @param {Object} state - { completion, streaks } for the attempt
+ * @returns {Array} The removed points entries
+ */
+export function revokeChallengePoints(userChallenge, challenge, state) {
+    const earnedKeys = new Set(getChallengeAwards(userChallenge, challenge, state).map(award => award.key));
+    const ledger = getPointsLedger();
+    const entries = ledger[userChallenge.userId] || [];
+
+    const revoked = entries.filter(entry => entry.attemptId === userChallenge.id && !earnedKeys.has(entry.key));
+
+    if (revoked.length > 0) {
+        ledger[userChallenge.userId] = entries.filter(entry => !revoked.includes(entry));
+        savePointsLedger(ledger);
+    }
+
+    return revoked;
+}
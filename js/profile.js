@@ -6,6 +6,51 @@
    - Expose a fetchAll() to refresh content
 */
 
+import {
+    getUserChallenges,
+    getChallengeById,
+    evaluateChallengeCompletion,
+    renderGoalBreakdown,
+    getUnmatchedActivities,
+    assignUnmatchedActivity,
+    dismissUnmatchedActivity,
+    isChallengeClosed,
+    getChallengeSettings,
+    updateChallengeSettings,
+    getChallengeAttempts,
+    renderAttemptHistory,
+    getChallengeRankings,
+    renderCheckInCalendar,
+    checkInChallenge,
+    useStreakFreeze,
+    getUserAchievements,
+    getUserBadges,
+    renderTeamPanel,
+    createChallengeTeam,
+    joinChallengeTeam,
+    leaveChallengeTeam,
+    sendDuelInvite,
+    acceptDuel,
+    declineDuel,
+    cancelDuel,
+    getUserDuels,
+    getDuelComparison,
+    getTodaysWorkout,
+    completePlannedWorkout,
+    renderTrainingPlan,
+    getChallengeQueue,
+    moveQueuedChallenge,
+    dequeueChallenge,
+    collectQueueNotices,
+    getDiscussionMentions
+} from './challenges.js';
+import { getCohortById } from './cohorts.js';
+import { getPointsBalance, getPointsHistory } from './points.js';
+import { getPinnedBadges, setBadgePinned } from './badges.js';
+import { getCurrentUser, getUserDirectory } from './auth.js';
+import { getGoalTypes } from './goalTypes.js';
+import { DUEL_STATUSES } from './duels.js';
+
 function $(sel) { return document.querySelector(sel); }
 
 const usernameInput = $('#username');
@@ -21,6 +66,19 @@ const totalDistanceEl = $('#totalDistance');
 const totalTimeEl = $('#totalTime');
 const activitiesCountEl = $('#activitiesCount');
 const refreshBtn = $('#refreshBtn');
+const myChallengesContainer = $('#myChallengesContainer');
+const gracePeriodInput = $('#gracePeriodHours');
+const maxActiveInput = $('#maxActiveChallenges');
+const queueContainer = $('#queueContainer');
+const queueNoticesEl = $('#queueNotices');
+const mentionsContainer = $('#mentionsContainer');
+const achievementsContainer = $('#achievementsContainer');
+const pointsBalanceEl = $('#pointsBalance');
+const pointsHistoryEl = $('#pointsHistory');
+const badgeGrid = $('#badgeGrid');
+const pinnedBadgesEl = $('#pinnedBadges');
+const duelForm = $('#duelForm');
+const duelsContainer = $('#duelsContainer');
 
 // Optional API base for advanced usage (not required). If set in localStorage as 'dataApiBase', the script
 // will try to query `${dataApiBase}/users/{username}/stats` and `/activities`.
@@ -47,6 +105,16 @@ function formatDistance(meters) {
     return km >= 1 ? km.toFixed(2) + ' km' : (meters.toFixed(0) + ' m');
 }
 
+// Text from users and synced services goes through this before reaching innerHTML
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 async function optionalApiFetch(path, options = {}) {
     const base = getOptionalApiBase();
     if (!base) throw new Error('No optional API base configured');
@@ -224,6 +292,356 @@ async function tryLoadForUsername(username) {
     }
 }
 
+// Logged-in user's challenges with a goal-by-goal breakdown and what still blocks completion
+function renderMyChallenges() {
+    if (!myChallengesContainer) return;
+    const userChallenges = getUserChallenges();
+    if (userChallenges.length === 0) {
+        myChallengesContainer.innerHTML = '<p class="muted">You haven\'t joined any challenges yet.</p>';
+        return;
+    }
+    // One row per challenge, showing the latest attempt
+    const latestAttempts = [...new Map(userChallenges.map(uc => [uc.challengeId, uc])).values()];
+    myChallengesContainer.innerHTML = latestAttempts.map(uc => {
+        const challenge = getChallengeById(uc.challengeId);
+        const attemptCount = getChallengeAttempts(uc.challengeId).length;
+        const cohort = challenge ? getCohortById(challenge, uc.cohortId) : null;
+        const rankings = uc.status === 'abandoned' ? [] : getChallengeRankings(uc.challengeId, uc.cohortId || null);
+        const myRank = rankings.find(row => row.attemptId === uc.id);
+        const completion = evaluateChallengeCompletion(uc);
+        const blocking = uc.status === 'active' ? completion.blockingGoals : [];
+        const todaysWorkout = uc.status !== 'abandoned' && !uc.closedAt ? getTodaysWorkout(uc.challengeId) : null;
+        return `
+            <div class="challenge-row" data-challenge-id="${uc.challengeId}">
+                <div class="challenge-row-header">
+                    <strong>${challenge ? `<a href="../challenges/index.html?id=${encodeURIComponent(challenge.id)}">${escapeHtml(challenge.title)}</a>` : 'Deleted challenge'}</strong>
+                    ${attemptCount > 1 ? `<span class="muted">attempt ${attemptCount}</span>` : ''}
+                    ${cohort ? `<span class="muted">${escapeHtml(cohort.name)}</span>` : ''}
+                    ${myRank ? `<span class="muted">rank ${myRank.rank} of ${rankings.length}</span>` : ''}
+                    <span class="status-pill ${uc.status}">${uc.status}</span>
+                    <span class="percent">${completion.percentage}%</span>
+                </div>
+                ${new Date(uc.startDate) > new Date() ? `<div class="muted">Starts ${new Date(uc.startDate).toLocaleDateString()}</div>` : ''}
+                ${isChallengeClosed(uc) ? `<div class="muted">Ended ${new Date(uc.closedAt).toLocaleDateString()} at ${uc.finalPercentage}%${uc.status === 'expired' ? ' with no activity logged' : ''}</div>` : ''}
+                ${renderGoalBreakdown(uc)}
+                ${todaysWorkout ? `
+                    <div class="todays-workout ${todaysWorkout.completed ? 'done' : ''}">
+                        <strong>Today · day ${todaysWorkout.dayNumber}:</strong>
+                        ${todaysWorkout.planDay ? escapeHtml(todaysWorkout.planDay.title) : 'Nothing planned'}
+                        ${todaysWorkout.completed ? ' ✓' : todaysWorkout.planDay && !todaysWorkout.planDay.rest ? `<button class="btn" data-plan-day="${todaysWorkout.dayNumber}">Mark done</button>` : ''}
+                    </div>
+                    <details class="plan"><summary>Training plan</summary>${renderTrainingPlan(uc.challengeId)}</details>
+                ` : ''}
+                ${renderCheckInCalendar(uc)}
+                ${uc.status === 'active' && new Date(uc.startDate) <= new Date() ? `<button class="btn" data-checkin>Check in today</button>` : ''}
+                ${blocking.length ? `<div class="blocking">Still blocking completion: ${blocking.map(g => g.label).join(', ')}${completion.remaining && completion.remaining < blocking.length ? ` (any ${completion.remaining} more)` : ''}</div>` : ''}
+                ${uc.status === 'active' ? renderTeamPanel(uc.challengeId) : ''}
+                ${renderUnmatchedActivities(uc)}
+                ${attemptCount > 1 ? `<details class="attempts"><summary>Compare ${attemptCount} attempts</summary>${renderAttemptHistory(uc.challengeId)}</details>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderQueue() {
+    if (!queueContainer) return;
+    const queue = getChallengeQueue();
+    if (queue.length === 0) {
+        queueContainer.innerHTML = '';
+        return;
+    }
+    queueContainer.innerHTML = `
+        <div class="challenge-queue">
+            <strong>Up next</strong>
+            <span class="muted">starts automatically when a slot frees up</span>
+            <ol>
+                ${queue.map(({ position, challenge }) => `
+                    <li data-challenge-id="${escapeHtml(challenge.id)}">
+                        <a href="../challenges/index.html?id=${encodeURIComponent(challenge.id)}">${escapeHtml(challenge.title)}</a>
+                        <span class="queue-actions">
+                            <button class="btn" data-queue-action="up" ${position === 1 ? 'disabled' : ''} title="Move up">↑</button>
+                            <button class="btn" data-queue-action="down" ${position === queue.length ? 'disabled' : ''} title="Move down">↓</button>
+                            <button class="btn" data-queue-action="remove" title="Remove from queue">✕</button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+        </div>
+    `;
+}
+
+// Queued challenges that started (or couldn't) since the last visit
+function renderQueueNotices() {
+    if (!queueNoticesEl) return;
+    const notices = collectQueueNotices();
+    queueNoticesEl.innerHTML = notices.map(notice => `
+        <div class="queue-notice ${notice.started ? 'started' : 'failed'}">${notice.started ? '▶️' : '⚠️'} ${escapeHtml(notice.message)}</div>
+    `).join('');
+}
+
+queueContainer && queueContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-queue-action]');
+    if (!btn) return;
+    const challengeId = btn.closest('[data-challenge-id]').dataset.challengeId;
+    const position = getChallengeQueue().find(item => item.challenge.id === challengeId)?.position || 1;
+    const action = btn.dataset.queueAction;
+    const result = action === 'remove'
+        ? dequeueChallenge(challengeId)
+        : moveQueuedChallenge(challengeId, action === 'up' ? position - 1 : position + 1);
+    if (!result.success) alert(result.message);
+    renderQueue();
+});
+
+function renderPoints() {
+    const user = getCurrentUser();
+    if (!user || !pointsHistoryEl) return;
+    if (pointsBalanceEl) pointsBalanceEl.textContent = getPointsBalance(user.id).toLocaleString();
+    const history = getPointsHistory(user.id);
+    pointsHistoryEl.innerHTML = history.length === 0
+        ? '<p class="muted">Complete challenges, reach milestones and keep streaks to earn points.</p>'
+        : history.slice(0, 20).map(entry => `
+            <div class="points-entry">
+                <span>${escapeHtml(entry.reason)}</span>
+                <span class="muted">${new Date(entry.awardedAt).toLocaleDateString()}</span>
+                <strong>+${entry.points}</strong>
+            </div>
+        `).join('');
+}
+
+function renderBadges() {
+    const user = getCurrentUser();
+    if (!user || !badgeGrid) return;
+    if (pinnedBadgesEl) {
+        pinnedBadgesEl.innerHTML = getPinnedBadges(user.id)
+            .map(b => `<span class="badge-pin tier-${b.tier.toLowerCase()}" title="${b.tier}">🎖️ ${escapeHtml(b.name)}</span>`)
+            .join('');
+    }
+    const badges = getUserBadges();
+    badgeGrid.innerHTML = badges.length === 0
+        ? '<p class="muted">No badges available yet.</p>'
+        : badges.map(b => `
+            <div class="badge-tile ${b.earned ? `earned tier-${b.tier.toLowerCase()}` : 'locked'} ${b.pinned ? 'pinned' : ''}"
+                 ${b.earned ? `data-badge="${escapeHtml(b.key)}"` : ''} title="${escapeHtml(b.challengeTitle)}">
+                <div class="badge-icon">${b.earned ? '🎖️' : '🔒'}</div>
+                <strong>${escapeHtml(b.name)}</strong>
+                <div class="muted">
+                    ${b.earned
+                        ? `${b.tier} · earned ${new Date(b.firstEarnedAt).toLocaleDateString()}${b.completions > 1 ? ` · ${b.completions}×` : ''}`
+                        : `Complete ${b.challengeTitle ? escapeHtml(b.challengeTitle) : 'the challenge'}`}
+                </div>
+                ${b.earned && b.nextTier ? `<div class="muted">${b.nextTier.completions - b.completions} more for ${b.nextTier.name}</div>` : ''}
+                ${b.pinned ? '<div class="badge-pinned-label">📌 Pinned</div>' : ''}
+            </div>
+        `).join('');
+}
+
+badgeGrid && badgeGrid.addEventListener('click', (e) => {
+    const tile = e.target.closest('[data-badge]');
+    const user = getCurrentUser();
+    if (!tile || !user) return;
+    const result = setBadgePinned(user.id, tile.dataset.badge, !tile.classList.contains('pinned'));
+    if (!result.success) alert(result.message);
+    renderBadges();
+});
+
+function renderAchievements() {
+    if (!achievementsContainer) return;
+    const achievements = getUserAchievements();
+    if (achievements.length === 0) {
+        achievementsContainer.innerHTML = '<p class="muted">No achievements unlocked yet.</p>';
+        return;
+    }
+    achievementsContainer.innerHTML = achievements.map(a => {
+        const challenge = a.challengeId ? getChallengeById(a.challengeId) : null;
+        return `
+            <div class="achievement" title="${escapeHtml(a.description)}">
+                <span class="achievement-icon">${a.icon}</span>
+                <div>
+                    <strong>${escapeHtml(a.name)}</strong>
+                    <div class="muted">${new Date(a.unlockedAt).toLocaleDateString()}${challenge ? ` · ${escapeHtml(challenge.title)}` : ''}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Latest discussion posts that @mention the user
+function renderMentions() {
+    if (!mentionsContainer) return;
+    const mentions = getDiscussionMentions().slice(0, 10);
+    if (mentions.length === 0) {
+        mentionsContainer.innerHTML = '<p class="muted">Nobody has mentioned you in a discussion yet.</p>';
+        return;
+    }
+    mentionsContainer.innerHTML = mentions.map(({ challenge, post, authorName }) => `
+        <div class="mention-item">
+            <div class="muted">
+                <strong>${escapeHtml(authorName)}</strong> in
+                <a href="../challenges/index.html?id=${encodeURIComponent(challenge.id)}">${escapeHtml(challenge.title)}</a>
+                · ${new Date(post.createdAt).toLocaleDateString()}
+            </div>
+            <div class="mention-excerpt"></div>
+        </div>
+    `).join('');
+    // Post text is user-written; set it as text, not HTML
+    mentionsContainer.querySelectorAll('.mention-excerpt').forEach((el, i) => {
+        const body = mentions[i].post.body;
+        el.textContent = body.length > 140 ? `${body.slice(0, 140)}…` : body;
+    });
+}
+
+function renderDuelForm() {
+    const user = getCurrentUser();
+    if (!user || !duelForm) return;
+    $('#duelOpponent').innerHTML = getUserDirectory()
+        .filter(u => u.id !== user.id)
+        .map(u => `<option value="${escapeHtml(u.id)}">${escapeHtml(u.name)}</option>`)
+        .join('');
+    $('#duelGoal').innerHTML = getGoalTypes()
+        .map(type => `<option value="${type.key}">${type.lowerIsBetter ? 'Best' : 'Most'} ${type.label.toLowerCase()}${type.unit ? ` (${type.unit})` : ''}</option>`)
+        .join('');
+}
+
+function renderDuels() {
+    const user = getCurrentUser();
+    if (!user || !duelsContainer) return;
+    const duels = getUserDuels();
+    if (duels.length === 0) {
+        duelsContainer.innerHTML = '<p class="muted">Challenge a friend to a head-to-head duel.</p>';
+        return;
+    }
+    duelsContainer.innerHTML = duels.map(duel => {
+        const { goalLabel, sides, leaderId, daysLeft } = getDuelComparison(duel.id);
+        const opponent = sides.find(side => side.userId !== user.id);
+        const opponentName = escapeHtml(opponent.name);
+        const terms = `${goalLabel} in ${duel.days} days (target ${duel.target})`;
+        let body = '';
+        if (duel.status === DUEL_STATUSES.PENDING) {
+            body = duel.opponentId === user.id
+                ? `<button class="btn" data-duel-action="accept" data-duel-id="${duel.id}">Accept</button>
+                   <button class="btn btn-secondary" data-duel-action="decline" data-duel-id="${duel.id}">Decline</button>`
+                : `<span class="muted">Waiting for ${opponentName}</span>
+                   <button class="btn btn-secondary" data-duel-action="cancel" data-duel-id="${duel.id}">Cancel</button>`;
+        } else if (duel.status === DUEL_STATUSES.ACTIVE || duel.status === DUEL_STATUSES.FINISHED) {
+            const result = duel.status === DUEL_STATUSES.FINISHED
+                ? (leaderId === null ? 'Draw' : leaderId === user.id ? 'You won!' : `${opponentName} won`) + (duel.forfeitedBy ? ' by forfeit' : '')
+                : `${daysLeft} day${daysLeft === 1 ? '' : 's'} left · ${leaderId === null ? 'level' : leaderId === user.id ? 'you lead' : `${opponentName} leads`}`;
+            body = `
+                ${sides.map(side => `
+                    <div class="duel-side ${side.userId === leaderId ? 'leading' : ''}">
+                        <span class="duel-name">${side.userId === user.id ? 'You' : escapeHtml(side.name)}</span>
+                        <div class="duel-bar"><div style="width:${side.percentage}%"></div></div>
+                        <span>${side.display}</span>
+                    </div>
+                `).join('')}
+                <div class="duel-result">${result}</div>
+            `;
+        }
+        return `
+            <div class="duel-row">
+                <div class="challenge-row-header">
+                    <strong>${duel.challengerId === user.id ? `You vs ${opponentName}` : `${opponentName} vs you`}</strong>
+                    <span class="muted">${terms}</span>
+                    <span class="status-pill ${duel.status}">${duel.status}</span>
+                </div>
+                ${body}
+            </div>
+        `;
+    }).join('');
+}
+
+duelForm && duelForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const result = sendDuelInvite($('#duelOpponent').value, {
+        goal: $('#duelGoal').value,
+        target: parseFloat($('#duelTarget').value),
+        days: parseInt($('#duelDays').value),
+        category: $('#duelCategory').value
+    });
+    if (!result.success) alert(result.message);
+    renderDuels();
+});
+
+duelsContainer && duelsContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-duel-action]');
+    if (!btn) return;
+    const actions = { accept: acceptDuel, decline: declineDuel, cancel: cancelDuel };
+    const result = actions[btn.dataset.duelAction](btn.dataset.duelId);
+    if (!result.success) alert(result.message);
+    renderDuels();
+    renderMyChallenges();
+});
+
+function renderUnmatchedActivities(uc) {
+    const activities = getUnmatchedActivities(uc.challengeId);
+    if (activities.length === 0) return '';
+    return `
+        <div class="unmatched-activities">
+            <div class="unmatched-title">Synced activities that don't match this challenge:</div>
+            ${activities.map(a => `
+                <div class="unmatched-activity">
+                    <span>${escapeHtml(a.name || a.activityType || 'Activity')} <span class="muted">(${escapeHtml(a.activityType || 'unknown type')}, ${new Date(a.occurredAt).toLocaleDateString()})</span></span>
+                    <button class="btn" data-unmatched-action="assign" data-challenge-id="${uc.challengeId}" data-source="${escapeHtml(a.source)}" data-external-id="${escapeHtml(a.externalId)}">Count it</button>
+                    <button class="btn btn-secondary" data-unmatched-action="dismiss" data-challenge-id="${uc.challengeId}" data-source="${escapeHtml(a.source)}" data-external-id="${escapeHtml(a.externalId)}">Dismiss</button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+myChallengesContainer && myChallengesContainer.addEventListener('click', (e) => {
+    const checkInBtn = e.target.closest('[data-checkin]');
+    const freezeDay = e.target.closest('[data-freeze-date]');
+    if (checkInBtn || freezeDay) {
+        const challengeId = e.target.closest('.challenge-row').dataset.challengeId;
+        const result = checkInBtn
+            ? checkInChallenge(challengeId)
+            : confirm(`Use a streak freeze for ${freezeDay.dataset.freezeDate}?`) && useStreakFreeze(challengeId, freezeDay.dataset.freezeDate);
+        if (result && !result.success) alert(result.message);
+        renderMyChallenges();
+        renderAchievements();
+        renderPoints();
+        renderBadges();
+        return;
+    }
+    const planBtn = e.target.closest('[data-plan-day]');
+    if (planBtn) {
+        const challengeId = planBtn.closest('.challenge-row').dataset.challengeId;
+        const result = completePlannedWorkout(challengeId, Number(planBtn.dataset.planDay));
+        if (!result.success) alert(result.message);
+        renderMyChallenges();
+        renderAchievements();
+        renderPoints();
+        renderBadges();
+        return;
+    }
+    const teamBtn = e.target.closest('[data-team-action]');
+    if (teamBtn) {
+        const row = teamBtn.closest('.challenge-row');
+        const challengeId = row.dataset.challengeId;
+        const action = teamBtn.dataset.teamAction;
+        const result = action === 'create'
+            ? createChallengeTeam(challengeId, row.querySelector('.team-name-input').value)
+            : action === 'join'
+                ? joinChallengeTeam(challengeId, teamBtn.dataset.teamId)
+                : leaveChallengeTeam(challengeId);
+        if (!result.success) alert(result.message);
+        renderMyChallenges();
+        return;
+    }
+    const btn = e.target.closest('[data-unmatched-action]');
+    if (!btn) return;
+    const { challengeId, source, externalId } = btn.dataset;
+    const result = btn.dataset.unmatchedAction === 'assign'
+        ? assignUnmatchedActivity(challengeId, source, externalId)
+        : dismissUnmatchedActivity(challengeId, source, externalId);
+    if (!result.success) alert(result.message);
+    renderMyChallenges();
+    renderAchievements();
+    renderPoints();
+    renderBadges();
+});
+
 // Hook up UI
 loadUserBtn && loadUserBtn.addEventListener('click', () => tryLoadForUsername((usernameInput && usernameInput.value || '').trim()));
 refreshBtn && refreshBtn.addEventListener('click', () => tryLoadForUsername((usernameInput && usernameInput.value || '').trim()));
@@ -239,6 +657,42 @@ if (document.readyState === 'loading') {
     if (saved && usernameInput) { usernameInput.value = saved; tryLoadForUsername(saved).catch(() => { }); }
 }
 
+renderQueueNotices();
+renderQueue();
+renderMyChallenges();
+renderAchievements();
+renderPoints();
+renderBadges();
+renderMentions();
+renderDuelForm();
+renderDuels();
+
+if (gracePeriodInput) {
+    gracePeriodInput.value = getChallengeSettings().gracePeriodHours;
+    gracePeriodInput.addEventListener('change', (e) => {
+        const result = updateChallengeSettings({ gracePeriodHours: e.target.value });
+        if (!result.success) {
+            alert(result.message);
+            e.target.value = getChallengeSettings().gracePeriodHours;
+        }
+    });
+}
+
+if (maxActiveInput) {
+    maxActiveInput.value = getChallengeSettings().maxActiveChallenges;
+    maxActiveInput.addEventListener('change', (e) => {
+        const result = updateChallengeSettings({ maxActiveChallenges: e.target.value });
+        if (!result.success) {
+            alert(result.message);
+            e.target.value = getChallengeSettings().maxActiveChallenges;
+        }
+        // Raising the limit can start queued challenges
+        renderQueueNotices();
+        renderQueue();
+        renderMyChallenges();
+    });
+}
+
 // Save username on change
 if (usernameInput) usernameInput.addEventListener('change', (e) => localStorage.setItem('profileUsername', e.target.value.trim()));
 
@@ -0,0 +1,209 @@
+// ========================================
+// RECOMMENDATIONS.JS - Challenge Recommendations
+// Ranks challenges for a user from their challenge history,
+// preferred categories, recent training volume and difficulty level
+// ========================================
+
+import { getGoalType } from './goalTypes.js';
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const RECOMMENDATION_CONFIG = {
+    // Recent activity considered for volume and category preference
+    RECENT_WINDOW_DAYS: 28,
+    DIFFICULTY_ORDER: ['beginner', 'intermediate', 'advanced'],
+    // Challenge demand vs recent volume: at most this ratio "fits", above STRETCH_RATIO is a big jump
+    FIT_RATIO: 1.5,
+    STRETCH_RATIO: 3,
+    WEIGHTS: {
+        CATEGORY_COMPLETED: 3,
+        CATEGORY_ACTIVE: 1,
+        CATEGORY_RECENT: 2,
+        CATEGORY_ABANDONED: -1,
+        DIFFICULTY_NEXT: 3,
+        DIFFICULTY_CURRENT: 1,
+        DIFFICULTY_TOO_HARD: -3,
+        VOLUME_FITS: 2,
+        VOLUME_STRETCH: -2,
+        ALREADY_COMPLETED: -4,
+        ABANDONED_BEFORE: -2,
+        FEATURED: 1
+    }
+};
+
+// ========================================
+// Profile
+// ========================================
+
+/**
+ * Summarize what a user has done so far
+ * @param {Array} history - [{ challenge, userChallenge }] every attempt with its challenge
+ * @param {Array} recentEntries - [{ challenge, data, occurredAt }] recent progress entries
+ * @returns {Object} { completed, abandoned, active, categories, recentCategories, level }
+ */
+function buildUserProfile(history, recentEntries) {
+    const categories = {};
+    const completed = new Set();
+    const abandoned = new Set();
+    const active = new Set();
+    let level = -1;
+
+    history.forEach(({ challenge, userChallenge }) => {
+        const counts = categories[challenge.category] || { completed: 0, active: 0, abandoned: 0 };
+        categories[challenge.category] = counts;
+
+        if (userChallenge.status === 'completed') {
+            completed.add(challenge.id);
+            counts.completed++;
+            level = Math.max(level, RECOMMENDATION_CONFIG.DIFFICULTY_ORDER.indexOf(challenge.difficulty));
+        } else if (userChallenge.status === 'abandoned') {
+            abandoned.add(challenge.id);
+            counts.abandoned++;
+        } else if (userChallenge.status === 'active') {
+            active.add(challenge.id);
+            counts.active++;
+        }
+    });
+
+    const recentCategories = new Set(recentEntries.map(entry => entry.challenge.category));
+
+    return { completed, abandoned, active, categories, recentCategories, level };
+}
+
+/**
+ * Work out how a challenge's weekly demand compares to recent training.
+ * Only recent entries in the challenge's category count, replayed through
+ * its own goal types, so "km per week" of running is compared with km run.
+ * @param {Object} challenge - Challenge object
+ * @param {Array} recentEntries - [{ challenge, data }] recent progress entries
+ * @returns {number|null} Highest demand/volume ratio over the counter goals, null without data
+ */
+function getVolumeRatio(challenge, recentEntries) {
+    const weeks = RECOMMENDATION_CONFIG.RECENT_WINDOW_DAYS / 7;
+    const sameCategory = recentEntries.filter(entry => entry.challenge.category === challenge.category);
+    let highest = null;
+
+    Object.entries(challenge.goals || {}).forEach(([key, target]) => {
+        const goalType = getGoalType(key);
+        if (!goalType || goalType.lowerIsBetter) return;
+
+        const progress = goalType.initialize(target);
+        sameCategory.forEach(entry => goalType.accumulate(progress, entry.data));
+
+        const weeklyVolume = goalType.getCurrent(progress) / weeks;
+        if (!weeklyVolume) return;
+
+        const weeklyDemand = target / challenge.duration * 7;
+        highest = Math.max(highest ?? 0, weeklyDemand / weeklyVolume);
+    });
+
+    return highest;
+}
+
+// ========================================
+// Ranking
+// ========================================
+
+/**
+ * Score one challenge for a user
+ * @param {Object} challenge - Challenge object
+ * @param {Object} profile - From buildUserProfile
+ * @param {Array} recentEntries - Recent progress entries
+ * @returns {Object} { score, reasons } with reasons as [{ text, weight }]
+ */
+function scoreChallenge(challenge, profile, recentEntries) {
+    const W = RECOMMENDATION_CONFIG.WEIGHTS;
+    const reasons = [];
+    const add = (weight, text) => reasons.push({ weight, text });
+
+    const category = profile.categories[challenge.category];
+    if (category?.completed) {
+        add(W.CATEGORY_COMPLETED, `You've completed ${category.completed} ${challenge.category} challenge${category.completed === 1 ? '' : 's'}`);
+    } else if (category?.active) {
+        add(W.CATEGORY_ACTIVE, `You're already doing ${challenge.category}`);
+    }
+    if (profile.recentCategories.has(challenge.category)) {
+        add(W.CATEGORY_RECENT, `Matches your recent ${challenge.category} activity`);
+    }
+    if (category?.abandoned && !category.completed) {
+        add(W.CATEGORY_ABANDONED, `You've left ${challenge.category} challenges before`);
+    }
+
+    // Beginners start at beginner; each completed level unlocks the next one
+    const difficulty = RECOMMENDATION_CONFIG.DIFFICULTY_ORDER.indexOf(challenge.difficulty);
+    const nextLevel = Math.min(profile.level + 1, RECOMMENDATION_CONFIG.DIFFICULTY_ORDER.length - 1);
+    if (difficulty === nextLevel) {
+        add(W.DIFFICULTY_NEXT, profile.level < 0
+            ? 'A good place to start'
+            : `The next step up from ${RECOMMENDATION_CONFIG.DIFFICULTY_ORDER[profile.level]}`);
+    } else if (difficulty === profile.level) {
+        add(W.DIFFICULTY_CURRENT, `At the ${challenge.difficulty} level you've mastered`);
+    } else if (difficulty > nextLevel) {
+        add(W.DIFFICULTY_TOO_HARD, `A big jump to ${challenge.difficulty}`);
+    }
+
+    const ratio = getVolumeRatio(challenge, recentEntries);
+    if (ratio !== null && ratio <= RECOMMENDATION_CONFIG.FIT_RATIO) {
+        add(W.VOLUME_FITS, 'Fits your current training volume');
+    } else if (ratio !== null && ratio > RECOMMENDATION_CONFIG.STRETCH_RATIO) {
+        add(W.VOLUME_STRETCH, `About ${Math.round(ratio)}x your recent weekly volume`);
+    }
+
+    if (profile.completed.has(challenge.id)) {
+        add(W.ALREADY_COMPLETED, 'You already completed it');
+    } else if (profile.abandoned.has(challenge.id)) {
+        add(W.ABANDONED_BEFORE, 'You left it before');
+    }
+
+    if (challenge.featured) {
+        add(W.FEATURED, 'Popular with the community');
+    }
+
+    // Popularity only breaks ties
+    const score = reasons.reduce((sum, reason) => sum + reason.weight, 0)
+        + Math.log10((challenge.participants || 0) + 1) / 10;
+
+    return { score, reasons };
+}
+
+/**
+ * Rank challenges for a user, best first. Challenges the user is taking
+ * part in right now are left out.
+ * @param {Array} challenges - Candidate challenges
+ * @param {Object} activity - What the user has done
+ * @param {Array} activity.history - [{ challenge, userChallenge }] every attempt with its challenge
+ * @param {Array} activity.entries - [{ challenge, data, occurredAt }] progress entries from every source
+ * @param {Date} activity.now - Current time (default: now)
+ * @returns {Array} [{ challenge, score, reasons, why }]
+ *   - reasons: every factor as [{ text, weight }], strongest first
+ *   - why: short explanation built from the positive reasons
+ *
+ * @example
+ * rankChallenges(getCatalogChallenges(), { history, entries }).slice(0, 3)
+ *     .forEach(r => console.log(r.challenge.title, '-', r.why));
+ */
+export function rankChallenges(challenges, { history = [], entries = [], now = new Date() }) {
+    const since = now.getTime() - RECOMMENDATION_CONFIG.RECENT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const recentEntries = entries.filter(entry => new Date(entry.occurredAt).getTime() >= since);
+    const profile = buildUserProfile(history, recentEntries);
+
+    return challenges
+        .filter(challenge => !profile.active.has(challenge.id))
+        .map(challenge => {
+            const { score, reasons } = scoreChallenge(challenge, profile, recentEntries);
+            reasons.sort((a, b) => b.weight - a.weight);
+
+            const positive = reasons.filter(reason => reason.weight > 0).slice(0, 2);
+            return {
+                challenge: challenge,
+                score: Math.round(score * 100) / 100,
+                reasons: reasons,
+                why: positive.length > 0
+                    ? positive.map(reason => reason.text).join(' · ')
+                    : 'Something new to try'
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
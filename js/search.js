@@ -0,0 +1,261 @@
+// ========================================
+// SEARCH.JS - Challenge Catalog Search
+// Inverted index over challenge text with prefix and
+// typo-tolerant matching, ranked by where terms matched
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const SEARCH_CONFIG = {
+    // How much a match counts in each field
+    FIELD_WEIGHTS: {
+        title: 5,
+        category: 3,
+        badge: 2,
+        achievements: 2,
+        description: 1
+    },
+    // Match quality: exact word, word starting with the query, word within the allowed typos
+    MATCH_SCORES: {
+        EXACT: 1,
+        PREFIX: 0.75,
+        FUZZY: 0.5,
+        FUZZY_PREFIX: 0.35
+    },
+    // Shorter query terms only match as prefixes from this length on
+    MIN_PREFIX_LENGTH: 2,
+    // Query term length -> typos allowed; shorter terms must be spelled right
+    TYPO_THRESHOLDS: [
+        { minLength: 7, edits: 2 },
+        { minLength: 4, edits: 1 }
+    ],
+    // Bonus when the whole query appears in the title as typed
+    PHRASE_BONUS: 3,
+    WORD_PATTERN: /[\p{L}\p{N}]+/gu
+};
+
+// ========================================
+// Tokenizing
+// ========================================
+
+/**
+ * Fold a word for comparison: lower case, accents removed
+ * @param {string} word - Word as written
+ * @returns {string} Folded word
+ */
+function foldWord(word) {
+    return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into searchable terms
+ * @param {string} text - Text to split
+ * @returns {Array} Folded words, in order
+ *
+ * @example
+ * tokenize('Yoga Flow: Café edition'); // ['yoga', 'flow', 'cafe', 'edition']
+ */
+export function tokenize(text) {
+    return (String(text ?? '').match(SEARCH_CONFIG.WORD_PATTERN) || []).map(foldWord);
+}
+
+/**
+ * Count the edits (insert, delete, substitute, swap neighbours) between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Stop counting above this many edits
+ * @returns {number} Edit count, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+            if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+}
+
+/**
+ * Get how many typos a query term may contain
+ * @param {string} term - Query term
+ * @returns {number} Allowed edits
+ */
+function getAllowedEdits(term) {
+    const threshold = SEARCH_CONFIG.TYPO_THRESHOLDS.find(t => term.length >= t.minLength);
+    return threshold ? threshold.edits : 0;
+}
+
+/**
+ * Rate how well an indexed word matches a query term
+ * @param {string} term - Query term
+ * @param {string} word - Indexed word
+ * @returns {number} Match quality from MATCH_SCORES, or 0 for no match
+ */
+function matchQuality(term, word) {
+    const { EXACT, PREFIX, FUZZY, FUZZY_PREFIX } = SEARCH_CONFIG.MATCH_SCORES;
+
+    if (word === term) return EXACT;
+
+    const canPrefix = term.length >= SEARCH_CONFIG.MIN_PREFIX_LENGTH && word.length > term.length;
+    if (canPrefix && word.startsWith(term)) return PREFIX;
+
+    const allowed = getAllowedEdits(term);
+    if (allowed === 0) return 0;
+
+    const edits = editDistance(term, word, allowed);
+    if (edits <= allowed) return FUZZY / edits;
+
+    // Typos in a word that is still being typed ("marah" -> "marathon")
+    if (canPrefix && editDistance(term, word.slice(0, term.length), allowed) <= allowed) {
+        return FUZZY_PREFIX;
+    }
+
+    return 0;
+}
+
+// ========================================
+// Index
+// ========================================
+
+/**
+ * Get the searchable text of a challenge, by field
+ * @param {Object} challenge - Challenge object
+ * @returns {Object} { title, category, badge, achievements, description }
+ */
+function getSearchableFields(challenge) {
+    return {
+        title: challenge.title,
+        category: challenge.category,
+        badge: challenge.rewards?.badge,
+        achievements: (challenge.rewards?.achievements || []).join(' '),
+        description: challenge.description
+    };
+}
+
+/**
+ * Build a search index over challenges
+ * @param {Array} challenges - Challenges to search; their order breaks ranking ties
+ * @returns {Object} { challenges, postings } where postings maps a word to [{ doc, field }]
+ *
+ * @example
+ * const index = buildSearchIndex(getCatalogChallenges());
+ * searchChallenges(index, 'yoga beginer');
+ */
+export function buildSearchIndex(challenges) {
+    const postings = new Map();
+
+    challenges.forEach((challenge, doc) => {
+        Object.entries(getSearchableFields(challenge)).forEach(([field, text]) => {
+            new Set(tokenize(text)).forEach(word => {
+                if (!postings.has(word)) postings.set(word, []);
+                postings.get(word).push({ doc, field });
+            });
+        });
+    });
+
+    return { challenges, postings };
+}
+
+// ========================================
+// Search
+// ========================================
+
+/**
+ * Search an index. Every query term has to match somewhere in a challenge,
+ * exactly, as the start of a word, or with a few typos.
+ * @param {Object} index - From buildSearchIndex
+ * @param {string} query - Search text
+ * @returns {Array} [{ challenge, score, terms }] best first
+ *   - terms: the indexed words that matched, for highlighting
+ *
+ * @example
+ * searchChallenges(index, 'strenght').forEach(r => console.log(r.challenge.title, r.score, r.terms));
+ */
+export function searchChallenges(index, query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    // doc -> { score, terms, matched query terms }
+    const hits = new Map();
+
+    queryTerms.forEach(term => {
+        const best = new Map();
+
+        index.postings.forEach((entries, word) => {
+            const quality = matchQuality(term, word);
+            if (!quality) return;
+
+            entries.forEach(({ doc, field }) => {
+                const score = quality * SEARCH_CONFIG.FIELD_WEIGHTS[field];
+                const current = best.get(doc) || { score: 0, words: new Set() };
+                current.score = Math.max(current.score, score);
+                current.words.add(word);
+                best.set(doc, current);
+            });
+        });
+
+        best.forEach(({ score, words }, doc) => {
+            const hit = hits.get(doc) || { score: 0, terms: new Set(), matched: 0 };
+            hit.score += score;
+            words.forEach(word => hit.terms.add(word));
+            hit.matched++;
+            hits.set(doc, hit);
+        });
+    });
+
+    const phrase = queryTerms.length > 1 ? tokenize(query).join(' ') : null;
+
+    return [...hits.entries()]
+        .filter(([, hit]) => hit.matched === queryTerms.length)
+        .map(([doc, hit]) => {
+            const challenge = index.challenges[doc];
+            const inTitle = phrase && tokenize(challenge.title).join(' ').includes(phrase);
+
+            return {
+                challenge: challenge,
+                score: Math.round((hit.score + (inTitle ? SEARCH_CONFIG.PHRASE_BONUS : 0)) * 100) / 100,
+                terms: [...hit.terms],
+                doc: doc
+            };
+        })
+        .sort((a, b) => b.score - a.score || a.doc - b.doc)
+        .map(({ doc, ...result }) => result);
+}
+
+/**
+ * Find the words of a text that a search matched
+ * @param {string} text - Text as displayed
+ * @param {Array} terms - Matched words (from searchChallenges)
+ * @returns {Array} [{ start, end }] character ranges in text, in order
+ */
+export function findMatchRanges(text, terms) {
+    if (!text || !terms || terms.length === 0) return [];
+
+    const wanted = new Set(terms);
+    return [...String(text).matchAll(SEARCH_CONFIG.WORD_PATTERN)]
+        .filter(match => wanted.has(foldWord(match[0])))
+        .map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
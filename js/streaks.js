@@ -0,0 +1,119 @@
+// ========================================
+// STREAKS.JS - Daily Check-in Calendar & Streaks
+// Turns a user challenge's check-ins into a day-by-day calendar
+// and current/longest streak counters
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+export const DAY_STATUSES = {
+    DONE: 'done',           // checked in or logged activity
+    MISSED: 'missed',       // past day with nothing logged
+    REST: 'rest',           // scheduled rest day
+    FROZEN: 'frozen',       // missed day covered by a streak freeze
+    TODAY: 'today',         // today, nothing logged yet
+    UPCOMING: 'upcoming'    // later in the challenge
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ========================================
+// Calendar
+// ========================================
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+export function toDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Build the day-by-day calendar of a challenge attempt
+ * @param {Object} options - Calendar inputs
+ * @param {string} options.startDate - Attempt start (ISO)
+ * @param {string} options.endDate - Attempt end (ISO)
+ * @param {Set<string>} options.doneDays - Day keys with a check-in or activity
+ * @param {Array<number>} options.restWeekdays - Weekdays that are rest days (0 = Sunday)
+ * @param {Array<string>} options.frozenDays - Day keys covered by a streak freeze
+ * @param {Date} options.today - Current date (default: now)
+ * @returns {Array} [{ date, weekday, status }] one entry per challenge day
+ *
+ * @example
+ * buildCheckInCalendar({
+ *   startDate: uc.startDate,
+ *   endDate: uc.endDate,
+ *   doneDays: new Set(['2026-10-01', '2026-10-02'])
+ * });
+ */
+export function buildCheckInCalendar({ startDate, endDate, doneDays = new Set(), restWeekdays = [], frozenDays = [], today = new Date() }) {
+    const calendar = [];
+    const todayKey = toDayKey(today);
+    const frozen = new Set(frozenDays);
+
+    // endDate is start + duration, so a 30-day attempt gets exactly 30 entries
+    const start = new Date(startDate);
+    const days = Math.round((new Date(endDate) - start) / (24 * 60 * 60 * 1000));
+    const cursor = new Date(start);
+    cursor.setHours(0, 0, 0, 0);
+
+    for (let i = 0; i < days; i++) {
+        const date = toDayKey(cursor);
+        const weekday = cursor.getDay();
+        let status;
+
+        if (doneDays.has(date)) {
+            status = DAY_STATUSES.DONE;
+        } else if (restWeekdays.includes(weekday)) {
+            status = DAY_STATUSES.REST;
+        } else if (date === todayKey) {
+            status = DAY_STATUSES.TODAY;
+        } else if (date > todayKey) {
+            status = DAY_STATUSES.UPCOMING;
+        } else if (frozen.has(date)) {
+            status = DAY_STATUSES.FROZEN;
+        } else {
+            status = DAY_STATUSES.MISSED;
+        }
+
+        calendar.push({ date, weekday, status });
+        cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return calendar;
+}
+
+// ========================================
+// Streaks
+// ========================================
+
+/**
+ * Count current and longest streaks of done days.
+ * Rest and frozen days carry a streak over without adding to it,
+ * a missed day resets it, and today only counts once it is done.
+ * @param {Array} calendar - Calendar from buildCheckInCalendar
+ * @returns {Object} { current, longest }
+ */
+export function computeStreaks(calendar) {
+    let current = 0;
+    let longest = 0;
+
+    for (const day of calendar) {
+        if (day.status === DAY_STATUSES.UPCOMING || day.status === DAY_STATUSES.TODAY) break;
+
+        if (day.status === DAY_STATUSES.DONE) {
+            current++;
+            longest = Math.max(longest, current);
+        } else if (day.status === DAY_STATUSES.MISSED) {
+            current = 0;
+        }
+    }
+
+    return { current, longest };
+}
@@ -0,0 +1,214 @@
+// ========================================
+// TEAMS.JS - Challenge Teams
+// Team rosters for team challenges. Members still take part
+// individually; challenges.js adds their progress up per team.
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const TEAM_CONFIG = {
+    STORAGE_KEY: 'fitchallenge_teams',
+    MIN_NAME_LENGTH: 2,
+    MAX_NAME_LENGTH: 40,
+    MIN_TEAM_SIZE: 2,
+    MAX_TEAM_SIZE: 100
+};
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate a challenge's team settings
+ * @param {Object} teamSettings - { maxSize, goals } or null for individual challenges
+ * @param {Function} validateGoals - Goal validator used for team goals
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateTeamSettings(teamSettings, validateGoals) {
+    if (!teamSettings) {
+        return { isValid: true, error: null };
+    }
+
+    const maxSize = Number(teamSettings.maxSize);
+    if (!Number.isInteger(maxSize) || maxSize < TEAM_CONFIG.MIN_TEAM_SIZE || maxSize > TEAM_CONFIG.MAX_TEAM_SIZE) {
+        return {
+            isValid: false,
+            error: `Team size must be between ${TEAM_CONFIG.MIN_TEAM_SIZE} and ${TEAM_CONFIG.MAX_TEAM_SIZE}`
+        };
+    }
+
+    // Team goals are optional; without them each goal is the individual goal times the team size
+    if (teamSettings.goals) {
+        const validation = validateGoals(teamSettings.goals);
+        if (!validation.isValid) {
+            return { isValid: false, error: `Team goals: ${validation.error}` };
+        }
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Validate a team name
+ * @param {string} name - Team name
+ * @returns {Object} Validation result { isValid, error }
+ */
+export function validateTeamName(name) {
+    const trimmed = (name || '').trim();
+
+    if (trimmed.length < TEAM_CONFIG.MIN_NAME_LENGTH || trimmed.length > TEAM_CONFIG.MAX_NAME_LENGTH) {
+        return {
+            isValid: false,
+            error: `Team name must be ${TEAM_CONFIG.MIN_NAME_LENGTH}-${TEAM_CONFIG.MAX_NAME_LENGTH} characters`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+// ========================================
+// Storage
+// ========================================
+
+/**
+ * Get every challenge's teams
+ * @returns {Object} { [challengeId]: Array of teams }
+ */
+function getAllTeams() {
+    try {
+        const teamsJson = localStorage.getItem(TEAM_CONFIG.STORAGE_KEY);
+        return teamsJson ? JSON.parse(teamsJson) : {};
+    } catch (error) {
+        console.error('Error reading teams:', error);
+        return {};
+    }
+}
+
+/**
+ * Save every challenge's teams to localStorage
+ * @param {Object} allTeams - { [challengeId]: Array of teams }
+ */
+function saveAllTeams(allTeams) {
+    try {
+        localStorage.setItem(TEAM_CONFIG.STORAGE_KEY, JSON.stringify(allTeams));
+    } catch (error) {
+        console.error('Error saving teams:', error);
+    }
+}
+
+/**
+ * Get the teams of a challenge
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} [{ id, name, challengeId, createdBy, members, createdAt }]
+ */
+export function getTeams(challengeId) {
+    return getAllTeams()[challengeId] || [];
+}
+
+/**
+ * Get the team a user belongs to in a challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} Team or null if the user has no team
+ */
+export function getTeamForUser(challengeId, userId) {
+    return getTeams(challengeId).find(team => team.members.includes(userId)) || null;
+}
+
+// ========================================
+// Membership
+// ========================================
+
+/**
+ * Create a team and make its creator the first member
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Creating user
+ * @param {string} name - Team name
+ * @returns {Object} Result { success, message, team }
+ */
+export function createTeam(challengeId, userId, name) {
+    const validation = validateTeamName(name);
+    if (!validation.isValid) {
+        return { success: false, message: validation.error };
+    }
+
+    if (getTeamForUser(challengeId, userId)) {
+        return { success: false, message: 'Leave your current team first' };
+    }
+
+    const allTeams = getAllTeams();
+    const teams = allTeams[challengeId] || [];
+    const trimmed = name.trim();
+
+    if (teams.some(team => team.name.toLowerCase() === trimmed.toLowerCase())) {
+        return { success: false, message: 'A team with that name already exists' };
+    }
+
+    const team = {
+        id: `team_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+        name: trimmed,
+        challengeId: challengeId,
+        createdBy: userId,
+        members: [userId],
+        createdAt: new Date().toISOString()
+    };
+
+    allTeams[challengeId] = [...teams, team];
+    saveAllTeams(allTeams);
+
+    return { success: true, message: `Team ${team.name} created`, team: team };
+}
+
+/**
+ * Add a user to a team
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Joining user
+ * @param {number} maxSize - Team size cap
+ * @returns {Object} Result { success, message, team }
+ */
+export function joinTeam(challengeId, teamId, userId, maxSize) {
+    if (getTeamForUser(challengeId, userId)) {
+        return { success: false, message: 'Leave your current team first' };
+    }
+
+    const allTeams = getAllTeams();
+    const team = (allTeams[challengeId] || []).find(t => t.id === teamId);
+
+    if (!team) {
+        return { success: false, message: 'Team not found' };
+    }
+
+    if (team.members.length >= maxSize) {
+        return { success: false, message: `${team.name} is full (${maxSize} members)` };
+    }
+
+    team.members.push(userId);
+    saveAllTeams(allTeams);
+
+    return { success: true, message: `Joined ${team.name}`, team: team };
+}
+
+/**
+ * Remove a user from their team. Empty teams are deleted.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Leaving user
+ * @returns {Object} Result { success, message }
+ */
+export function leaveTeam(challengeId, userId) {
+    const allTeams = getAllTeams();
+    const teams = allTeams[challengeId] || [];
+    const team = teams.find(t => t.members.includes(userId));
+
+    if (!team) {
+        return { success: false, message: 'You are not in a team' };
+    }
+
+    team.members = team.members.filter(member => member !== userId);
+    allTeams[challengeId] = teams.filter(t => t.members.length > 0);
+    saveAllTeams(allTeams);
+
+    return { success: true, message: `Left ${team.name}` };
+}
@@ -0,0 +1,171 @@
+// ========================================
+// TRAININGPLANS.JS - Day-by-day Training Plans
+// A plan prescribes a session (or rest) for days of a challenge,
+// e.g. "Day 3: 15 min run, 2 min walk x3"
+// ========================================
+
+// ========================================
+// Constants & Configuration
+// ========================================
+
+const PLAN_CONFIG = {
+    MAX_TITLE_LENGTH: 120,
+    DAYS_PER_WEEK: 7,
+    // "Day 3: 15 min run, 2 min walk x3" as typed in the challenge form
+    LINE_PATTERN: /^\s*day\s+(\d+)\s*[:.-]\s*(.+)$/i,
+    REST_PATTERN: /^rest\b/i
+};
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate a challenge's training plan
+ * @param {Array} plan - Plan days (optional; none means no plan)
+ * @param {number} duration - Challenge duration in days
+ * @returns {Object} Validation result { isValid, error }
+ *
+ * @example
+ * validateTrainingPlan([
+ *   { day: 1, title: '1 min run, 1 min walk x5', progress: { minutes: 10, distance: 1.5 } },
+ *   { day: 2, title: 'Rest', rest: true }
+ * ], 30);
+ */
+export function validateTrainingPlan(plan, duration) {
+    if (plan === undefined || plan === null) {
+        return { isValid: true, error: null };
+    }
+
+    if (!Array.isArray(plan)) {
+        return { isValid: false, error: 'Training plan must be a list of days' };
+    }
+
+    const seen = new Set();
+
+    for (const planDay of plan) {
+        const day = Number(planDay.day);
+
+        if (!Number.isInteger(day) || day < 1 || day > Number(duration)) {
+            return { isValid: false, error: `Plan days must be between 1 and ${duration}` };
+        }
+
+        if (seen.has(day)) {
+            return { isValid: false, error: `Day ${day} appears twice in the plan` };
+        }
+        seen.add(day);
+
+        if (!planDay.title || !planDay.title.trim()) {
+            return { isValid: false, error: `Day ${day} needs a description` };
+        }
+
+        if (planDay.title.trim().length > PLAN_CONFIG.MAX_TITLE_LENGTH) {
+            return {
+                isValid: false,
+                error: `Day ${day}: descriptions can be at most ${PLAN_CONFIG.MAX_TITLE_LENGTH} characters`
+            };
+        }
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Sort plan days and fill in defaults
+ * @param {Array} plan - Plan days as entered
+ * @returns {Array} [{ day, title, rest, progress }] sorted by day
+ */
+export function normalizeTrainingPlan(plan = []) {
+    return (plan || [])
+        .map(planDay => ({
+            day: Number(planDay.day),
+            title: planDay.title.trim(),
+            rest: !!planDay.rest,
+            // What completing the session logs (e.g. { minutes: 15, distance: 2.2 })
+            progress: planDay.rest ? null : { ...(planDay.progress || {}) }
+        }))
+        .sort((a, b) => a.day - b.day);
+}
+
+// ========================================
+// Plan Text (challenge form)
+// ========================================
+
+/**
+ * Parse a plan typed one day per line ("Day 3: 15 min run, 2 min walk x3").
+ * Lines starting with "Rest" are rest days. Session amounts can't be typed,
+ * so completing a typed session only counts as a workout.
+ * @param {string} text - Plan text
+ * @returns {Object} { plan, error } with error set for the first line that can't be read
+ */
+export function parseTrainingPlanText(text) {
+    const plan = [];
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+        const match = line.match(PLAN_CONFIG.LINE_PATTERN);
+        if (!match) {
+            return { plan: null, error: `Can't read "${line}". Use "Day 3: 15 min run"` };
+        }
+
+        const title = match[2].trim();
+        plan.push({ day: Number(match[1]), title: title, rest: PLAN_CONFIG.REST_PATTERN.test(title) });
+    }
+
+    return { plan: plan, error: null };
+}
+
+/**
+ * Format a plan as the text parseTrainingPlanText reads
+ * @param {Array} plan - Plan days
+ * @returns {string} One line per day
+ */
+export function formatTrainingPlanText(plan = []) {
+    return (plan || []).map(planDay => `Day ${planDay.day}: ${planDay.title}`).join('\n');
+}
+
+// ========================================
+// Schedule
+// ========================================
+
+/**
+ * Get which challenge day a date falls on (day 1 is the start date)
+ * @param {string} startDate - Attempt start (ISO)
+ * @param {Date} date - Date to look up (default: now)
+ * @returns {number} Day number (0 or less before the start)
+ */
+export function getPlanDayNumber(startDate, date = new Date()) {
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+
+    return Math.round((day - start) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Get the plan entry for a day
+ * @param {Array} plan - Plan days
+ * @param {number} dayNumber - Challenge day
+ * @returns {Object|null} Plan day or null if nothing is planned
+ */
+export function getPlanDay(plan, dayNumber) {
+    return (plan || []).find(planDay => planDay.day === dayNumber) || null;
+}
+
+/**
+ * Group plan days into weeks for display
+ * @param {Array} plan - Plan days
+ * @returns {Array} [{ week, days }] with week 1 holding days 1-7
+ */
+export function groupPlanByWeek(plan = []) {
+    const weeks = new Map();
+
+    (plan || []).forEach(planDay => {
+        const week = Math.ceil(planDay.day / PLAN_CONFIG.DAYS_PER_WEEK);
+        if (!weeks.has(week)) weeks.set(week, []);
+        weeks.get(week).push(planDay);
+    });
+
+    return [...weeks.entries()].map(([week, days]) => ({ week, days }));
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCheckInCalendar } from '../js/streaks.js';
+
+test('a 30-day attempt has exactly 30 calendar days', () => {
+    const startDate = new Date(2026, 9, 1, 10, 30);
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + 30);
+
+    const calendar = buildCheckInCalendar({
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString(),
+        today: new Date(2026, 9, 5)
+    });
+
+    assert.equal(calendar.length, 30);
+    assert.equal(calendar[0].date, '2026-10-01');
+    assert.equal(calendar[29].date, '2026-10-30');
+});
+
+test('the length holds across a daylight saving change', () => {
+    const startDate = new Date(2026, 2, 20, 0, 0);
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + 30);
+
+    const calendar = buildCheckInCalendar({
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString()
+    });
+
+    assert.equal(calendar.length, 30);
+});